@@ -11,7 +11,7 @@ struct ContentView: View {
     @State private var callbackURL: URL?
     
     var body: some View {
-        WebView(callbackURL: callbackURL)
+        WebView(callbackURL: callbackURL, onCallbackHandled: { callbackURL = nil })
             .frame(minWidth: 1200, minHeight: 800)
             .onOpenURL { url in
                 print("📱 ContentView received URL via onOpenURL: \(url)")
@@ -28,17 +28,23 @@ struct ContentView: View {
 
 struct WebView: NSViewRepresentable {
     let callbackURL: URL?
+    let onCallbackHandled: () -> Void
     
-    init(callbackURL: URL? = nil) {
+    init(callbackURL: URL? = nil, onCallbackHandled: @escaping () -> Void = {}) {
         self.callbackURL = callbackURL
+        self.onCallbackHandled = onCallbackHandled
     }
     
     func makeNSView(context: Context) -> WKWebView {
         let configuration = WKWebViewConfiguration()
         configuration.preferences.setValue(true, forKey: "allowFileAccessFromFileURLs")
+        // WKWebView ignores download links, so the WebApp saves files through this handler
+        configuration.userContentController.addScriptMessageHandler(context.coordinator, contentWorld: .page, name: "saveFile")
         
         let webView = WKWebView(frame: .zero, configuration: configuration)
         webView.navigationDelegate = context.coordinator
+        // File inputs (library restore, playlist import) need the UI delegate to show an open panel
+        webView.uiDelegate = context.coordinator
         
         // Enable Safari Web Inspector for debugging
         if #available(macOS 13.3, *) {
@@ -72,45 +78,60 @@ struct WebView: NSViewRepresentable {
     func updateNSView(_ nsView: WKWebView, context: Context) {
         // Update the coordinator with the new callback URL
         context.coordinator.callbackURL = callbackURL
-        // If we have a callback URL and haven't injected yet, inject it
-        if callbackURL != nil && !context.coordinator.hasInjected {
+        context.coordinator.onCallbackHandled = onCallbackHandled
+        // A handled URL is cleared, so opening the same link again injects it again
+        if callbackURL == nil {
+            context.coordinator.injectedURL = nil
+        }
+        // Inject every new URL once (the OAuth callback, then any spofifywpf:// links)
+        if callbackURL != nil && callbackURL != context.coordinator.injectedURL {
             context.coordinator.injectCallback(into: nsView)
         }
     }
     
     func makeCoordinator() -> Coordinator {
-        Coordinator(callbackURL: callbackURL)
+        Coordinator(callbackURL: callbackURL, onCallbackHandled: onCallbackHandled)
     }
     
-    class Coordinator: NSObject, WKNavigationDelegate {
+    class Coordinator: NSObject, WKNavigationDelegate, WKUIDelegate, WKScriptMessageHandlerWithReply {
         var callbackURL: URL?
-        var hasInjected = false
+        var injectedURL: URL?
         var pendingCallbackURL: URL?
+        var onCallbackHandled: () -> Void
         
-        init(callbackURL: URL?) {
+        init(callbackURL: URL?, onCallbackHandled: @escaping () -> Void) {
             self.callbackURL = callbackURL
+            self.onCallbackHandled = onCallbackHandled
         }
         
-        func injectCallback(into webView: WKWebView) {
-            guard let callbackURL = self.callbackURL, !hasInjected else { return }
-            print("🔗 Injecting callback URL into WebApp: \(callbackURL)")
+        // Call a global function with a URL string as its only argument, escaped as a JSON string literal
+        func callHandler(_ name: String, with url: URL, in webView: WKWebView, completionHandler: ((Any?, Error?) -> Void)? = nil) {
+            guard let data = try? JSONSerialization.data(withJSONObject: url.absoluteString, options: .fragmentsAllowed),
+                  let literal = String(data: data, encoding: .utf8) else { return }
             let script = """
-            if (window.handleCallback) {
-                window.handleCallback('\(callbackURL.absoluteString)');
+            if (window.\(name)) {
+                window.\(name)(\(literal));
             }
             """
-            webView.evaluateJavaScript(script) { result, error in
+            webView.evaluateJavaScript(script, completionHandler: completionHandler)
+        }
+        
+        func injectCallback(into webView: WKWebView) {
+            guard let callbackURL = self.callbackURL, callbackURL != injectedURL else { return }
+            print("🔗 Injecting callback URL into WebApp: \(callbackURL)")
+            callHandler("handleCallback", with: callbackURL, in: webView) { result, error in
                 if let error = error {
                     print("❌ Error injecting callback URL: \(error)")
                 } else {
                     print("✅ Callback URL injected successfully")
-                    self.hasInjected = true
+                    self.injectedURL = callbackURL
+                    self.onCallbackHandled()
                 }
             }
         }
         
         func webView(_ webView: WKWebView, didFinish navigation: WKNavigation!) {
-            // Inject callback if available and not already injected
+            // Inject the latest URL if it hasn't been yet
             injectCallback(into: webView)
             
             // Inject pending callback URL if this is the callback page
@@ -118,12 +139,7 @@ struct WebView: NSViewRepresentable {
                let currentURL = webView.url,
                currentURL.lastPathComponent == "callback.html" {
                 print("🔗 Injecting pending callback URL into callback.html: \(pendingURL)")
-                let script = """
-                if (window.handleDirectCallback) {
-                    window.handleDirectCallback('\(pendingURL.absoluteString)');
-                }
-                """
-                webView.evaluateJavaScript(script) { result, error in
+                callHandler("handleDirectCallback", with: pendingURL, in: webView) { result, error in
                     if let error = error {
                         print("❌ Error injecting pending callback URL: \(error)")
                     } else {
@@ -144,6 +160,13 @@ struct WebView: NSViewRepresentable {
                     return
                 }
                 
+                // spofifywpf:// links other than the OAuth callback open a view in the running app
+                if url.scheme == "spofifywpf" && url.host != "callback" {
+                    callHandler("handleCallback", with: url, in: webView)
+                    decisionHandler(.cancel)
+                    return
+                }
+
                 // Check if this is a redirect back to our app (callback URL)
                 if url.scheme == "spofifywpf" || (url.scheme == "http" && url.host == "localhost" && url.path == "/callback") {
                     // Handle callback URL - load the local callback.html and inject parameters
@@ -159,5 +182,58 @@ struct WebView: NSViewRepresentable {
             // Allow all other navigation (including script loading, local files, etc.)
             decisionHandler(.allow)
         }
+        
+        func webView(_ webView: WKWebView, runOpenPanelWith parameters: WKOpenPanelParameters, initiatedByFrame frame: WKFrameInfo, completionHandler: @escaping ([URL]?) -> Void) {
+            let panel = NSOpenPanel()
+            panel.canChooseFiles = true
+            panel.canChooseDirectories = parameters.allowsDirectories
+            panel.allowsMultipleSelection = parameters.allowsMultipleSelection
+            
+            let choose: (NSApplication.ModalResponse) -> Void = { response in
+                completionHandler(response == .OK ? panel.urls : nil)
+            }
+            
+            if let window = webView.window {
+                panel.beginSheetModal(for: window, completionHandler: choose)
+            } else {
+                choose(panel.runModal())
+            }
+        }
+        
+        // saveFile: { filename, content } from the WebApp; replies true once written, false when cancelled
+        func userContentController(_ userContentController: WKUserContentController, didReceive message: WKScriptMessage, replyHandler: @escaping (Any?, String?) -> Void) {
+            guard message.name == "saveFile",
+                  let body = message.body as? [String: Any],
+                  let filename = body["filename"] as? String,
+                  let content = body["content"] as? String else {
+                replyHandler(nil, "Invalid save request")
+                return
+            }
+            
+            let panel = NSSavePanel()
+            panel.nameFieldStringValue = filename
+            panel.canCreateDirectories = true
+            
+            let save: (NSApplication.ModalResponse) -> Void = { response in
+                guard response == .OK, let url = panel.url else {
+                    replyHandler(false, nil)
+                    return
+                }
+                do {
+                    try content.write(to: url, atomically: true, encoding: .utf8)
+                    print("✅ Saved \(url.path)")
+                    replyHandler(true, nil)
+                } catch {
+                    print("❌ Error saving \(url.path): \(error)")
+                    replyHandler(nil, error.localizedDescription)
+                }
+            }
+            
+            if let window = message.webView?.window {
+                panel.beginSheetModal(for: window, completionHandler: save)
+            } else {
+                save(panel.runModal())
+            }
+        }
     }
 }
\ No newline at end of file
@@ -4,6 +4,14 @@ class SpotifyMacOSApp {
         this.currentSection = 'home';
         this.player = null;
         this.spotifyApi = window.spotifyApi; // Use global instance
+        this.playlistSync = new PlaylistTrackSync(this.spotifyApi);
+        this.jobJournal = new JobJournal();
+        this.playlistTrash = new PlaylistTrash();
+        this.playlistTools = new PlaylistTools(this.spotifyApi);
+        this.smartPlaylists = new SmartPlaylists(this.spotifyApi);
+        this.searchQueries = new SearchQueries();
+        this.listeningHistory = new ListeningHistory(this.spotifyApi);
+        this.listeningStats = new ListeningStats(this.spotifyApi);
         this.isConnected = false;
         this.deviceRefreshTimer = null;
         this.deviceRefreshInterval = 30000; // 30 seconds
@@ -55,19 +63,70 @@ class SpotifyMacOSApp {
             this.disconnect();
         });
 
+        // Library restore file picker
+        document.getElementById('restore-library-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow picking the same file again
+            if (file) {
+                this.restoreLibrary(file);
+            }
+        });
+
+        // Playlist import file picker
+        document.getElementById('import-playlist-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.importPlaylist(file);
+            }
+        });
+
+        // Queue panel
+        document.getElementById('queue-btn').addEventListener('click', () => {
+            this.toggleQueuePanel();
+        });
+        document.getElementById('queue-close-btn').addEventListener('click', () => {
+            this.toggleQueuePanel(false);
+        });
+
+        // Pasting a Spotify link anywhere outside a text field opens it
+        document.addEventListener('paste', (e) => {
+            const target = e.target;
+            if (target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+            const resolved = SpotifyUriResolver.resolve(e.clipboardData?.getData('text') || '');
+            if (resolved) {
+                e.preventDefault();
+                this.openSpotifyReference(resolved);
+            }
+        });
+
+        // Artist names in track rows link to the artist page
+        document.addEventListener('click', (e) => {
+            const artistLink = e.target.closest('.artist-link');
+            if (artistLink) {
+                e.preventDefault();
+                this.openArtist(artistLink.dataset.artistId);
+            }
+        });
+
         // Global context menu handler to prevent default browser menu
         document.addEventListener('contextmenu', (e) => {
             const target = e.target;
             const playlistRow = target.closest('.playlist-row');
-            const trackRow = target.closest('.playlist-track-row');
+            const browseCard = target.closest('.browse-card[data-type="album"], .browse-card[data-type="playlist"]');
+            const trackRow = target.closest('.playlist-track-row, .search-result-item[data-type="track"], .history-entry, .stats-item[data-track-uri]');
             
             if (playlistRow) {
                 e.preventDefault();
                 const playlistId = playlistRow.dataset.id;
                 this.showPlaylistContextMenu(e, playlistId);
+            } else if (browseCard) {
+                e.preventDefault();
+                this.showBrowseContextMenu(e, browseCard.dataset.type, browseCard.dataset.id);
             } else if (trackRow) {
                 e.preventDefault();
-                const trackUri = trackRow.dataset.trackUri;
+                const trackUri = trackRow.dataset.trackUri || trackRow.dataset.uri;
                 this.showTrackContextMenu(e, trackUri);
             }
         });
@@ -151,6 +210,8 @@ class SpotifyMacOSApp {
 
         // Search tab events
         this.bindSearchTabEvents();
+        this.setupQueryBuilder();
+        this.setupSearchSuggestions();
 
         // Handle browser back/forward navigation
         window.addEventListener('hashchange', () => {
@@ -171,6 +232,12 @@ class SpotifyMacOSApp {
                 const url = new URL(callbackUrl);
                 const searchParams = new URLSearchParams(url.search);
 
+                // Every spofifywpf:// URL but the OAuth callback is a link into the app
+                if (url.protocol === 'spofifywpf:' && url.host !== 'callback') {
+                    this.openAppUrl(url);
+                    return;
+                }
+
                 const code = searchParams.get('code');
                 const error = searchParams.get('error');
                 const state = searchParams.get('state');
@@ -251,6 +318,13 @@ class SpotifyMacOSApp {
                     localStorage.setItem('spotify_refresh_token', tokenData.refresh_token);
                 }
 
+                // Granted scopes, to ask for a new authorization when a feature needs more
+                if (tokenData.scope) {
+                    localStorage.setItem('spotify_token_scope', tokenData.scope);
+                } else {
+                    localStorage.removeItem('spotify_token_scope');
+                }
+
                 // Calculate and store expiration time
                 const expirationTime = Date.now() + (tokenData.expires_in * 1000);
                 localStorage.setItem('spotify_token_expires', expirationTime);
@@ -335,7 +409,7 @@ class SpotifyMacOSApp {
         notification.className = 'notification loading';
         notification.innerHTML = `
             <i class="fas fa-spinner fa-spin"></i>
-            <span>${message}</span>
+            <span class="loading-message">${message}</span>
         `;
         document.body.appendChild(notification);
     }
@@ -347,14 +421,14 @@ class SpotifyMacOSApp {
         }
     }
 
-    switchSection(sectionName) {
+    switchSection(sectionName, route = sectionName) {
         console.log('Switching to section:', sectionName);
 
-        // Update navigation
+        // Update navigation (detail views like an artist page have no sidebar entry)
         document.querySelectorAll('.nav-item').forEach(item => {
             item.classList.remove('active');
         });
-        document.querySelector(`[data-section="${sectionName}"]`).classList.add('active');
+        document.querySelector(`.nav-item[data-section="${sectionName}"]`)?.classList.add('active');
 
         // Update content
         document.querySelectorAll('.content-section').forEach(section => {
@@ -362,11 +436,15 @@ class SpotifyMacOSApp {
         });
         document.getElementById(`${sectionName}-section`).classList.add('active');
 
-        // Update URL hash without triggering page reload
-        const newHash = `#${sectionName}`;
+        // Update URL hash without triggering page reload, one history entry per view for Back/Forward
+        const newHash = `#${route}`;
         if (window.location.hash !== newHash) {
             console.log('Updating URL hash to:', newHash);
-            window.history.replaceState(null, null, newHash);
+            if (window.location.hash) {
+                window.history.pushState({ inApp: true }, '', newHash);
+            } else {
+                window.history.replaceState(null, '', newHash);
+            }
         }
 
         // Handle device monitoring based on current section
@@ -381,7 +459,28 @@ class SpotifyMacOSApp {
             this.loadAlbums();
         }
 
+        if (sectionName === 'browse' && this.isConnected && !this.browseFeed) {
+            this.showBrowse();
+        }
+
+        if (sectionName === 'liked-songs' && this.isConnected && !this.likedSongs) {
+            this.loadLikedSongs();
+        }
+
+        if (sectionName === 'smart-playlists' && this.isConnected) {
+            this.renderSmartPlaylists();
+        }
+
+        if (sectionName === 'history' && this.isConnected && !this.historyEntries) {
+            this.loadListeningHistory();
+        }
+
+        if (sectionName === 'stats' && this.isConnected && !this.statsTopLists) {
+            this.loadListeningStats();
+        }
+
         this.currentSection = sectionName;
+        this.currentRoute = newHash.substring(1);
         this.updateUI();
     }
 
@@ -391,11 +490,39 @@ class SpotifyMacOSApp {
 
         console.log('Restoring section from URL:', hash, 'Current section:', this.currentSection);
 
+        // Back or Forward away from a playlist or album closes its modal
+        if (this.modalRoute && hash !== this.modalRoute.route) {
+            this.currentRoute = this.modalRoute.previousRoute;
+            this.modalRoute = null;
+            this.hidePlaylistTracksModal();
+        }
+
+        // Entity routes carry an ID or parameters: #artist/<id>, #search?q=...&types=...
+        const [path, query = ''] = hash.split('?');
+        const [route, ...rest] = path.split('/');
+        const routeHandler = this.getDetailRoutes()[route];
+        let param = null;
+        try {
+            param = decodeURIComponent(rest.join('/'));
+        } catch (error) {
+            // Malformed escape (#artist/%E0): fall through to the home section
+            console.warn('Malformed route in URL:', hash);
+        }
+        if (routeHandler && param !== null && (rest.length > 0 || query)) {
+            if (hash !== this.currentRoute) {
+                routeHandler(param, new URLSearchParams(query), hash);
+            }
+            return;
+        }
+
+        // Every sidebar entry is a valid section
+        const sections = Array.from(document.querySelectorAll('.nav-item[data-section]')).map(item => item.dataset.section);
+
         // If there's a valid section in the hash and it's different from current section, switch to it
-        if (hash && ['home', 'search', 'devices', 'library', 'albums', 'playlists'].includes(hash) && hash !== this.currentSection) {
+        if (hash && sections.includes(hash) && hash !== this.currentSection) {
             console.log('Switching to section from URL:', hash);
             this.switchSection(hash);
-        } else if (!hash || !['home', 'search', 'devices', 'library', 'albums', 'playlists'].includes(hash)) {
+        } else if (!hash || !sections.includes(hash)) {
             // Default to home if no valid hash or empty hash, but only if we're not already on home
             if (this.currentSection !== 'home') {
                 console.log('No valid hash found, defaulting to home');
@@ -761,6 +888,24 @@ class SpotifyMacOSApp {
             this.showSuccess('Data loaded successfully!');
             console.log('User data loading completed successfully');
 
+            // A link opened before connecting can load now
+            this.currentRoute = null;
+            this.restoreSectionFromURL();
+
+            // Offer to pick up bulk jobs interrupted by a previous session
+            await this.resumeUnfinishedJobs();
+
+            // Regenerate scheduled smart playlists that are due, now and while the app stays open
+            this.startSmartPlaylistSchedule();
+
+            // Archive recent plays before they drop out of Spotify's 50-play window
+            this.startListeningHistorySync();
+
+            // Keep one snapshot of the top lists per month for the Stats section
+            this.listeningStats.snapshotIfDue(profile.id).catch(error => {
+                console.warn('Listening stats snapshot failed:', error);
+            });
+
         } catch (error) {
             this.hideLoading();
             console.error('Failed to load user data:', error);
@@ -777,18 +922,20 @@ class SpotifyMacOSApp {
 
     async loadPlaylists() {
         try {
+            // Render cached playlists straight away, then revalidate in the background
+            const cached = await this.spotifyApi.getAllUserPlaylists({ cache: 'only-if-cached' }).catch(() => null);
+            if (cached) {
+                this.setPlaylists(cached.items || []);
+                this.refreshPlaylistsInBackground();
+                return;
+            }
+
             this.showLoading('Loading all playlists...');
             const playlists = await this.spotifyApi.getAllUserPlaylists();
             this.hideLoading();
 
-            // Store playlists data for sorting
-            this.allPlaylists = playlists.items || [];
-            this.currentSort = this.currentSort || { column: 'name', direction: 'asc' };
-
-            // Clear search when reloading playlists (now that allPlaylists is set)
-            this.clearPlaylistSearch();
-
-            this.renderPlaylistsTable();
+            this.setPlaylists(playlists.items || []);
+            this.playlistSync.prune(this.allPlaylists.map(playlist => playlist.id));
         } catch (error) {
             console.error('Failed to load playlists:', error);
             const container = document.getElementById('playlists-content');
@@ -797,19 +944,52 @@ class SpotifyMacOSApp {
         }
     }
 
+    setPlaylists(playlists) {
+        // Store playlists data for sorting
+        this.allPlaylists = playlists;
+        this.currentSort = this.currentSort || { column: 'name', direction: 'asc' };
+
+        // Clear search when reloading playlists (now that allPlaylists is set)
+        this.clearPlaylistSearch();
+
+        this.renderPlaylistsTable();
+    }
+
+    async refreshPlaylistsInBackground() {
+        try {
+            const playlists = await this.spotifyApi.getAllUserPlaylists({ cache: 'no-cache' });
+            const items = playlists.items || [];
+            const signature = list => list.map(playlist => `${playlist.id}:${playlist.snapshot_id}`).join(',');
+            this.playlistSync.prune(items.map(playlist => playlist.id));
+
+            if (signature(items) === signature(this.allPlaylists || [])) {
+                return;
+            }
+
+            console.log('Playlists changed since last visit, updating table');
+            this.allPlaylists = items;
+            // Keep whatever the user has typed in the search box meanwhile
+            this.filterPlaylists(document.getElementById('playlist-search').value);
+        } catch (error) {
+            console.warn('Background playlist refresh failed:', error);
+        }
+    }
+
     async loadAlbums() {
         try {
+            // Render cached albums straight away, then revalidate in the background
+            const cached = await this.spotifyApi.getAllUserAlbums({ cache: 'only-if-cached' }).catch(() => null);
+            if (cached) {
+                this.setAlbums(cached.items || []);
+                this.refreshAlbumsInBackground();
+                return;
+            }
+
             this.showLoading('Loading all albums...');
             const albums = await this.spotifyApi.getAllUserAlbums();
             this.hideLoading();
 
-            // Store albums data
-            this.allAlbums = albums.items || [];
-
-            // Clear search when reloading albums
-            this.clearAlbumSearch();
-
-            this.renderAlbumsTable();
+            this.setAlbums(albums.items || []);
         } catch (error) {
             console.error('Failed to load albums:', error);
             const container = document.getElementById('albums-content');
@@ -818,6 +998,34 @@ class SpotifyMacOSApp {
         }
     }
 
+    setAlbums(albums) {
+        // Store albums data
+        this.allAlbums = albums;
+
+        // Clear search when reloading albums
+        this.clearAlbumSearch();
+
+        this.renderAlbumsTable();
+    }
+
+    async refreshAlbumsInBackground() {
+        try {
+            const albums = await this.spotifyApi.getAllUserAlbums({ cache: 'no-cache' });
+            const items = albums.items || [];
+            const signature = list => list.map(savedAlbum => `${savedAlbum.album?.id}:${savedAlbum.added_at}`).join(',');
+
+            if (signature(items) === signature(this.allAlbums || [])) {
+                return;
+            }
+
+            console.log('Saved albums changed since last visit, updating table');
+            this.allAlbums = items;
+            this.filterAlbums(document.getElementById('album-search').value);
+        } catch (error) {
+            console.warn('Background album refresh failed:', error);
+        }
+    }
+
     renderAlbumsTable() {
         const container = document.getElementById('albums-content');
         const albumsToShow = this.filteredAlbums || this.allAlbums;
@@ -881,7 +1089,7 @@ class SpotifyMacOSApp {
                                             <button class="album-action-btn" onclick="window.spotifyApp.playAlbum('${album.album?.id || ''}')" title="Play">
                                                 <i class="fas fa-play"></i>
                                             </button>
-                                            <button class="album-action-btn" onclick="window.spotifyApp.loadAlbumTracks('${album.album?.id || ''}')" title="View Tracks">
+                                            <button class="album-action-btn" onclick="window.spotifyApp.navigateTo('album/${album.album?.id || ''}')" title="View Tracks">
                                                 <i class="fas fa-list"></i>
                                             </button>
                                         </td>
@@ -963,7 +1171,7 @@ class SpotifyMacOSApp {
                                             <button class="playlist-action-btn" onclick="window.spotifyApp.playPlaylist('${playlist.id || ''}')" title="Play">
                                                 <i class="fas fa-play"></i>
                                             </button>
-                                            <button class="playlist-action-btn" onclick="window.spotifyApp.loadPlaylistTracks('${playlist.id || ''}')" title="View Tracks">
+                                            <button class="playlist-action-btn" onclick="window.spotifyApp.navigateTo('playlist/${playlist.id || ''}')" title="View Tracks">
                                                 <i class="fas fa-list"></i>
                                             </button>
                                         </td>
@@ -1251,25 +1459,42 @@ class SpotifyMacOSApp {
             console.log('🎵 Starting album removal process...');
             this.showLoading(`Removing ${albumIds.length} album${albumIds.length > 1 ? 's' : ''}...`);
 
-            console.log('📡 Calling Spotify API to remove albums:', albumIds);
-            const result = await this.spotifyApi.removeSavedAlbums(albumIds);
-            console.log('✅ API call completed, result:', result);
+            // The API accepts at most 20 album IDs per request
+            const albumNames = new Map(this.allAlbums.map(savedAlbum => [savedAlbum.album?.id, savedAlbum.album?.name]));
+            const chunks = [];
+            for (let i = 0; i < albumIds.length; i += 20) {
+                const ids = albumIds.slice(i, i + 20);
+                chunks.push({
+                    key: `albums-${i}`,
+                    label: ids.map(id => albumNames.get(id) || id).join(', '),
+                    payload: ids
+                });
+            }
+
+            const job = await this.startJob('remove-albums', 'Removing albums', chunks);
 
             this.hideLoading();
 
             // Remove from local data
-            this.allAlbums = this.allAlbums.filter(savedAlbum => !albumIds.includes(savedAlbum.album?.id));
+            const removedIds = job.items.filter(item => item.status === 'done').flatMap(item => item.payload);
+            this.allAlbums = this.allAlbums.filter(savedAlbum => !removedIds.includes(savedAlbum.album?.id));
 
             // Clear filtered results if they exist
             if (this.filteredAlbums) {
-                this.filteredAlbums = this.filteredAlbums.filter(savedAlbum => !albumIds.includes(savedAlbum.album?.id));
+                this.filteredAlbums = this.filteredAlbums.filter(savedAlbum => !removedIds.includes(savedAlbum.album?.id));
             }
 
             // Re-render the table
             this.renderAlbumsTable();
 
-            this.showSuccess(`Successfully removed ${albumIds.length} album${albumIds.length > 1 ? 's' : ''} from your library.`);
+            if (removedIds.length === albumIds.length) {
+                this.showSuccess(`Successfully removed ${albumIds.length} album${albumIds.length > 1 ? 's' : ''} from your library.`);
+            } else {
+                this.showError(`Removed ${removedIds.length} of ${albumIds.length} albums from your library`);
+                this.showJobReport(job);
+            }
         } catch (error) {
+            this.hideLoading();
             console.error('Failed to remove albums:', error);
             this.showError('Failed to remove albums from your library');
         }
@@ -1331,6 +1556,7 @@ class SpotifyMacOSApp {
             }));
 
             // Display tracks in modal
+            this.currentPlaylistSnapshotId = null;
             this.showPlaylistTracksModal(tracks, album.name, albumId, 'album');
 
         } catch (error) {
@@ -1478,7 +1704,7 @@ class SpotifyMacOSApp {
                 </div>
             </div>
             <div class="context-menu-separator"></div>
-            <div class="context-menu-item" onclick="window.spotifyApp.loadPlaylistTracks('${playlistId}')">
+            <div class="context-menu-item" onclick="window.spotifyApp.navigateTo('playlist/${playlistId}')">
                 <i class="fas fa-list"></i>
                 View Tracks
             </div>
@@ -1501,6 +1727,10 @@ class SpotifyMacOSApp {
         // Hide any existing context menu
         this.hideContextMenu();
 
+        // Right-clicking a selected row queues the whole selection
+        const queueUris = this.getTrackSelectionFor(event.target, trackUri);
+        this.contextMenuTracks = queueUris;
+
         // Get available devices
         const devices = await this.getAvailableDevices();
 
@@ -1535,6 +1765,11 @@ class SpotifyMacOSApp {
                     ` : ''}
                 </div>
             </div>
+            <div class="context-menu-separator"></div>
+            <div class="context-menu-item" onclick="window.spotifyApp.queueContextMenuTracks()">
+                <i class="fas fa-list-ol"></i>
+                ${queueUris.length > 1 ? `Add ${queueUris.length} Tracks to Queue` : 'Add to Queue'}
+            </div>
         `;
 
         document.body.appendChild(menu);
@@ -1592,6 +1827,25 @@ class SpotifyMacOSApp {
         }
     }
 
+    async playAlbumOnDevice(albumId, deviceId) {
+        try {
+            this.showLoading('Transferring playback and starting album...');
+
+            await this.spotifyApi.transferPlayback(deviceId, true);
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            await this.spotifyApi.startPlayback(`spotify:album:${albumId}`);
+
+            this.hideLoading();
+            this.showSuccess('Album started on selected device!');
+            this.hideContextMenu();
+
+        } catch (error) {
+            this.hideLoading();
+            console.error('Failed to play album on device:', error);
+            this.showError('Failed to start album on selected device');
+        }
+    }
+
     async playTrackOnDevice(trackUri, deviceId) {
         try {
             this.showLoading('Transferring playback and starting track...');
@@ -1642,6 +1896,12 @@ class SpotifyMacOSApp {
             deselectAllBtn.style.display = 'none';
             deleteSelectedBtn.style.display = 'none';
         }
+
+        // Merge needs two or more playlists, split one, compare exactly two
+        const playlistCount = this.getSelectedPlaylists().length;
+        document.getElementById('merge-playlists-btn').style.display = playlistCount >= 2 ? 'flex' : 'none';
+        document.getElementById('split-playlist-btn').style.display = playlistCount === 1 ? 'flex' : 'none';
+        document.getElementById('compare-playlists-btn').style.display = playlistCount === 2 ? 'flex' : 'none';
     }
 
     selectAllPlaylists() {
@@ -1679,7 +1939,7 @@ class SpotifyMacOSApp {
 
         const confirmed = await this.showConfirmationDialog(
             `Delete ${selectedIds.length} playlist${selectedIds.length > 1 ? 's' : ''}?`,
-            `This will permanently delete the following playlists:\n\n${selectedNames.join('\n')}\n\nThis action cannot be undone.`,
+            `This will delete the following playlists:\n\n${selectedNames.join('\n')}\n\nYou can restore them later from Trash.`,
             'Delete',
             'Cancel'
         );
@@ -1689,20 +1949,13 @@ class SpotifyMacOSApp {
         try {
             this.showLoading('Deleting playlists...');
 
-            // Use batched processing for better performance and rate limiting
-            const results = await this.processBatchOperations(
-                selectedIds,
-                async (playlistId) => {
-                    const result = await this.spotifyApi.deletePlaylist(playlistId);
-                    console.log(`Deleted playlist: ${playlistId}`);
-                    return result;
-                },
+            // Journaled so an interrupted run can be resumed on the next start
+            const job = await this.startJob(
+                'delete-playlist',
                 'Deleting playlists',
-                8 // Max 8 concurrent threads
+                selectedIds.map((playlistId, index) => ({ key: playlistId, label: selectedNames[index], payload: playlistId }))
             );
-
-            const successCount = results.filter(r => r.success).length;
-            const failureCount = results.filter(r => !r.success).length;
+            const { done: successCount, failed: failureCount } = this.jobJournal.getSummary(job.id);
 
             this.hideLoading();
 
@@ -1713,6 +1966,7 @@ class SpotifyMacOSApp {
             } else {
                 this.showSuccess(`Successfully deleted ${successCount} playlist${successCount > 1 ? 's' : ''}, but ${failureCount} failed.`);
             }
+            this.showJobReport(job);
 
             // Refresh playlists
             await this.loadPlaylists();
@@ -1725,94 +1979,38 @@ class SpotifyMacOSApp {
     }
 
     /**
-     * Process operations in batches with controlled concurrency and rate limit handling
+     * Run an operation for every item and collect per-item results.
+     * Pacing, concurrency and 429 backoff are handled by the API's RequestScheduler,
+     * so operations should issue their requests with priority 'bulk'.
      * @param {Array} items - Array of items to process
      * @param {Function} operation - Async function to execute for each item
      * @param {string} operationName - Name of the operation for progress updates
-     * @param {number} maxConcurrency - Maximum number of concurrent operations (default: 8)
-     * @param {number} batchDelay - Delay between batches in ms (default: 100)
      * @returns {Array} Array of results with success/failure status
      */
-    async processBatchOperations(items, operation, operationName = 'Processing', maxConcurrency = 8, batchDelay = 100) {
-        const results = [];
+    async processBatchOperations(items, operation, operationName = 'Processing') {
         const totalItems = items.length;
+        let processedCount = 0;
 
-        console.log(`${operationName}: Processing ${totalItems} items with max ${maxConcurrency} concurrent threads`);
-
-        // Rate limit tracking
-        let rateLimitHits = 0;
-        let lastRateLimitTime = 0;
-        let currentBatchDelay = batchDelay;
-        let consecutiveRateLimits = 0;
-
-        // Process items in batches
-        for (let i = 0; i < totalItems; i += maxConcurrency) {
-            const batch = items.slice(i, i + maxConcurrency);
-            const batchNumber = Math.floor(i / maxConcurrency) + 1;
-            const totalBatches = Math.ceil(totalItems / maxConcurrency);
-
-            console.log(`${operationName}: Processing batch ${batchNumber}/${totalBatches} (${batch.length} items)`);
-
-            // Update loading message with progress
-            const processedCount = Math.min(i + maxConcurrency, totalItems);
-            this.updateLoadingMessage(`${operationName}... (${processedCount}/${totalItems})`);
-
-            // Process current batch concurrently
-            const batchPromises = batch.map(async (item, index) => {
-                try {
-                    const result = await operation(item);
-                    results.push({ item, result, success: true, index: i + index });
-
-                    // Reset consecutive rate limit counter on success
-                    consecutiveRateLimits = 0;
-                    return { success: true, index: i + index };
-                } catch (error) {
-                    console.error(`${operationName} failed for item ${i + index}:`, error);
-
-                    // Handle rate limit errors specifically
-                    if (error.isRateLimit || error.status === 429) {
-                        rateLimitHits++;
-                        lastRateLimitTime = Date.now();
-                        consecutiveRateLimits++;
-
-                        console.log(`Rate limit hit #${rateLimitHits}, consecutive: ${consecutiveRateLimits}`);
-
-                        // If we hit multiple consecutive rate limits, slow down significantly
-                        if (consecutiveRateLimits >= 3) {
-                            currentBatchDelay = Math.min(currentBatchDelay * 2, 5000); // Double delay, max 5 seconds
-                            maxConcurrency = Math.max(maxConcurrency - 1, 1); // Reduce concurrency
-                            console.log(`Multiple rate limits detected. Reducing concurrency to ${maxConcurrency}, increasing delay to ${currentBatchDelay}ms`);
-                        }
-
-                        if (window.app) {
-                            window.app.showError(`Rate limited during ${operationName.toLowerCase()}. Slowing down to avoid further limits...`);
-                        }
-                    }
+        console.log(`${operationName}: Processing ${totalItems} items`);
+        this.updateLoadingMessage(`${operationName}... (0/${totalItems})`);
 
-                    results.push({ item, error, success: false, index: i + index });
-                    return { success: false, index: i + index };
-                }
-            });
-
-            // Wait for current batch to complete
-            await Promise.allSettled(batchPromises);
-
-            // Add delay between batches to avoid overwhelming the API
-            if (i + maxConcurrency < totalItems) {
-                // If we've had recent rate limits, use the increased delay
-                const actualDelay = consecutiveRateLimits > 0 ? currentBatchDelay * 2 : currentBatchDelay;
-                console.log(`Waiting ${actualDelay}ms before next batch (rate limit protection)`);
-                await new Promise(resolve => setTimeout(resolve, actualDelay));
+        const results = await Promise.all(items.map(async (item, index) => {
+            try {
+                const result = await operation(item);
+                return { item, result, success: true, index };
+            } catch (error) {
+                console.error(`${operationName} failed for item ${index}:`, error);
+                return { item, error, success: false, index };
+            } finally {
+                processedCount++;
+                this.updateLoadingMessage(`${operationName}... (${processedCount}/${totalItems})`);
             }
-        }
+        }));
 
         const successCount = results.filter(r => r.success).length;
         const failureCount = results.filter(r => !r.success).length;
 
         console.log(`${operationName} completed: ${successCount} successful, ${failureCount} failed`);
-        if (rateLimitHits > 0) {
-            console.log(`Rate limit statistics: ${rateLimitHits} hits, final concurrency: ${maxConcurrency}, final delay: ${currentBatchDelay}ms`);
-        }
 
         return results;
     }
@@ -1832,7 +2030,7 @@ class SpotifyMacOSApp {
 
         const confirmed = await this.showConfirmationDialog(
             `Unfollow ${selectedIds.length} playlist${selectedIds.length > 1 ? 's' : ''}?`,
-            `This will unfollow the following playlists:\n\n${selectedNames.join('\n')}\n\nYou can follow them again later.`,
+            `This will unfollow the following playlists:\n\n${selectedNames.join('\n')}\n\nYou can restore them later from Trash.`,
             'Unfollow',
             'Cancel'
         );
@@ -1842,20 +2040,13 @@ class SpotifyMacOSApp {
         try {
             this.showLoading('Unfollowing playlists...');
 
-            // Use batched processing for better performance
-            const results = await this.processBatchOperations(
-                selectedIds,
-                async (playlistId) => {
-                    const result = await this.spotifyApi.unfollowPlaylist(playlistId);
-                    console.log(`Unfollowed playlist: ${playlistId}`);
-                    return result;
-                },
+            // Journaled so an interrupted run can be resumed on the next start
+            const job = await this.startJob(
+                'unfollow-playlist',
                 'Unfollowing playlists',
-                8 // Max 8 concurrent threads
+                selectedIds.map((playlistId, index) => ({ key: playlistId, label: selectedNames[index], payload: playlistId }))
             );
-
-            const successCount = results.filter(r => r.success).length;
-            const failureCount = results.filter(r => !r.success).length;
+            const { done: successCount, failed: failureCount } = this.jobJournal.getSummary(job.id);
 
             this.hideLoading();
 
@@ -1866,6 +2057,7 @@ class SpotifyMacOSApp {
             } else {
                 this.showSuccess(`Successfully unfollowed ${successCount} playlist${successCount > 1 ? 's' : ''}, but ${failureCount} failed.`);
             }
+            this.showJobReport(job);
 
             // Refresh playlists
             await this.loadPlaylists();
@@ -1892,11 +2084,10 @@ class SpotifyMacOSApp {
             return;
         }
 
-        // Check if current user owns any of the selected playlists
+        // Check if current user owns any of the selected playlists (display names aren't unique, IDs are)
         const ownedPlaylists = selectedItems.filter(item => {
-            // Simple check - if the owner name matches current user, consider it owned
-            const currentUserDisplayName = document.querySelector('.user-info .user-name')?.textContent || '';
-            return item.owner.toLowerCase() === currentUserDisplayName.toLowerCase();
+            const playlist = this.allPlaylists.find(candidate => candidate.id === item.id);
+            return !!this.userProfile && playlist?.owner?.id === this.userProfile.id;
         });
 
         const followedPlaylists = selectedItems.filter(item => !ownedPlaylists.includes(item));
@@ -1906,13 +2097,13 @@ class SpotifyMacOSApp {
 
         if (ownedPlaylists.length > 0 && followedPlaylists.length > 0) {
             actionType = 'Remove';
-            message = `You are about to:\n\nDELETE ${ownedPlaylists.length} playlist${ownedPlaylists.length > 1 ? 's' : ''} you own:\n${ownedPlaylists.map(p => p.name).join('\n')}\n\nUNFOLLOW ${followedPlaylists.length} playlist${followedPlaylists.length > 1 ? 's' : ''}:\n${followedPlaylists.map(p => p.name).join('\n')}\n\nOwned playlists will be permanently deleted. Followed playlists can be followed again later.`;
+            message = `You are about to:\n\nDELETE ${ownedPlaylists.length} playlist${ownedPlaylists.length > 1 ? 's' : ''} you own:\n${ownedPlaylists.map(p => p.name).join('\n')}\n\nUNFOLLOW ${followedPlaylists.length} playlist${followedPlaylists.length > 1 ? 's' : ''}:\n${followedPlaylists.map(p => p.name).join('\n')}\n\nYou can restore any of them later from Trash.`;
         } else if (ownedPlaylists.length > 0) {
             actionType = 'Delete';
-            message = `This will permanently delete the following playlists you own:\n\n${ownedPlaylists.map(p => p.name).join('\n')}\n\nThis action cannot be undone.`;
+            message = `This will delete the following playlists you own:\n\n${ownedPlaylists.map(p => p.name).join('\n')}\n\nYou can restore them later from Trash.`;
         } else {
             actionType = 'Unfollow';
-            message = `This will unfollow the following playlists:\n\n${followedPlaylists.map(p => p.name).join('\n')}\n\nYou can follow them again later.`;
+            message = `This will unfollow the following playlists:\n\n${followedPlaylists.map(p => p.name).join('\n')}\n\nYou can restore them later from Trash.`;
         }
 
         const confirmed = await this.showConfirmationDialog(
@@ -1927,39 +2118,28 @@ class SpotifyMacOSApp {
         try {
             this.showLoading(`${actionType.toLowerCase()}ing playlists...`);
 
-            // Process owned playlists (delete) and followed playlists (unfollow) separately
-            const allResults = [];
+            // Process owned playlists (delete) and followed playlists (unfollow) as separate journaled jobs
+            const jobs = [];
 
             if (ownedPlaylists.length > 0) {
-                const deleteResults = await this.processBatchOperations(
-                    ownedPlaylists.map(p => p.id),
-                    async (playlistId) => {
-                        const result = await this.spotifyApi.deletePlaylist(playlistId);
-                        console.log(`Deleted owned playlist: ${playlistId}`);
-                        return result;
-                    },
+                jobs.push(await this.startJob(
+                    'delete-playlist',
                     'Deleting owned playlists',
-                    8
-                );
-                allResults.push(...deleteResults);
+                    ownedPlaylists.map(p => ({ key: p.id, label: p.name, payload: p.id }))
+                ));
             }
 
             if (followedPlaylists.length > 0) {
-                const unfollowResults = await this.processBatchOperations(
-                    followedPlaylists.map(p => p.id),
-                    async (playlistId) => {
-                        const result = await this.spotifyApi.unfollowPlaylist(playlistId);
-                        console.log(`Unfollowed playlist: ${playlistId}`);
-                        return result;
-                    },
+                jobs.push(await this.startJob(
+                    'unfollow-playlist',
                     'Unfollowing playlists',
-                    8
-                );
-                allResults.push(...unfollowResults);
+                    followedPlaylists.map(p => ({ key: p.id, label: p.name, payload: p.id }))
+                ));
             }
 
-            const successCount = allResults.filter(r => r.success).length;
-            const failureCount = allResults.filter(r => !r.success).length;
+            const summaries = jobs.map(job => this.jobJournal.getSummary(job.id));
+            const successCount = summaries.reduce((sum, summary) => sum + summary.done, 0);
+            const failureCount = summaries.reduce((sum, summary) => sum + summary.failed, 0);
 
             this.hideLoading();
 
@@ -1970,6 +2150,7 @@ class SpotifyMacOSApp {
             } else {
                 this.showSuccess(`Successfully ${actionType.toLowerCase()}d ${successCount} playlist${successCount > 1 ? 's' : ''}, but ${failureCount} failed.`);
             }
+            this.showJobReport(...jobs);
 
             // Refresh playlists
             await this.loadPlaylists();
@@ -1981,10 +2162,11 @@ class SpotifyMacOSApp {
         }
     }
 
+    // Replace the text of the notification from showLoading; like showLoading, takes markup
     updateLoadingMessage(message) {
-        const loadingElement = document.querySelector('.loading-message');
+        const loadingElement = document.querySelector('.notification.loading .loading-message');
         if (loadingElement) {
-            loadingElement.textContent = message;
+            loadingElement.innerHTML = message;
         }
     }
 
@@ -2088,31 +2270,22 @@ class SpotifyMacOSApp {
 
     async loadLibrary() {
         try {
-            const tracks = await this.spotifyApi.getSavedTracks();
-            const container = document.getElementById('library-content');
-
-            if (tracks.items && tracks.items.length > 0) {
-                container.innerHTML = tracks.items.map(item => {
-                    const track = item.track;
-                    return `
-                        <div class="track-card" data-uri="${track.uri}">
-                            <img src="${track.album.images[0]?.url || ''}" alt="${track.album.name}">
-                            <h3>${track.name}</h3>
-                            <p>${track.artists.map(artist => artist.name).join(', ')}</p>
-                        </div>
-                    `;
-                }).join('');
-
-                // Add click handlers for tracks
-                container.querySelectorAll('.track-card').forEach(card => {
-                    card.addEventListener('click', () => {
-                        const trackUri = card.dataset.uri;
-                        this.player.playTrack(trackUri);
-                    });
-                });
-            } else {
-                container.innerHTML = '<p>No saved tracks found.</p>';
+            // Render cached tracks straight away, then revalidate in the background
+            const cached = await this.spotifyApi.getSavedTracks(50, 0, { cache: 'only-if-cached' }).catch(() => null);
+            if (cached) {
+                this.renderLibrary(cached);
+                this.spotifyApi.getSavedTracks(50, 0, { cache: 'no-cache' })
+                    .then(tracks => {
+                        const signature = page => (page.items || []).map(item => `${item.track?.id}:${item.added_at}`).join(',');
+                        if (signature(tracks) !== signature(cached)) {
+                            this.renderLibrary(tracks);
+                        }
+                    })
+                    .catch(error => console.warn('Background library refresh failed:', error));
+                return;
             }
+
+            this.renderLibrary(await this.spotifyApi.getSavedTracks());
         } catch (error) {
             console.error('Failed to load library:', error);
             const container = document.getElementById('library-content');
@@ -2121,6 +2294,33 @@ class SpotifyMacOSApp {
         }
     }
 
+    renderLibrary(tracks) {
+        const container = document.getElementById('library-content');
+
+        if (tracks.items && tracks.items.length > 0) {
+            container.innerHTML = tracks.items.map(item => {
+                const track = item.track;
+                return `
+                    <div class="track-card" data-uri="${track.uri}">
+                        <img src="${track.album.images[0]?.url || ''}" alt="${track.album.name}">
+                        <h3>${track.name}</h3>
+                        <p>${track.artists.map(artist => artist.name).join(', ')}</p>
+                    </div>
+                `;
+            }).join('');
+
+            // Add click handlers for tracks
+            container.querySelectorAll('.track-card').forEach(card => {
+                card.addEventListener('click', () => {
+                    const trackUri = card.dataset.uri;
+                    this.player.playTrack(trackUri);
+                });
+            });
+        } else {
+            container.innerHTML = '<p>No saved tracks found.</p>';
+        }
+    }
+
     async loadPlaylistTracks(playlistId) {
         try {
             // Show modal immediately with loading state
@@ -2130,22 +2330,18 @@ class SpotifyMacOSApp {
             const loadingStartTime = Date.now();
             const minLoadingTime = 800; // 800ms minimum
 
-            const [tracks] = await Promise.all([
-                this.spotifyApi.getAllPlaylistTracks(playlistId),
-                new Promise(resolve => setTimeout(resolve, minLoadingTime))
-            ]);
+            // Tracks come from the local copy unless the playlist's snapshot changed
+            const synced = await this.playlistSync.getTracks(playlistId);
 
-            // Ensure minimum loading time has passed
+            // Only hold the loading state when tracks actually had to be fetched
             const elapsedTime = Date.now() - loadingStartTime;
-            if (elapsedTime < minLoadingTime) {
+            if (!synced.fromCache && elapsedTime < minLoadingTime) {
                 await new Promise(resolve => setTimeout(resolve, minLoadingTime - elapsedTime));
             }
 
-            // Get playlist name for the modal title
-            const playlistName = await this.getPlaylistName(playlistId);
-
             // Display tracks in modal
-            this.showPlaylistTracksModal(tracks, playlistName, playlistId, 'playlist');
+            this.currentPlaylistSnapshotId = synced.snapshotId;
+            this.showPlaylistTracksModal(synced.tracks, synced.name || 'Playlist Tracks', playlistId, 'playlist');
 
         } catch (error) {
             console.error('Failed to load playlist tracks:', error);
@@ -2453,16 +2649,6 @@ class SpotifyMacOSApp {
         }
     }
 
-    async getPlaylistName(playlistId) {
-        try {
-            const playlist = await this.spotifyApi.getPlaylist(playlistId);
-            return playlist.name;
-        } catch (error) {
-            console.error('Failed to get playlist name:', error);
-            return 'Playlist Tracks';
-        }
-    }
-
     showPlaylistTracksModal(tracks, name, id, type = 'playlist') {
         const modal = document.getElementById('playlist-tracks-modal');
         const title = document.getElementById('playlist-tracks-title');
@@ -2479,17 +2665,18 @@ class SpotifyMacOSApp {
         this.selectedTracks = new Set(); // Store selected track URIs
         this.currentPlaylistId = id; // Store current ID for operations
         this.currentTracksType = type; // Store type: 'playlist' or 'album'
+        this.currentTracksName = name; // Store name for exports
 
         // Initialize virtual scrolling
-        this.virtualScroll = {
-            itemHeight: 60, // Approximate height of each track row
-            containerHeight: 500,
-            bufferSize: 10, // Extra items to render outside visible area
-            startIndex: 0,
-            endIndex: 0,
-            scrollTop: 0,
-            scrollHandler: null // Store reference to scroll handler for cleanup
-        };
+        if (this.tracksTable) {
+            this.tracksTable.detach();
+        }
+        this.tracksTable = new VirtualTrackTable({
+            container: modal.querySelector('.playlist-tracks-table-container'),
+            body: tracksList,
+            colspan: () => this.currentTracksType === 'playlist' ? 7 : 5,
+            renderRow: item => this.renderPlaylistTrackRow(item)
+        });
 
         // Set modal title
         title.textContent = `${name} (${tracks.length} tracks)`;
@@ -2512,9 +2699,15 @@ class SpotifyMacOSApp {
                     <button id="deselect-all-tracks-btn" class="track-action-btn" style="display: none;" onclick="window.spotifyApp.deselectAllTracks()" title="Deselect All">
                         <i class="fas fa-square"></i>
                     </button>
+                    <button id="queue-selected-tracks-btn" class="track-action-btn" style="display: none;" onclick="window.spotifyApp.queueSelectedTracks()" title="Add Selected Tracks to Queue">
+                        <i class="fas fa-list-ol"></i>
+                    </button>
                     <button id="remove-selected-tracks-btn" class="track-action-btn delete-btn" style="display: none;" onclick="window.spotifyApp.removeSelectedTracks()" title="Remove Selected Tracks">
                         <i class="fas fa-trash"></i>
                     </button>
+                    <button id="find-duplicates-btn" class="track-action-btn" onclick="window.spotifyApp.findDuplicateTracks()" title="Find Duplicates">
+                        <i class="fas fa-clone"></i>
+                    </button>
                 </div>
             `;
         } else {
@@ -2547,11 +2740,17 @@ class SpotifyMacOSApp {
             this.setupTrackSelection();
         }
 
+        // Tracks can be dragged into a new order in playlists the user can edit
+        const playlist = (this.allPlaylists || []).find(candidate => candidate.id === id);
+        this.currentPlaylistEditable = type === 'playlist' && !!playlist &&
+            (playlist.owner?.id === this.userProfile?.id || !!playlist.collaborative);
+        this.setupTrackReordering();
+
         // Setup virtual scrolling
         this.setupVirtualScrolling();
 
-        // Render tracks
-        this.renderPlaylistTracks();
+        // Render tracks from the top
+        this.renderPlaylistTracks(true);
 
         // Show modal
         modal.style.display = 'flex';
@@ -2572,108 +2771,83 @@ class SpotifyMacOSApp {
     }
 
     setupVirtualScrolling() {
-        const container = document.querySelector('.playlist-tracks-table-container');
-        if (!container) return;
-
-        // Clean up any existing scroll listener
-        if (this.virtualScroll.scrollHandler) {
-            container.removeEventListener('scroll', this.virtualScroll.scrollHandler);
-        }
-
-        // Update container height in virtual scroll config
-        this.virtualScroll.containerHeight = container.clientHeight || 500;
-
-        // Create scroll event handler with debouncing
-        this.virtualScroll.scrollHandler = this.debounce((e) => {
-            this.virtualScroll.scrollTop = e.target.scrollTop;
-            this.updateVisibleRange();
-            this.renderPlaylistTracks();
-        }, 16); // ~60fps
-
-        // Add scroll event listener
-        container.addEventListener('scroll', this.virtualScroll.scrollHandler);
-
-        // Initial visible range calculation
-        this.updateVisibleRange();
+        this.tracksTable.attach();
     }
 
-    updateVisibleRange() {
-        const { itemHeight, containerHeight, bufferSize } = this.virtualScroll;
-        const scrollTop = this.virtualScroll.scrollTop;
-
-        // Calculate visible range with buffer
-        const startIndex = Math.max(0, Math.floor(scrollTop / itemHeight) - bufferSize);
-        const visibleCount = Math.ceil(containerHeight / itemHeight) + (bufferSize * 2);
-        const endIndex = Math.min(this.filteredTracks.length, startIndex + visibleCount);
-
-        this.virtualScroll.startIndex = startIndex;
-        this.virtualScroll.endIndex = endIndex;
+    renderPlaylistTracks(resetScroll = false) {
+        this.tracksTable.setItems(this.filteredTracks, resetScroll);
     }
 
-    renderPlaylistTracks() {
-        const tracksList = document.getElementById('playlist-tracks-list');
-        const tracks = this.filteredTracks;
-        const { startIndex, endIndex, itemHeight } = this.virtualScroll;
-
-        // Clear previous tracks
-        tracksList.innerHTML = '';
-
-        // Add top spacer for virtual scrolling
-        const colspan = this.currentTracksType === 'playlist' ? 7 : 5;
-        if (startIndex > 0) {
-            const topSpacer = document.createElement('tr');
-            topSpacer.innerHTML = `<td colspan="${colspan}" style="height: ${startIndex * itemHeight}px;"></td>`;
-            tracksList.appendChild(topSpacer);
-        }
-
-        // Add visible tracks
-        for (let i = startIndex; i < endIndex; i++) {
-            const item = tracks[i];
-            const track = item.track;
-            if (!track) continue;
-
-            const trackRow = document.createElement('tr');
-            trackRow.className = 'playlist-track-row';
-            trackRow.dataset.trackUri = track.uri;
-            
-            // Conditionally show checkboxes and remove buttons based on type
-            const showControls = this.currentTracksType === 'playlist';
-            
-            trackRow.innerHTML = `
-                <td class="track-number">${item.playlistPosition}</td>
-                ${showControls ? `<td class="track-select-cell">
-                    <input type="checkbox" class="track-checkbox" data-track-uri="${track.uri}" data-position="${item.playlistPosition - 1}" ${this.selectedTracks.has(track.uri) ? 'checked' : ''}>
-                </td>` : ''}
-                <td class="track-name-cell">
-                    <div class="track-name">
-                        <img src="${track.album?.images?.[0]?.url || ''}" alt="${track.album?.name || 'Album'}" class="track-image">
-                        <span>${track.name}</span>
-                    </div>
-                </td>
-                <td class="track-author-cell">${track.artists?.map(artist => artist.name).join(', ') || 'Unknown Artist'}</td>
-                <td class="track-duration">${this.formatDuration(track.duration_ms)}</td>
-                <td class="track-play-cell">
-                    <button class="track-play-btn" onclick="window.spotifyApp.playTrack('${track.uri}', this)" title="Play" data-track-uri="${track.uri}">
-                        <i class="fas fa-play"></i>
-                    </button>
-                </td>
-                ${showControls ? `<td class="track-remove-cell">
-                    <button class="track-remove-btn" onclick="window.spotifyApp.removeTrackFromPlaylist('${track.uri}', ${item.playlistPosition - 1})" title="Remove Track">
-                        <i class="fas fa-trash"></i>
-                    </button>
-                </td>` : ''}
-            `;
+    renderPlaylistTrackRow(item) {
+        if (!item.track) return null;
+
+        // Checkboxes, remove buttons and dragging only apply to playlists
+        const isPlaylist = this.currentTracksType === 'playlist';
+        return this.createTrackRow(item, {
+            number: item.playlistPosition,
+            position: item.playlistPosition - 1,
+            selectable: isPlaylist,
+            selected: this.selectedTracks.has(item.track.uri),
+            removable: isPlaylist,
+            draggable: this.canReorderTracks()
+        });
+    }
 
-            tracksList.appendChild(trackRow);
+    /**
+     * Build a track table row, shared by the tracks modal and Liked Songs
+     * @param {Object} item - Item with a `track` (playlist item or saved track)
+     * @param {Object} options
+     * @param {number} options.number - Number shown in the first column
+     * @param {number} [options.position] - Playlist position, for removal and dragging
+     * @param {boolean} [options.selectable] - Show a selection checkbox
+     * @param {boolean} [options.selected] - Checkbox state
+     * @param {boolean} [options.removable] - Show a remove-from-playlist button
+     * @param {boolean} [options.draggable] - Row can be dragged to reorder
+     * @param {boolean} [options.showAlbum] - Show the album column
+     * @param {boolean} [options.showAddedAt] - Show the date-added column
+     * @returns {HTMLTableRowElement}
+     */
+    createTrackRow(item, options) {
+        const track = item.track;
+        const trackRow = document.createElement('tr');
+        trackRow.className = 'playlist-track-row';
+        trackRow.dataset.trackUri = track.uri;
+        if (options.position !== undefined) {
+            trackRow.dataset.position = options.position;
         }
+        trackRow.draggable = !!options.draggable;
+
+        const uri = this.escapeHtml(track.uri);
+        const albumName = this.escapeHtml(track.album?.name);
+
+        trackRow.innerHTML = `
+            <td class="track-number">${options.number}</td>
+            ${options.selectable ? `<td class="track-select-cell">
+                <input type="checkbox" class="track-checkbox" data-track-uri="${uri}"${options.position !== undefined ? ` data-position="${options.position}"` : ''} ${options.selected ? 'checked' : ''}>
+            </td>` : ''}
+            <td class="track-name-cell">
+                <div class="track-name">
+                    <img src="${this.escapeHtml(track.album?.images?.[0]?.url)}" alt="${albumName || 'Album'}" class="track-image">
+                    <span>${this.escapeHtml(track.name)}</span>
+                </div>
+            </td>
+            <td class="track-author-cell">${this.renderArtistLinks(track.artists) || 'Unknown Artist'}</td>
+            ${options.showAlbum ? `<td class="track-album-cell">${albumName}</td>` : ''}
+            ${options.showAddedAt ? `<td class="track-added-cell">${item.added_at ? new Date(item.added_at).toLocaleDateString() : ''}</td>` : ''}
+            <td class="track-duration">${this.formatDuration(track.duration_ms)}</td>
+            <td class="track-play-cell">
+                <button class="track-play-btn" onclick="window.spotifyApp.playTrack('${uri}', this)" title="Play" data-track-uri="${uri}">
+                    <i class="fas fa-play"></i>
+                </button>
+            </td>
+            ${options.removable ? `<td class="track-remove-cell">
+                <button class="track-remove-btn" onclick="window.spotifyApp.removeTrackFromPlaylist('${uri}', ${options.position})" title="Remove Track">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </td>` : ''}
+        `;
 
-        // Add bottom spacer for virtual scrolling
-        const remainingItems = tracks.length - endIndex;
-        if (remainingItems > 0) {
-            const bottomSpacer = document.createElement('tr');
-            bottomSpacer.innerHTML = `<td colspan="${colspan}" style="height: ${remainingItems * itemHeight}px;"></td>`;
-            tracksList.appendChild(bottomSpacer);
-        }
+        return trackRow;
     }
 
     filterPlaylistTracks(query) {
@@ -2694,16 +2868,12 @@ class SpotifyMacOSApp {
             });
         }
 
-        // Reset virtual scroll position when filtering
-        this.virtualScroll.scrollTop = 0;
-        this.virtualScroll.startIndex = 0;
-        this.updateVisibleRange();
-
         // Re-apply current sort to filtered results
         if (this.currentTracksSort.field) {
             this.sortPlaylistTracks(this.currentTracksSort.field, false);
         } else {
-            this.renderPlaylistTracks();
+            // Back to the top when filtering
+            this.renderPlaylistTracks(true);
         }
     }
 
@@ -2753,13 +2923,8 @@ class SpotifyMacOSApp {
             return 0;
         });
 
-        // Reset scroll position when sorting
-        this.virtualScroll.scrollTop = 0;
-        this.virtualScroll.startIndex = 0;
-        this.updateVisibleRange();
-
-        // Re-render with virtual scrolling
-        this.renderPlaylistTracks();
+        // Re-render with virtual scrolling, back at the top
+        this.renderPlaylistTracks(true);
     }
 
     reorderTableRows() {
@@ -2769,12 +2934,10 @@ class SpotifyMacOSApp {
 
     hidePlaylistTracksModal() {
         const modal = document.getElementById('playlist-tracks-modal');
-        const container = document.querySelector('.playlist-tracks-table-container');
 
         // Clean up scroll event listener
-        if (container && this.virtualScroll.scrollHandler) {
-            container.removeEventListener('scroll', this.virtualScroll.scrollHandler);
-            this.virtualScroll.scrollHandler = null;
+        if (this.tracksTable) {
+            this.tracksTable.detach();
         }
 
         // Clear track selection
@@ -2782,6 +2945,8 @@ class SpotifyMacOSApp {
 
         modal.style.display = 'none';
         document.removeEventListener('keydown', this.handleModalKeydown.bind(this));
+
+        this.leaveModalRoute();
     }
 
     handleModalKeydown(e) {
@@ -2810,27 +2975,52 @@ class SpotifyMacOSApp {
 
     async performSearch() {
         const query = document.getElementById('search-input').value.trim();
+        this.hideSearchSuggestions();
         if (!query) return;
 
-        try {
-            this.showLoading('Searching...');
+        // A pasted Spotify link opens what it points to
+        const resolved = SpotifyUriResolver.resolve(query);
+        if (resolved) {
+            this.openSpotifyReference(resolved);
+            return;
+        }
 
-            // Get selected search types from filters
-            const searchTypes = [];
-            if (document.getElementById('filter-tracks').checked) searchTypes.push('track');
-            if (document.getElementById('filter-artists').checked) searchTypes.push('artist');
-            if (document.getElementById('filter-albums').checked) searchTypes.push('album');
-            if (document.getElementById('filter-playlists').checked) searchTypes.push('playlist');
+        try {
+            const searchTypes = this.getSelectedSearchTypes();
 
             if (searchTypes.length === 0) {
                 this.showError('Please select at least one search category.');
-                this.hideLoading();
                 return;
             }
 
-            const results = await this.spotifyApi.search(query, searchTypes, 50);
-            this.displaySearchResults(results);
-            this.hideLoading();
+            this.updateSearchRoute(query, searchTypes);
+            this.searchQueries.addRecent(query);
+
+            // Results stay cached per query, with every page loaded so far, so tabs and Back don't search again
+            this.searchCache = this.searchCache || new Map();
+            const cacheKey = `${query}|${searchTypes.join(',')}`;
+            let search = this.searchCache.get(cacheKey);
+
+            if (!search) {
+                this.showLoading('Searching...');
+                const results = await this.spotifyApi.search(query, searchTypes, 50);
+                this.hideLoading();
+
+                Object.values(results).forEach(page => {
+                    page.loaded = (page.offset || 0) + (page.items || []).length;
+                    page.items = (page.items || []).filter(item => item);
+                });
+                search = { query, types: searchTypes, results, activeTab: 'all', loading: null };
+
+                this.searchCache.set(cacheKey, search);
+                if (this.searchCache.size > 20) {
+                    this.searchCache.delete(this.searchCache.keys().next().value);
+                }
+            }
+
+            this.searchState = search;
+            this.displaySearchResults(search.results);
+            this.switchSearchTab(search.activeTab);
         } catch (error) {
             this.hideLoading();
             console.error('Search failed:', error);
@@ -2852,33 +3042,21 @@ class SpotifyMacOSApp {
         html += this.renderAllResults(results);
         html += '</div>';
 
-        if (results.tracks?.items?.length > 0) {
-            html += '<div id="tracks-results" class="tab-content">';
-            html += this.renderTracksResults(results.tracks.items);
-            html += '</div>';
-        }
-
-        if (results.artists?.items?.length > 0) {
-            html += '<div id="artists-results" class="tab-content">';
-            html += this.renderArtistsResults(results.artists.items);
-            html += '</div>';
-        }
-
-        if (results.albums?.items?.length > 0) {
-            html += '<div id="albums-results" class="tab-content">';
-            html += this.renderAlbumsResults(results.albums.items);
+        // One tab per searched type, each with its own paging
+        ['tracks', 'artists', 'albums', 'playlists'].filter(key => results[key]).forEach(key => {
+            html += `<div id="${key}-results" class="tab-content">`;
+            html += results[key].items.length > 0
+                ? this.renderSearchResultsGrid(key, results[key].items)
+                : `<p class="search-placeholder">No ${key} found</p>`;
+            html += `<button class="toolbar-btn search-load-more" data-type="${key}" style="display: none;">Load more ${key}</button>`;
             html += '</div>';
-        }
-
-        if (results.playlists?.items?.length > 0) {
-            html += '<div id="playlists-results" class="tab-content">';
-            html += this.renderPlaylistsResults(results.playlists.items);
-            html += '</div>';
-        }
+        });
 
         html += '</div>';
         container.innerHTML = html;
 
+        Object.keys(results).forEach(key => this.updateSearchLoadMore(key));
+
         // Add click handlers for all result items
         this.addSearchResultHandlers();
     }
@@ -2887,140 +3065,154 @@ class SpotifyMacOSApp {
         let html = '<div class="search-results-grid">';
 
         // Show top results from each category
-        if (results.tracks?.items?.length > 0) {
-            html += results.tracks.items.slice(0, 4).map(track => `
-                <div class="search-result-item" data-type="track" data-uri="${track.uri}">
-                    <img src="${track.album.images[0]?.url || ''}" alt="${track.name}" class="result-image">
-                    <div class="result-title">${track.name}</div>
-                    <div class="result-subtitle">${track.artists.map(a => a.name).join(', ')}</div>
-                    <span class="result-type">Track</span>
-                </div>
-            `).join('');
-        }
+        ['tracks', 'artists', 'albums', 'playlists'].forEach(key => {
+            html += (results[key]?.items || []).slice(0, 4).map(item => this.renderSearchResultItem(key, item)).join('');
+        });
 
-        if (results.artists?.items?.length > 0) {
-            html += results.artists.items.slice(0, 4).map(artist => `
-                <div class="search-result-item" data-type="artist" data-uri="${artist.uri}">
-                    <img src="${artist.images[0]?.url || ''}" alt="${artist.name}" class="result-image">
-                    <div class="result-title">${artist.name}</div>
-                    <div class="result-subtitle">Artist</div>
-                    <span class="result-type">Artist</span>
-                </div>
-            `).join('');
-        }
+        html += '</div>';
+        return html;
+    }
 
-        if (results.albums?.items?.length > 0) {
-            html += results.albums.items.slice(0, 4).map(album => `
-                <div class="search-result-item" data-type="album" data-uri="${album.uri}">
-                    <img src="${album.images[0]?.url || ''}" alt="${album.name}" class="result-image">
-                    <div class="result-title">${album.name}</div>
-                    <div class="result-subtitle">${album.artists.map(a => a.name).join(', ')}</div>
-                    <span class="result-type">Album</span>
-                </div>
-            `).join('');
-        }
-
-        if (results.playlists?.items?.length > 0) {
-            html += results.playlists.items.slice(0, 4).map(playlist => `
-                <div class="search-result-item" data-type="playlist" data-uri="${playlist.uri}">
-                    <img src="${playlist.images[0]?.url || ''}" alt="${playlist.name}" class="result-image">
-                    <div class="result-title">${playlist.name}</div>
-                    <div class="result-subtitle">By ${playlist.owner.display_name}</div>
-                    <span class="result-type">Playlist</span>
-                </div>
-            `).join('');
-        }
-
-        html += '</div>';
-        return html;
-    }
-
-    renderTracksResults(tracks) {
+    renderSearchResultsGrid(key, items) {
         return `
             <div class="search-results-grid">
-                ${tracks.map(track => `
-                    <div class="search-result-item" data-type="track" data-uri="${track.uri}">
-                        <img src="${track.album.images[0]?.url || ''}" alt="${track.name}" class="result-image">
-                        <div class="result-title">${track.name}</div>
-                        <div class="result-subtitle">${track.artists.map(a => a.name).join(', ')}</div>
-                        <span class="result-type">Track</span>
-                    </div>
-                `).join('')}
+                ${items.map(item => this.renderSearchResultItem(key, item)).join('')}
             </div>
         `;
     }
 
-    renderArtistsResults(artists) {
-        return `
-            <div class="search-results-grid">
-                ${artists.map(artist => `
-                    <div class="search-result-item" data-type="artist" data-uri="${artist.uri}">
-                        <img src="${artist.images[0]?.url || ''}" alt="${artist.name}" class="result-image">
-                        <div class="result-title">${artist.name}</div>
+    renderSearchResultItem(key, item) {
+        switch (key) {
+            case 'tracks':
+                return `
+                    <div class="search-result-item" data-type="track" data-uri="${item.uri}">
+                        <img src="${item.album?.images?.[0]?.url || ''}" alt="${item.name}" class="result-image">
+                        <div class="result-title">${item.name}</div>
+                        <div class="result-subtitle">${item.artists.map(a => a.name).join(', ')}</div>
+                        <span class="result-type">Track</span>
+                    </div>
+                `;
+            case 'artists':
+                return `
+                    <div class="search-result-item" data-type="artist" data-uri="${item.uri}">
+                        <img src="${item.images?.[0]?.url || ''}" alt="${item.name}" class="result-image">
+                        <div class="result-title">${item.name}</div>
                         <div class="result-subtitle">Artist</div>
                         <span class="result-type">Artist</span>
                     </div>
-                `).join('')}
-            </div>
-        `;
-    }
-
-    renderAlbumsResults(albums) {
-        return `
-            <div class="search-results-grid">
-                ${albums.map(album => `
-                    <div class="search-result-item" data-type="album" data-uri="${album.uri}">
-                        <img src="${album.images[0]?.url || ''}" alt="${album.name}" class="result-image">
-                        <div class="result-title">${album.name}</div>
-                        <div class="result-subtitle">${album.artists.map(a => a.name).join(', ')}</div>
+                `;
+            case 'albums':
+                return `
+                    <div class="search-result-item" data-type="album" data-uri="${item.uri}">
+                        <img src="${item.images?.[0]?.url || ''}" alt="${item.name}" class="result-image">
+                        <div class="result-title">${item.name}</div>
+                        <div class="result-subtitle">${item.artists.map(a => a.name).join(', ')}</div>
                         <span class="result-type">Album</span>
                     </div>
-                `).join('')}
-            </div>
-        `;
-    }
-
-    renderPlaylistsResults(playlists) {
-        return `
-            <div class="search-results-grid">
-                ${playlists.map(playlist => `
-                    <div class="search-result-item" data-type="playlist" data-uri="${playlist.uri}">
-                        <img src="${playlist.images[0]?.url || ''}" alt="${playlist.name}" class="result-image">
-                        <div class="result-title">${playlist.name}</div>
-                        <div class="result-subtitle">By ${playlist.owner.display_name}</div>
+                `;
+            case 'playlists':
+                return `
+                    <div class="search-result-item" data-type="playlist" data-uri="${item.uri}">
+                        <img src="${item.images?.[0]?.url || ''}" alt="${item.name}" class="result-image">
+                        <div class="result-title">${item.name}</div>
+                        <div class="result-subtitle">By ${item.owner?.display_name || 'Unknown'}</div>
                         <span class="result-type">Playlist</span>
                     </div>
-                `).join('')}
-            </div>
-        `;
+                `;
+            default:
+                return '';
+        }
     }
 
-    addSearchResultHandlers() {
-        // Add click handlers for search result items
-        document.querySelectorAll('.search-result-item').forEach(item => {
-            item.addEventListener('click', (e) => {
-                const type = item.dataset.type;
-                const uri = item.dataset.uri;
+    // Spotify serves search results up to offset 1000
+    hasMoreSearchResults(page) {
+        return !!page && page.loaded < Math.min(page.total, 1000);
+    }
 
-                switch (type) {
-                    case 'track':
-                        this.player.playTrack(uri);
-                        break;
-                    case 'artist':
-                        // Could navigate to artist page or play top tracks
-                        this.showSuccess('Artist selected: ' + item.querySelector('.result-title').textContent);
-                        break;
-                    case 'album':
-                        // Could navigate to album page or play album
-                        this.showSuccess('Album selected: ' + item.querySelector('.result-title').textContent);
-                        break;
-                    case 'playlist':
-                        // Could navigate to playlist page or play playlist
-                        this.showSuccess('Playlist selected: ' + item.querySelector('.result-title').textContent);
-                        break;
+    updateSearchLoadMore(key) {
+        const button = document.querySelector(`.search-load-more[data-type="${key}"]`);
+        if (!button) return;
+
+        const loading = this.searchState?.loading === key;
+        button.style.display = this.hasMoreSearchResults(this.searchResults?.[key]) ? 'flex' : 'none';
+        button.disabled = loading;
+        button.textContent = loading ? 'Loading...' : `Load more ${key}`;
+    }
+
+    /**
+     * Append the next page of one result type of the current search
+     * @param {string} key - tracks, artists, albums or playlists
+     */
+    async loadMoreSearchResults(key) {
+        const search = this.searchState;
+        const page = search?.results[key];
+        if (!page || search.loading || !this.hasMoreSearchResults(page)) return;
+
+        search.loading = key;
+        this.updateSearchLoadMore(key);
+
+        try {
+            const limit = Math.min(50, 1000 - page.loaded);
+            const response = await this.spotifyApi.search(search.query, [key.slice(0, -1)], limit, page.loaded);
+            const next = response[key];
+            const rawItems = next?.items || [];
+            const items = rawItems.filter(item => item);
+
+            page.loaded += rawItems.length;
+            // An empty page ends the list even when total promised more
+            page.total = rawItems.length > 0 ? next.total : page.loaded;
+            page.items.push(...items);
+
+            if (this.searchState === search && items.length > 0) {
+                const content = document.getElementById(`${key}-results`);
+                const grid = content.querySelector('.search-results-grid');
+                if (grid) {
+                    grid.insertAdjacentHTML('beforeend', items.map(item => this.renderSearchResultItem(key, item)).join(''));
+                } else {
+                    content.querySelector('.search-placeholder')?.remove();
+                    content.insertAdjacentHTML('afterbegin', this.renderSearchResultsGrid(key, items));
                 }
-            });
-        });
+            }
+        } catch (error) {
+            console.error(`Failed to load more ${key}:`, error);
+            this.showError(`Failed to load more ${key}. Please try again.`);
+        } finally {
+            search.loading = null;
+        }
+
+        if (this.searchState === search) {
+            this.updateSearchLoadMore(key);
+            // Keep paging while the results don't fill the view yet
+            this.searchScrollHandler?.();
+        }
+    }
+
+    addSearchResultHandlers() {
+        // One delegated handler covers result items and pages appended later
+        document.getElementById('search-results').onclick = (e) => {
+            const loadMore = e.target.closest('.search-load-more');
+            if (loadMore) {
+                this.loadMoreSearchResults(loadMore.dataset.type);
+                return;
+            }
+
+            const item = e.target.closest('.search-result-item');
+            if (!item) return;
+
+            const type = item.dataset.type;
+            const uri = item.dataset.uri;
+
+            switch (type) {
+                case 'track':
+                    this.player.playTrack(uri);
+                    break;
+                case 'artist':
+                case 'album':
+                case 'playlist':
+                    this.openSpotifyReference(SpotifyUriResolver.resolve(uri));
+                    break;
+            }
+        };
     }
 
     updateUI() {
@@ -3233,26 +3425,42 @@ class SpotifyMacOSApp {
 
     // Search tab events
     bindSearchTabEvents() {
-        document.querySelectorAll('.search-tab').forEach(tab => {
+        document.querySelectorAll('.search-tabs .search-tab').forEach(tab => {
             tab.addEventListener('click', (e) => {
                 const tabName = e.target.dataset.tab;
                 this.switchSearchTab(tabName);
             });
         });
+
+        // The open type tab loads its next page as its end scrolls into view
+        const contentArea = document.querySelector('.content-area');
+        this.searchScrollHandler = () => {
+            const tabName = this.searchState?.activeTab;
+            if (this.currentSection === 'search' && tabName && tabName !== 'all' &&
+                contentArea.scrollTop + contentArea.clientHeight >= contentArea.scrollHeight - 400) {
+                this.loadMoreSearchResults(tabName);
+            }
+        };
+        contentArea.addEventListener('scroll', this.searchScrollHandler);
     }
 
     switchSearchTab(tabName) {
         // Update tab active states
-        document.querySelectorAll('.search-tab').forEach(tab => {
+        document.querySelectorAll('.search-tabs .search-tab').forEach(tab => {
             tab.classList.remove('active');
         });
-        document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
+        document.querySelector(`.search-tabs [data-tab="${tabName}"]`).classList.add('active');
 
         // Update content visibility
         document.querySelectorAll('.tab-content').forEach(content => {
             content.classList.remove('active');
         });
-        document.getElementById(`${tabName}-results`).classList.add('active');
+        document.getElementById(`${tabName}-results`)?.classList.add('active');
+
+        if (this.searchState) {
+            this.searchState.activeTab = tabName;
+            this.searchScrollHandler?.();
+        }
     }
 
     // Device status monitoring
@@ -3283,11 +3491,27 @@ class SpotifyMacOSApp {
         this.filteredPlaylists = null;
         this.allAlbums = []; // Clear albums data
         this.filteredAlbums = null;
+        this.toggleQueuePanel(false);
+        this.likedSongs = null; // Clear liked songs data
+        this.filteredLikedSongs = null;
         this.stopDeviceMonitoring();
+        this.stopSmartPlaylistSchedule();
+        this.stopListeningHistorySync();
+        this.historyEntries = null; // Clear listening history data
+        this.statsTopLists = null; // Clear listening stats data
+        this.browseFeed = null; // Clear browse data
+        this.searchCache = null; // Clear cached search results
+        this.searchState = null;
+        this.statsSnapshots = [];
+
+        // Cached responses belong to the disconnected account
+        this.spotifyApi.clearCache();
+        this.playlistSync.clear();
 
         // Clear stored tokens
         localStorage.removeItem('spotify_access_token');
         localStorage.removeItem('spotify_token_expires');
+        localStorage.removeItem('spotify_token_scope');
         localStorage.removeItem('spotify_client_id');
 
         // Reset UI
@@ -3311,6 +3535,17 @@ class SpotifyMacOSApp {
 document.addEventListener('DOMContentLoaded', () => {
     // Initialize Spotify API first
     window.spotifyApi = new SpotifyAPI();
+
+    // Replay recorded responses instead of calling Spotify (integration tests and demos)
+    const fixturesUrl = window.SPOTIFY_CONFIG?.fixturesUrl;
+    if (fixturesUrl) {
+        console.log('🧪 Fixture mode enabled, replaying API responses from:', fixturesUrl);
+        window.spotifyApi.setTransport(new FixtureTransport({
+            url: fixturesUrl,
+            baseUrls: [window.spotifyApi.baseUrl, window.spotifyApi.accountsUrl]
+        }).fetch);
+    }
+
     window.spotifyApp = new SpotifyMacOSApp();
 });
 
@@ -3338,6 +3573,14 @@ window.debugSpotifyTokens = function() {
     console.log('=== END DEBUG ===');
 };
 
+// Record live API responses so they can be replayed through SPOTIFY_CONFIG.fixturesUrl
+window.recordApiFixtures = function() {
+    const recorder = new FixtureRecorder(window.spotifyApi.transport, window.spotifyApi.baseUrl);
+    window.spotifyApi.setTransport(recorder.fetch);
+    window.exportApiFixtures = () => JSON.stringify(recorder.toJSON(), null, 2);
+    console.log('🎙️ Recording API responses. Run exportApiFixtures() to get the fixture JSON.');
+};
+
 // Track selection and removal functionality
 SpotifyMacOSApp.prototype.removeTrackFromPlaylist = async function(trackUri, position) {
     if (!this.currentPlaylistId) {
@@ -3356,7 +3599,13 @@ SpotifyMacOSApp.prototype.removeTrackFromPlaylist = async function(trackUri, pos
 
     try {
         this.showLoading('Removing track...');
-        await this.spotifyApi.removeTracksFromPlaylist(this.currentPlaylistId, [{ uri: trackUri }]);
+        // Only this occurrence: the same track may be in the playlist more than once
+        await this.spotifyApi.removeTracksFromPlaylist(
+            this.currentPlaylistId,
+            [{ uri: trackUri, positions: [position] }],
+            {},
+            this.currentPlaylistSnapshotId
+        );
         this.hideLoading();
         this.showSuccess('Track removed successfully');
 
@@ -3397,87 +3646,27 @@ SpotifyMacOSApp.prototype.removeSelectedTracks = async function() {
     try {
         this.showLoading(`Removing ${checkedBoxes.length} track${checkedBoxes.length > 1 ? 's' : ''}...`);
 
-        // Process tracks in parallel batches with retry logic for rate limits
+        // Journaled in batches of 100 (one request each) so an interrupted run can be resumed
         const batchSize = 100;
-        const maxWorkers = Math.min(8, Math.ceil(trackUris.length / batchSize));
         const batches = [];
-        const failedBatches = [];
-        const maxRetries = 3;
-        
-        // Create batches
         for (let i = 0; i < trackUris.length; i += batchSize) {
-            const batch = trackUris.slice(i, i + batchSize);
-            batches.push({ uris: batch, startIndex: i, retryCount: 0 });
-        }
-        
-        // Process all batches with retry logic
-        let totalProcessed = 0;
-        let retryDelay = 1000; // Start with 1 second delay
-        
-        while (batches.length > 0 || failedBatches.length > 0) {
-            // Move failed batches back to main queue if retries available
-            while (failedBatches.length > 0) {
-                const failedBatch = failedBatches.shift();
-                if (failedBatch.retryCount < maxRetries) {
-                    failedBatch.retryCount++;
-                    batches.unshift(failedBatch);
-                } else {
-                    // Max retries reached, skip this batch
-                    console.error(`Batch at index ${failedBatch.startIndex} failed after ${maxRetries} retries`);
-                    totalProcessed += failedBatch.uris.length;
-                }
-            }
-            
-            if (batches.length === 0) break;
-            
-            // Process batches in parallel using workers
-            const workers = [];
-            let batchIndex = 0;
-            
-            for (let workerId = 0; workerId < maxWorkers && batchIndex < batches.length; workerId++) {
-                const batch = batches[batchIndex];
-                const worker = this.processTrackRemovalBatch(batch.uris, batch.startIndex);
-                workers.push(worker);
-                batchIndex++;
-            }
-            
-            // Wait for workers to complete
-            const results = await Promise.all(workers);
-            
-            // Process results and collect failures
-            results.forEach((result, index) => {
-                const batch = batches[index];
-                if (result.success) {
-                    totalProcessed += batch.uris.length;
-                    
-                    // Update progress for large removals
-                    if (trackUris.length > batchSize) {
-                        this.showLoading(`Removing tracks... (${totalProcessed}/${trackUris.length})`);
-                    }
-                } else {
-                    // Batch failed, add to failed batches for retry
-                    failedBatches.push(batch);
-                }
-            });
-            
-            // Remove processed batches from queue
-            batches.splice(0, results.length);
-            
-            // If we have failed batches, wait before retrying
-            if (failedBatches.length > 0 && batches.length === 0) {
-                console.log(`Waiting ${retryDelay/1000}s before retrying ${failedBatches.length} failed batches`);
-                this.showLoading(`Rate limited, waiting ${retryDelay/1000}s before retry...`);
-                await new Promise(resolve => setTimeout(resolve, retryDelay));
-                retryDelay = Math.min(retryDelay * 2, 30000); // Exponential backoff, max 30s
-            }
+            const uris = trackUris.slice(i, i + batchSize);
+            batches.push({ key: `tracks-${i}`, label: `Tracks ${i + 1}-${i + uris.length}`, payload: uris });
         }
-        
-        // Check if all batches were processed successfully
-        if (failedBatches.length > 0) {
-            const failedCount = failedBatches.reduce((sum, batch) => sum + batch.uris.length, 0);
-            throw new Error(`Failed to remove ${failedCount} tracks after maximum retries due to rate limiting`);
+
+        const playlistName = document.getElementById('playlist-tracks-title').textContent;
+        const job = await this.startJob('remove-tracks', `Removing tracks from ${playlistName}`, batches, {
+            playlistId: this.currentPlaylistId
+        });
+
+        const { failed } = this.jobJournal.getSummary(job.id);
+        if (failed > 0) {
+            this.hideLoading();
+            this.showJobReport(job);
+            await this.loadPlaylistTracks(this.currentPlaylistId);
+            return;
         }
-        
+
         this.hideLoading();
         this.showSuccess(`${checkedBoxes.length} track${checkedBoxes.length > 1 ? 's' : ''} removed successfully`);
 
@@ -3490,25 +3679,6 @@ SpotifyMacOSApp.prototype.removeSelectedTracks = async function() {
     }
 };
 
-// Helper method to process a batch of track removals
-SpotifyMacOSApp.prototype.processTrackRemovalBatch = async function(trackUris, startIndex) {
-    const tracksToRemove = trackUris.map(uri => ({ uri }));
-    
-    try {
-        await this.spotifyApi.removeTracksFromPlaylist(this.currentPlaylistId, tracksToRemove);
-        return { success: true };
-    } catch (error) {
-        console.error(`Failed to remove batch at index ${startIndex}:`, error);
-        
-        // Check if it's a rate limit error
-        if (error.status === 429 || error.isRateLimit) {
-            console.log(`Rate limit error for batch at index ${startIndex}, will retry`);
-        }
-        
-        return { success: false, error };
-    }
-};
-
 // Track selection and removal functionality
 SpotifyMacOSApp.prototype.setupTrackSelection = function() {
     const modal = document.getElementById('playlist-tracks-modal');
@@ -3556,6 +3726,7 @@ SpotifyMacOSApp.prototype.updateTrackSelectionUI = function() {
     const selectAllBtn = document.getElementById('select-all-tracks-btn');
     const deselectAllBtn = document.getElementById('deselect-all-tracks-btn');
     const removeSelectedBtn = document.getElementById('remove-selected-tracks-btn');
+    const queueSelectedBtn = document.getElementById('queue-selected-tracks-btn');
 
     const checkboxes = modal.querySelectorAll('.track-checkbox');
     const checkedBoxes = modal.querySelectorAll('.track-checkbox:checked');
@@ -3580,10 +3751,12 @@ SpotifyMacOSApp.prototype.updateTrackSelectionUI = function() {
         selectAllBtn.style.display = 'none';
         deselectAllBtn.style.display = 'inline-flex';
         removeSelectedBtn.style.display = 'inline-flex';
+        queueSelectedBtn.style.display = 'inline-flex';
     } else {
         selectAllBtn.style.display = 'inline-flex';
         deselectAllBtn.style.display = 'none';
         removeSelectedBtn.style.display = 'none';
+        queueSelectedBtn.style.display = 'none';
     }
 };
 
@@ -3605,4 +3778,3351 @@ SpotifyMacOSApp.prototype.deselectAllTracks = function() {
         this.selectedTracks.delete(cb.dataset.trackUri);
     });
     this.updateTrackSelectionUI();
+};
+
+// Bulk job journal: persisted, resumable bulk operations
+SpotifyMacOSApp.prototype.getJobHandlers = function() {
+    return {
+        'delete-playlist': async (item) => {
+            await this.spotifyApi.deletePlaylist(item.payload, { priority: 'bulk' });
+            this.trashPlaylist(item, 'deleted');
+        },
+        'unfollow-playlist': async (item) => {
+            await this.spotifyApi.unfollowPlaylist(item.payload, { priority: 'bulk' });
+            this.trashPlaylist(item, 'unfollowed');
+        },
+        'restore-playlist': async (item) => {
+            const entry = this.playlistTrash.get(item.payload, this.userProfile?.id);
+            await this.spotifyApi.followPlaylist(item.payload, entry ? entry.public : true, { priority: 'bulk' });
+            this.playlistTrash.remove([item.payload], this.userProfile?.id);
+        },
+        'remove-albums': (item) => this.spotifyApi.removeSavedAlbums(item.payload, { priority: 'bulk' }),
+        'remove-liked-tracks': (item) => this.spotifyApi.removeSavedTracks(item.payload, { priority: 'bulk' }),
+        'remove-tracks': (item, job) => this.spotifyApi.removeTracksFromPlaylist(
+            job.context.playlistId,
+            item.payload.map(uri => ({ uri })),
+            { priority: 'bulk' }
+        )
+    };
+};
+
+/**
+ * Record a bulk job in the journal and run it
+ * @param {string} type - Job type, see getJobHandlers
+ * @param {string} title - Shown in progress messages and reports
+ * @param {Array<{key: string, label: string, payload: *}>} items - Work items
+ * @param {Object} [context] - Data shared by all items
+ * @returns {Promise<Object>} The finished job
+ */
+SpotifyMacOSApp.prototype.startJob = async function(type, title, items, context = {}) {
+    const job = this.jobJournal.create(type, title, items, context, this.userProfile?.id || null);
+    return this.runJob(job);
+};
+
+SpotifyMacOSApp.prototype.runJob = async function(job) {
+    const handler = this.getJobHandlers()[job.type];
+    if (!handler) {
+        throw new Error(`Unknown job type: ${job.type}`);
+    }
+
+    await this.processBatchOperations(
+        this.jobJournal.getPendingItems(job.id),
+        async (item) => {
+            try {
+                const result = await handler(item, job);
+                this.jobJournal.markItem(job.id, item.key, 'done');
+                return result;
+            } catch (error) {
+                this.jobJournal.markItem(job.id, item.key, 'failed', error);
+                throw error;
+            }
+        },
+        this.escapeHtml(job.title)
+    );
+
+    // A job with failed items stays unfinished, so they are offered again on the next start
+    if (this.jobJournal.getSummary(job.id).failed === 0) {
+        this.jobJournal.finish(job.id);
+    }
+    return job;
+};
+
+SpotifyMacOSApp.prototype.resumeUnfinishedJobs = async function() {
+    const jobs = this.jobJournal.getUnfinished(this.userProfile?.id);
+
+    for (const job of jobs) {
+        const summary = this.jobJournal.getSummary(job.id);
+        const remaining = summary.pending + summary.failed;
+        const when = new Date(job.updatedAt).toLocaleString();
+
+        // Nothing pending means the job ran to the end but some items failed
+        const resume = summary.pending === 0
+            ? await this.showConfirmationDialog(
+                'Retry Failed Items?',
+                `"${job.title}" finished on ${when} with ${summary.failed} of ${summary.total} items failed.\n\nRetry them now or abort the operation?`,
+                'Retry',
+                'Abort'
+            )
+            : await this.showConfirmationDialog(
+                'Resume Unfinished Operation?',
+                `"${job.title}" was interrupted on ${when}.\n\n${summary.done} of ${summary.total} items were completed, ${remaining} remain.\n\nResume it now or abort it?`,
+                'Resume',
+                'Abort'
+            );
+
+        if (!resume) {
+            this.jobJournal.finish(job.id, 'aborted');
+            this.showJobReport(job);
+            continue;
+        }
+
+        try {
+            this.showLoading(`${this.escapeHtml(job.title)}...`);
+            await this.runJob(job);
+            this.hideLoading();
+
+            const { failed } = this.jobJournal.getSummary(job.id);
+            if (failed === 0) {
+                this.showSuccess(`${this.escapeHtml(job.title)}: completed`);
+            } else {
+                this.showJobReport(job);
+            }
+            await this.refreshAfterJob(job);
+        } catch (error) {
+            console.error(`Failed to resume job ${job.id}:`, error);
+            this.hideLoading();
+            this.showError(`Failed to resume "${this.escapeHtml(job.title)}"`);
+        }
+    }
+};
+
+SpotifyMacOSApp.prototype.refreshAfterJob = async function(job) {
+    if (job.type === 'delete-playlist' || job.type === 'unfollow-playlist' || job.type === 'restore-playlist') {
+        await this.loadPlaylists();
+    } else if (job.type === 'remove-albums') {
+        await this.loadAlbums();
+    } else if (job.type === 'remove-liked-tracks') {
+        if (this.likedSongs) {
+            await this.loadLikedSongs(true);
+        }
+        await this.loadLibrary();
+    }
+};
+
+/**
+ * Show which items of one or more jobs did not go through, and why.
+ * Does nothing when every item succeeded.
+ * @param {...Object} jobs - Jobs from the journal
+ */
+SpotifyMacOSApp.prototype.showJobReport = function(...jobs) {
+    const unfinished = jobs.flatMap(job => job.items
+        .filter(item => item.status !== 'done')
+        .map(item => ({ job, item })));
+
+    if (unfinished.length === 0) {
+        return;
+    }
+
+    const total = jobs.reduce((sum, job) => sum + job.items.length, 0);
+    const retried = jobs.some(job => job.status === 'running') ? ' Failed items are offered for retry the next time you connect.' : '';
+
+    this.showItemReport(
+        jobs.length === 1 ? jobs[0].title : 'Operation Report',
+        `${total - unfinished.length} of ${total} items completed.${retried} These did not go through:`,
+        unfinished.map(({ job, item }) => ({
+            label: jobs.length > 1 ? `${job.title}: ${item.label}` : item.label,
+            reason: item.status === 'failed' ? (item.error || 'Unknown error') : 'Not attempted',
+            status: item.status
+        }))
+    );
+};
+
+/**
+ * Show a list of items with a reason for each (e.g. what failed and why)
+ * @param {string} title - Dialog title
+ * @param {string} summary - Line shown above the list
+ * @param {Array<{label: string, reason: string, status: string}>} rows - Report rows
+ */
+SpotifyMacOSApp.prototype.showItemReport = function(title, summary, rows) {
+    const dialog = document.getElementById('job-report-dialog');
+    const list = document.getElementById('job-report-list');
+
+    document.getElementById('job-report-title').textContent = title;
+    document.getElementById('job-report-summary').textContent = summary;
+
+    // Labels are playlist/album names, so build the list with textContent
+    list.innerHTML = '';
+    rows.forEach(({ label, reason, status }) => {
+        const row = document.createElement('li');
+        row.className = `job-report-item ${status}`;
+
+        const labelEl = document.createElement('span');
+        labelEl.className = 'job-report-label';
+        labelEl.textContent = label;
+
+        const reasonEl = document.createElement('span');
+        reasonEl.className = 'job-report-reason';
+        reasonEl.textContent = reason;
+
+        row.append(labelEl, reasonEl);
+        list.appendChild(row);
+    });
+
+    dialog.style.display = 'flex';
+    document.getElementById('job-report-close').onclick = () => {
+        dialog.style.display = 'none';
+    };
+};
+
+// Playlist trash: removed playlists can be followed again
+SpotifyMacOSApp.prototype.trashPlaylist = function(item, action) {
+    // Entries belong to the user who removed them; without a profile there is no one to restore them for
+    if (!this.userProfile?.id) return;
+
+    const playlist = this.allPlaylists.find(candidate => candidate.id === item.payload) || { id: item.payload, name: item.label };
+    this.playlistTrash.add(playlist, action, this.userProfile.id);
+};
+
+SpotifyMacOSApp.prototype.showPlaylistTrash = function() {
+    const dialog = document.getElementById('playlist-trash-dialog');
+    const list = document.getElementById('playlist-trash-list');
+    const selectAll = document.getElementById('select-all-trash');
+    const entries = this.playlistTrash.list(this.userProfile?.id);
+
+    list.innerHTML = '';
+    selectAll.checked = false;
+
+    if (entries.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'playlist-trash-empty';
+        empty.textContent = 'Trash is empty.';
+        list.appendChild(empty);
+    }
+
+    // Names come from Spotify users, so build rows with textContent
+    entries.forEach(entry => {
+        const row = document.createElement('li');
+        row.className = 'playlist-trash-item';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'playlist-trash-checkbox';
+        checkbox.dataset.id = entry.id;
+
+        const details = document.createElement('div');
+        details.className = 'playlist-trash-details';
+
+        const name = document.createElement('span');
+        name.className = 'playlist-trash-name';
+        name.textContent = entry.name;
+
+        const meta = document.createElement('span');
+        meta.className = 'playlist-trash-meta';
+        meta.textContent = `by ${entry.owner.display_name} · ${entry.action} ${new Date(entry.removedAt).toLocaleString()}`;
+
+        details.append(name, meta);
+        row.append(checkbox, details);
+        list.appendChild(row);
+    });
+
+    const getSelectedIds = () => Array.from(list.querySelectorAll('.playlist-trash-checkbox:checked')).map(cb => cb.dataset.id);
+
+    selectAll.onchange = () => {
+        list.querySelectorAll('.playlist-trash-checkbox').forEach(cb => {
+            cb.checked = selectAll.checked;
+        });
+    };
+
+    document.getElementById('playlist-trash-close').onclick = () => {
+        dialog.style.display = 'none';
+    };
+
+    document.getElementById('playlist-trash-forget').onclick = () => {
+        const ids = getSelectedIds();
+        if (ids.length === 0) {
+            this.showError('No playlists selected');
+            return;
+        }
+        this.playlistTrash.remove(ids, this.userProfile?.id);
+        this.showPlaylistTrash();
+    };
+
+    document.getElementById('playlist-trash-restore').onclick = async () => {
+        const ids = getSelectedIds();
+        if (ids.length === 0) {
+            this.showError('No playlists selected');
+            return;
+        }
+
+        dialog.style.display = 'none';
+        await this.restorePlaylists(ids);
+    };
+
+    dialog.style.display = 'flex';
+};
+
+SpotifyMacOSApp.prototype.restorePlaylists = async function(playlistIds) {
+    try {
+        this.showLoading(`Restoring ${playlistIds.length} playlist${playlistIds.length > 1 ? 's' : ''}...`);
+
+        const job = await this.startJob(
+            'restore-playlist',
+            'Restoring playlists',
+            playlistIds.map(playlistId => ({
+                key: playlistId,
+                label: this.playlistTrash.get(playlistId, this.userProfile?.id)?.name || playlistId,
+                payload: playlistId
+            }))
+        );
+        const { done, failed } = this.jobJournal.getSummary(job.id);
+
+        this.hideLoading();
+
+        if (failed === 0) {
+            this.showSuccess(`Restored ${done} playlist${done > 1 ? 's' : ''}`);
+        } else {
+            this.showError(`Restored ${done} playlist${done !== 1 ? 's' : ''}, ${failed} failed`);
+            this.showJobReport(job);
+        }
+
+        await this.loadPlaylists();
+    } catch (error) {
+        console.error('Failed to restore playlists:', error);
+        this.hideLoading();
+        this.showError('Failed to restore playlists. Please try again.');
+    }
+};
+
+// Library backup and restore
+/**
+ * Save text to a file
+ * @returns {Promise<boolean>} Whether the file was saved; false when the save panel was cancelled
+ */
+SpotifyMacOSApp.prototype.downloadFile = async function(filename, content, mimeType = 'application/json') {
+    // WKWebView ignores download links, so the macOS app shows a native save panel instead
+    const saveFile = window.webkit?.messageHandlers?.saveFile;
+    if (saveFile) {
+        return saveFile.postMessage({ filename, content });
+    }
+
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return true;
+};
+
+SpotifyMacOSApp.prototype.backupLibrary = async function() {
+    try {
+        this.showLoading('Backing up your library...');
+        const archive = await new LibraryBackup(this.spotifyApi).export(message => this.updateLoadingMessage(message));
+        this.hideLoading();
+
+        const date = new Date().toISOString().slice(0, 10);
+        const saved = await this.downloadFile(`spofify-library-${date}.json`, JSON.stringify(archive, null, 2));
+        if (!saved) return; // save panel cancelled
+        this.showSuccess(`Backed up ${archive.playlists.length} playlists, ${archive.albums.length} albums and ${archive.tracks.length} liked songs`);
+    } catch (error) {
+        console.error('Failed to back up library:', error);
+        this.hideLoading();
+        this.showError('Failed to back up your library. Please try again.');
+    }
+};
+
+SpotifyMacOSApp.prototype.restoreLibrary = async function(file) {
+    let archive;
+    try {
+        archive = JSON.parse(await file.text());
+        LibraryBackup.validate(archive);
+    } catch (error) {
+        console.error('Invalid library backup:', error);
+        this.showError(error instanceof SyntaxError ? 'This file is not valid JSON' : error.message);
+        return;
+    }
+
+    const confirmed = await this.showConfirmationDialog(
+        'Restore Library Backup?',
+        `Backup of ${archive.user?.display_name || archive.user?.id || 'unknown user'} from ${new Date(archive.exportedAt).toLocaleString()}:\n\n` +
+        `${archive.playlists.length} playlists, ${archive.albums.length} albums, ${archive.tracks.length} liked songs\n\n` +
+        'Playlists still in your library are left as they are. Removed playlists are followed again, or recreated when they no longer exist. Albums and liked songs are saved to your library.',
+        'Restore',
+        'Cancel'
+    );
+
+    if (!confirmed) return;
+
+    try {
+        this.showLoading('Restoring your library...');
+        const report = await new LibraryBackup(this.spotifyApi).restore(archive, message => this.updateLoadingMessage(message));
+        this.hideLoading();
+
+        const { playlists, albums, tracks } = report.restored;
+        const skipped = report.skipped.playlists;
+        const summary = `Restored ${playlists} playlists, ${albums} albums and ${tracks} liked songs` +
+            (skipped > 0 ? ` (${skipped} playlist${skipped > 1 ? 's were' : ' was'} still in your library)` : '');
+
+        if (report.failed.length === 0) {
+            this.showSuccess(summary);
+        } else {
+            this.showItemReport(
+                'Library Restore',
+                `${summary}. These items could not be restored:`,
+                report.failed.map(failure => ({
+                    label: `${failure.type}: ${failure.name}`,
+                    reason: failure.reason,
+                    status: 'failed'
+                }))
+            );
+        }
+
+        await this.loadPlaylists();
+        await this.loadLibrary();
+    } catch (error) {
+        console.error('Failed to restore library:', error);
+        this.hideLoading();
+        this.showError('Failed to restore your library. Please try again.');
+    }
+};
+
+// Track list export (CSV / M3U / XSPF) from the tracks modal
+SpotifyMacOSApp.prototype.showTrackExportDialog = function() {
+    const dialog = document.getElementById('track-export-dialog');
+    const columnsContainer = document.getElementById('track-export-columns');
+    const tracks = this.filteredTracks || [];
+
+    if (tracks.length === 0) {
+        this.showError('No tracks to export');
+        return;
+    }
+
+    const isFiltered = tracks.length !== (this.originalTracks || []).length;
+    document.getElementById('track-export-summary').textContent =
+        `${tracks.length} track${tracks.length > 1 ? 's' : ''}${isFiltered ? ' (current search results)' : ''}, in the order shown.`;
+
+    // CSV column choices, remembered between exports
+    let selectedColumns = TrackExporter.DEFAULT_COLUMNS;
+    try {
+        selectedColumns = JSON.parse(localStorage.getItem('spofify_export_columns')) || selectedColumns;
+    } catch (error) {
+        console.warn('Ignoring unreadable export column settings:', error);
+    }
+
+    columnsContainer.innerHTML = Object.entries(TrackExporter.COLUMNS).map(([key, column]) => `
+        <label class="filter-option">
+            <input type="checkbox" class="track-export-column" value="${key}" ${selectedColumns.includes(key) ? 'checked' : ''}>
+            <span>${column.label}</span>
+        </label>
+    `).join('');
+
+    const formatInputs = dialog.querySelectorAll('input[name="track-export-format"]');
+    const updateColumnsVisibility = () => {
+        const format = dialog.querySelector('input[name="track-export-format"]:checked').value;
+        columnsContainer.style.display = format === 'csv' ? 'grid' : 'none';
+    };
+    formatInputs.forEach(input => {
+        input.onchange = updateColumnsVisibility;
+    });
+    updateColumnsVisibility();
+
+    document.getElementById('track-export-cancel').onclick = () => {
+        dialog.style.display = 'none';
+    };
+
+    document.getElementById('track-export-confirm').onclick = () => {
+        const format = dialog.querySelector('input[name="track-export-format"]:checked').value;
+        const columns = Array.from(columnsContainer.querySelectorAll('.track-export-column:checked')).map(cb => cb.value);
+
+        if (format === 'csv' && columns.length === 0) {
+            this.showError('Select at least one column');
+            return;
+        }
+
+        localStorage.setItem('spofify_export_columns', JSON.stringify(columns));
+        dialog.style.display = 'none';
+        this.exportTracks(format, columns);
+    };
+
+    dialog.style.display = 'flex';
+};
+
+/**
+ * Export the tracks currently shown in the modal (filtered and sorted)
+ * @param {string} format - 'csv', 'm3u' or 'xspf'
+ * @param {Array<string>} [columns] - CSV columns, keys of TrackExporter.COLUMNS
+ */
+SpotifyMacOSApp.prototype.exportTracks = async function(format, columns = TrackExporter.DEFAULT_COLUMNS) {
+    try {
+        const name = this.currentTracksName || 'tracks';
+        const exporter = new TrackExporter({
+            title: name,
+            albumName: this.currentTracksType === 'album' ? name : null
+        });
+        const { extension, mimeType } = TrackExporter.FORMATS[format];
+        const content = exporter.export(this.filteredTracks || [], format, columns);
+
+        const filename = `${name.replace(/[\\/:*?"<>|]+/g, '_').trim() || 'tracks'}.${extension}`;
+        const saved = await this.downloadFile(filename, content, `${mimeType};charset=utf-8`);
+        if (saved) {
+            this.showSuccess(`Exported ${filename}`);
+        }
+    } catch (error) {
+        console.error('Failed to export tracks:', error);
+        this.showError('Failed to export tracks');
+    }
+};
+
+// Playlist import from CSV / M3U / plain-text track lists
+SpotifyMacOSApp.prototype.importPlaylist = async function(file) {
+    let entries;
+    try {
+        entries = PlaylistImporter.parse(await file.text(), file.name);
+    } catch (error) {
+        console.error('Failed to parse import file:', error);
+        this.showError(error.message);
+        return;
+    }
+
+    if (entries.length === 0) {
+        this.showError('No tracks found in this file');
+        return;
+    }
+
+    try {
+        this.showLoading(`Matching ${entries.length} tracks on Spotify...`);
+        const results = await new PlaylistImporter(this.spotifyApi).resolveAll(entries, (done, total) => {
+            this.updateLoadingMessage(`Matching tracks on Spotify... (${done}/${total})`);
+        });
+        this.hideLoading();
+
+        const name = file.name.replace(/\.[^.]+$/, '').trim() || 'Imported Playlist';
+        this.showPlaylistImportReview(name, results);
+    } catch (error) {
+        console.error('Failed to match imported tracks:', error);
+        this.hideLoading();
+        this.showError('Failed to match tracks. Please try again.');
+    }
+};
+
+SpotifyMacOSApp.prototype.showPlaylistImportReview = function(name, results) {
+    const dialog = document.getElementById('playlist-import-dialog');
+    const rows = document.getElementById('playlist-import-rows');
+    const selectAll = document.getElementById('select-all-import');
+    const { accept, review } = PlaylistImporter.THRESHOLDS;
+
+    const describeEntry = entry => entry.title
+        ? `${entry.artists.length ? `${entry.artists.join(', ')} - ` : ''}${entry.title}`
+        : (entry.isrc || entry.trackId || '');
+    const describeTrack = track => `${(track.artists || []).map(artist => artist.name).join(', ')} - ${track.name}`;
+
+    const needsReview = results.filter(result => result.match && result.confidence >= review && result.confidence < accept).length;
+    const unmatched = results.filter(result => result.confidence < review).length;
+    document.getElementById('playlist-import-summary').textContent =
+        `${results.length} lines read, ${results.length - needsReview - unmatched} matched, ` +
+        `${needsReview} need review, ${unmatched} not found. Pick the right match where unsure.`;
+    document.getElementById('playlist-import-name').value = name;
+
+    // Track and file names come from outside the app, so cells use textContent
+    rows.innerHTML = '';
+    results.forEach((result, index) => {
+        const row = document.createElement('tr');
+        row.className = `playlist-import-row${result.match ? '' : ' unmatched'}`;
+
+        const include = document.createElement('input');
+        include.type = 'checkbox';
+        include.className = 'playlist-import-include';
+        include.dataset.index = index;
+        include.checked = result.confidence >= accept;
+        include.disabled = !result.match;
+
+        const source = document.createElement('td');
+        source.textContent = describeEntry(result.entry);
+        source.title = source.textContent;
+
+        const matchCell = document.createElement('td');
+        if (result.candidates.length > 1) {
+            const select = document.createElement('select');
+            select.className = 'playlist-import-candidate';
+            select.dataset.index = index;
+            result.candidates.forEach((candidate, candidateIndex) => {
+                const option = document.createElement('option');
+                option.value = candidateIndex;
+                option.textContent = `${describeTrack(candidate.track)} (${Math.round(candidate.score * 100)}%)`;
+                select.appendChild(option);
+            });
+            matchCell.appendChild(select);
+        } else {
+            matchCell.textContent = result.match ? describeTrack(result.match) : (result.error || 'No match found');
+            matchCell.title = matchCell.textContent;
+        }
+
+        const confidence = document.createElement('span');
+        const level = result.confidence >= accept ? 'high' : result.confidence >= review ? 'review' : 'none';
+        confidence.className = `import-confidence ${level}`;
+        confidence.textContent = result.match ? `${Math.round(result.confidence * 100)}%` : '-';
+
+        const cell = content => {
+            const td = document.createElement('td');
+            td.append(content);
+            return td;
+        };
+        row.append(cell(include), cell(String(result.entry.line)), source, matchCell, cell(confidence));
+        rows.appendChild(row);
+    });
+
+    const includes = () => Array.from(rows.querySelectorAll('.playlist-import-include:not(:disabled)'));
+    const updateSelectAll = () => {
+        const boxes = includes();
+        selectAll.checked = boxes.length > 0 && boxes.every(cb => cb.checked);
+    };
+    includes().forEach(cb => {
+        cb.onchange = updateSelectAll;
+    });
+    selectAll.onchange = () => {
+        includes().forEach(cb => {
+            cb.checked = selectAll.checked;
+        });
+    };
+    updateSelectAll();
+
+    // Choosing another candidate means the user has reviewed the line
+    rows.querySelectorAll('.playlist-import-candidate').forEach(select => {
+        select.onchange = () => {
+            rows.querySelector(`.playlist-import-include[data-index="${select.dataset.index}"]`).checked = true;
+            updateSelectAll();
+        };
+    });
+
+    document.getElementById('playlist-import-cancel').onclick = () => {
+        dialog.style.display = 'none';
+    };
+
+    document.getElementById('playlist-import-confirm').onclick = () => {
+        const playlistName = document.getElementById('playlist-import-name').value.trim();
+        if (!playlistName) {
+            this.showError('Enter a playlist name');
+            return;
+        }
+
+        const chosen = new Map();
+        rows.querySelectorAll('.playlist-import-candidate').forEach(select => {
+            chosen.set(Number(select.dataset.index), Number(select.value));
+        });
+
+        const selection = results.map((result, index) => {
+            const checkbox = rows.querySelector(`.playlist-import-include[data-index="${index}"]`);
+            const candidate = result.candidates[chosen.get(index) || 0];
+            return checkbox.checked && candidate ? candidate.track : null;
+        });
+
+        if (!selection.some(track => track)) {
+            this.showError('Select at least one track to import');
+            return;
+        }
+
+        dialog.style.display = 'none';
+        this.createImportedPlaylist(playlistName, results, selection);
+    };
+
+    dialog.style.display = 'flex';
+};
+
+/**
+ * Create the playlist from the reviewed import
+ * @param {string} name - New playlist name
+ * @param {Array} results - Results from PlaylistImporter.resolveAll
+ * @param {Array<?Object>} selection - Chosen track per result, null when left out
+ */
+SpotifyMacOSApp.prototype.createImportedPlaylist = async function(name, results, selection) {
+    const uris = selection.filter(track => track).map(track => track.uri);
+    const skipped = results
+        .filter((result, index) => !selection[index])
+        .map(result => ({
+            label: `Line ${result.entry.line}: ${result.entry.title || result.entry.isrc || result.entry.trackId}`,
+            reason: result.match ? 'Left out' : (result.error || 'No match found'),
+            status: 'skipped'
+        }));
+
+    try {
+        this.showLoading(`Creating "${this.escapeHtml(name)}"...`);
+        const playlist = await this.spotifyApi.createPlaylist(name, 'Imported with Spofify', false);
+
+        this.updateLoadingMessage(`Adding ${uris.length} tracks...`);
+        const failed = [];
+        let added = uris.length;
+        try {
+            await this.spotifyApi.addTracksToPlaylist(playlist.id, uris, null, { priority: 'bulk' });
+        } catch (error) {
+            console.error('Failed to add imported tracks:', error);
+            added = error.added || 0;
+            failed.push({ label: `Tracks ${added + 1}-${uris.length}`, reason: error.message, status: 'failed' });
+        }
+        this.hideLoading();
+
+        const summary = `Created "${name}" with ${added} of ${results.length} tracks`;
+        if (failed.length === 0 && skipped.length === 0) {
+            this.showSuccess(this.escapeHtml(summary));
+        } else {
+            this.showItemReport('Playlist Import', `${summary}. These lines were not added:`, [...failed, ...skipped]);
+        }
+
+        await this.loadPlaylists();
+    } catch (error) {
+        console.error('Failed to create imported playlist:', error);
+        this.hideLoading();
+        this.showError('Failed to create the playlist. Please try again.');
+    }
+};
+
+// Duplicate tracks in the open playlist
+SpotifyMacOSApp.prototype.findDuplicateTracks = async function() {
+    if (!this.currentPlaylistId || this.currentTracksType !== 'playlist') {
+        this.showError('No playlist selected');
+        return;
+    }
+
+    try {
+        this.showLoading('Looking for duplicates...');
+        // Positions must match the snapshot the removal is sent against, so sync first
+        const synced = await this.playlistSync.getTracks(this.currentPlaylistId);
+        if (!synced.snapshotId) {
+            this.hideLoading();
+            this.showError('The playlist kept changing while it was read, try again in a moment');
+            return;
+        }
+
+        const groups = DuplicateFinder.find(synced.tracks);
+        this.hideLoading();
+
+        if (groups.length === 0) {
+            this.showSuccess('No duplicates found');
+            return;
+        }
+
+        this.showDuplicatesDialog(groups, synced.snapshotId);
+    } catch (error) {
+        console.error('Failed to find duplicates:', error);
+        this.hideLoading();
+        this.showError('Failed to look for duplicates');
+    }
+};
+
+SpotifyMacOSApp.prototype.showDuplicatesDialog = function(groups, snapshotId) {
+    const dialog = document.getElementById('duplicates-dialog');
+    const container = document.getElementById('duplicates-groups');
+    const reasons = {
+        uri: 'Same track',
+        isrc: 'Same recording',
+        similar: 'Same title and artist'
+    };
+
+    const copies = groups.reduce((sum, group) => sum + group.occurrences.length - 1, 0);
+    document.getElementById('duplicates-summary').textContent =
+        `${groups.length} track${groups.length > 1 ? 's' : ''} with ${copies} extra cop${copies > 1 ? 'ies' : 'y'}. ` +
+        'Checked copies are kept, the first one by default.';
+
+    // Track names come from Spotify users, so build rows with textContent
+    container.innerHTML = '';
+    groups.forEach((group, groupIndex) => {
+        const groupEl = document.createElement('div');
+        groupEl.className = 'duplicates-group';
+
+        const reason = document.createElement('div');
+        reason.className = 'duplicates-reason';
+        reason.textContent = reasons[group.reason];
+        groupEl.appendChild(reason);
+
+        group.occurrences.forEach(({ position, item }, occurrenceIndex) => {
+            const row = document.createElement('label');
+            row.className = 'duplicates-occurrence';
+
+            const keep = document.createElement('input');
+            keep.type = 'checkbox';
+            keep.className = 'duplicates-keep';
+            keep.dataset.group = groupIndex;
+            keep.dataset.occurrence = occurrenceIndex;
+            keep.checked = occurrenceIndex === 0;
+
+            const name = document.createElement('span');
+            name.className = 'duplicates-occurrence-name';
+            name.textContent = `${item.track.name} - ${(item.track.artists || []).map(artist => artist.name).join(', ')}`;
+            name.title = item.track.album?.name || '';
+
+            const meta = document.createElement('span');
+            meta.className = 'duplicates-occurrence-meta';
+            meta.textContent = `#${position + 1} · ${item.track.album?.name || 'Unknown album'} · ${this.formatDuration(item.track.duration_ms)}`;
+
+            row.append(keep, name, meta);
+            groupEl.appendChild(row);
+        });
+
+        container.appendChild(groupEl);
+    });
+
+    document.getElementById('duplicates-cancel').onclick = () => {
+        dialog.style.display = 'none';
+    };
+
+    document.getElementById('duplicates-remove').onclick = () => {
+        const toRemove = [];
+        container.querySelectorAll('.duplicates-keep:not(:checked)').forEach(checkbox => {
+            toRemove.push(groups[checkbox.dataset.group].occurrences[checkbox.dataset.occurrence]);
+        });
+
+        if (toRemove.length === 0) {
+            this.showError('Uncheck the copies you want to remove');
+            return;
+        }
+
+        // Removing duplicates should never take a track out of the playlist altogether
+        const unkept = groups.filter((group, groupIndex) =>
+            !container.querySelector(`.duplicates-keep[data-group="${groupIndex}"]:checked`));
+        if (unkept.length > 0) {
+            const name = this.escapeHtml(unkept[0].occurrences[0].item.track.name);
+            this.showError(unkept.length === 1
+                ? `Keep at least one copy of "${name}"`
+                : `Keep at least one copy of "${name}" and ${unkept.length - 1} other track${unkept.length > 2 ? 's' : ''}`);
+            return;
+        }
+
+        dialog.style.display = 'none';
+        this.removeDuplicateTracks(toRemove, snapshotId);
+    };
+
+    dialog.style.display = 'flex';
+};
+
+/**
+ * Remove the given occurrences from the open playlist
+ * @param {Array<{position: number, item: Object}>} occurrences - Occurrences to remove
+ * @param {string} snapshotId - Snapshot the positions refer to
+ */
+SpotifyMacOSApp.prototype.removeDuplicateTracks = async function(occurrences, snapshotId) {
+    const playlistId = this.currentPlaylistId;
+
+    try {
+        this.showLoading(`Removing ${occurrences.length} duplicate${occurrences.length > 1 ? 's' : ''}...`);
+        await this.spotifyApi.removeTracksFromPlaylist(
+            playlistId,
+            DuplicateFinder.toRemoval(occurrences),
+            { priority: 'bulk' },
+            snapshotId
+        );
+        this.hideLoading();
+        this.showSuccess(`Removed ${occurrences.length} duplicate${occurrences.length > 1 ? 's' : ''}`);
+    } catch (error) {
+        console.error('Failed to remove duplicates:', error);
+        this.hideLoading();
+        this.showError(error.removed
+            ? `Removed ${error.removed} of ${occurrences.length} duplicates before an error. Run Find Duplicates again to finish.`
+            : 'Failed to remove duplicates. Please try again.');
+    }
+
+    await this.loadPlaylistTracks(playlistId);
+};
+
+// Playlist merge, split and compare for the playlists selected in the table
+SpotifyMacOSApp.prototype.getSelectedPlaylists = function() {
+    const ids = Array.from(document.querySelectorAll('.playlist-checkbox:checked:not(#select-all-playlists)'))
+        .map(cb => cb.dataset.id);
+    return ids
+        .map(id => (this.allPlaylists || []).find(playlist => playlist.id === id))
+        .filter(playlist => playlist);
+};
+
+SpotifyMacOSApp.prototype.loadTracksOfPlaylists = async function(playlists) {
+    const itemLists = [];
+    for (const [index, playlist] of playlists.entries()) {
+        this.updateLoadingMessage(`Loading tracks of ${this.escapeHtml(playlist.name)}... (${index + 1}/${playlists.length})`);
+        itemLists.push((await this.playlistSync.getTracks(playlist.id)).tracks);
+    }
+    return itemLists;
+};
+
+SpotifyMacOSApp.prototype.showMergePlaylistsDialog = function() {
+    const playlists = this.getSelectedPlaylists();
+    if (playlists.length < 2) {
+        this.showError('Select at least two playlists to merge');
+        return;
+    }
+
+    const dialog = document.getElementById('playlist-merge-dialog');
+    const total = playlists.reduce((sum, playlist) => sum + (playlist.tracks?.total || 0), 0);
+    document.getElementById('playlist-merge-summary').textContent =
+        `${playlists.map(playlist => playlist.name).join(', ')} (${total} tracks). The originals are not changed.`;
+    document.getElementById('playlist-merge-name').value = playlists.map(playlist => playlist.name).join(' + ');
+
+    document.getElementById('playlist-merge-cancel').onclick = () => {
+        dialog.style.display = 'none';
+    };
+
+    document.getElementById('playlist-merge-confirm').onclick = () => {
+        const name = document.getElementById('playlist-merge-name').value.trim();
+        if (!name) {
+            this.showError('Enter a playlist name');
+            return;
+        }
+
+        dialog.style.display = 'none';
+        this.mergePlaylists(playlists, name, {
+            dedupe: document.getElementById('playlist-merge-dedupe').checked,
+            interleave: document.getElementById('playlist-merge-interleave').checked
+        });
+    };
+
+    dialog.style.display = 'flex';
+};
+
+/**
+ * Create a new playlist from the tracks of several playlists
+ * @param {Array<Object>} playlists - Source playlists, in merge order
+ * @param {string} name - New playlist name
+ * @param {Object} options - See PlaylistTools.merge
+ */
+SpotifyMacOSApp.prototype.mergePlaylists = async function(playlists, name, options) {
+    try {
+        this.showLoading('Merging playlists...');
+        const uris = PlaylistTools.merge(await this.loadTracksOfPlaylists(playlists), options);
+
+        this.updateLoadingMessage(`Creating "${this.escapeHtml(name)}" with ${uris.length} tracks...`);
+        await this.playlistTools.createPlaylist(name, `Merged from ${playlists.map(playlist => playlist.name).join(', ')}`, uris);
+
+        this.hideLoading();
+        this.showSuccess(`Created "${this.escapeHtml(name)}" with ${uris.length} tracks`);
+        await this.loadPlaylists();
+    } catch (error) {
+        console.error('Failed to merge playlists:', error);
+        this.hideLoading();
+        this.showError('Failed to merge playlists. Please try again.');
+    }
+};
+
+SpotifyMacOSApp.prototype.showSplitPlaylistDialog = async function() {
+    const [playlist] = this.getSelectedPlaylists();
+    if (!playlist) {
+        this.showError('Select a playlist to split');
+        return;
+    }
+
+    let items;
+    try {
+        this.showLoading(`Loading tracks of ${this.escapeHtml(playlist.name)}...`);
+        items = (await this.playlistSync.getTracks(playlist.id)).tracks;
+        this.hideLoading();
+    } catch (error) {
+        console.error('Failed to load playlist for splitting:', error);
+        this.hideLoading();
+        this.showError('Failed to load playlist tracks');
+        return;
+    }
+
+    const dialog = document.getElementById('playlist-split-dialog');
+    const sizeInput = document.getElementById('playlist-split-size');
+    const preview = document.getElementById('playlist-split-preview');
+    document.getElementById('playlist-split-summary').textContent =
+        `Split ${playlist.name} (${items.length} tracks) into new playlists. The original is not changed.`;
+
+    const getOptions = () => ({
+        mode: dialog.querySelector('input[name="playlist-split-mode"]:checked').value,
+        size: Math.max(1, parseInt(sizeInput.value) || 100)
+    });
+    const updatePreview = () => {
+        const { mode, size } = getOptions();
+        const groups = PlaylistTools.split(items, mode, size);
+        preview.textContent = `Creates ${groups.length} playlist${groups.length !== 1 ? 's' : ''}` +
+            (groups.length > 0 ? `: ${groups.slice(0, 5).map(group => `${group.label} (${group.uris.length})`).join(', ')}${groups.length > 5 ? ', ...' : ''}` : '');
+    };
+
+    dialog.querySelectorAll('input[name="playlist-split-mode"]').forEach(input => {
+        input.onchange = updatePreview;
+    });
+    sizeInput.oninput = updatePreview;
+    updatePreview();
+
+    document.getElementById('playlist-split-cancel').onclick = () => {
+        dialog.style.display = 'none';
+    };
+
+    document.getElementById('playlist-split-confirm').onclick = () => {
+        const { mode, size } = getOptions();
+        const groups = PlaylistTools.split(items, mode, size);
+        if (groups.length === 0) {
+            this.showError('Nothing to split');
+            return;
+        }
+
+        dialog.style.display = 'none';
+        this.splitPlaylist(playlist, groups);
+    };
+
+    dialog.style.display = 'flex';
+};
+
+/**
+ * Create one playlist per split group
+ * @param {Object} playlist - Source playlist
+ * @param {Array<{label: string, uris: Array<string>}>} groups - From PlaylistTools.split
+ */
+SpotifyMacOSApp.prototype.splitPlaylist = async function(playlist, groups) {
+    const failed = [];
+
+    this.showLoading('Splitting playlist...');
+    for (const [index, group] of groups.entries()) {
+        const name = `${playlist.name} - ${group.label}`;
+        this.updateLoadingMessage(`Creating playlists... (${index + 1}/${groups.length})`);
+        try {
+            await this.playlistTools.createPlaylist(name, `Split from ${playlist.name}`, group.uris);
+        } catch (error) {
+            console.error(`Failed to create ${name}:`, error);
+            failed.push({ label: name, reason: error.message, status: 'failed' });
+        }
+    }
+    this.hideLoading();
+
+    const created = groups.length - failed.length;
+    if (failed.length === 0) {
+        this.showSuccess(`Created ${created} playlist${created !== 1 ? 's' : ''} from ${this.escapeHtml(playlist.name)}`);
+    } else {
+        this.showItemReport('Split Playlist', `Created ${created} of ${groups.length} playlists. These failed:`, failed);
+    }
+
+    await this.loadPlaylists();
+};
+
+SpotifyMacOSApp.prototype.comparePlaylists = async function() {
+    const playlists = this.getSelectedPlaylists();
+    if (playlists.length !== 2) {
+        this.showError('Select exactly two playlists to compare');
+        return;
+    }
+
+    const [a, b] = playlists;
+    let diff;
+    try {
+        this.showLoading('Comparing playlists...');
+        const [itemsA, itemsB] = await this.loadTracksOfPlaylists(playlists);
+        diff = PlaylistTools.diff(itemsA, itemsB);
+        this.hideLoading();
+    } catch (error) {
+        console.error('Failed to compare playlists:', error);
+        this.hideLoading();
+        this.showError('Failed to compare playlists');
+        return;
+    }
+
+    const dialog = document.getElementById('playlist-diff-dialog');
+    const fill = (key, title, tracks) => {
+        document.getElementById(`playlist-diff-${key}-title`).textContent = `${title} (${tracks.length})`;
+        const list = document.getElementById(`playlist-diff-${key}`);
+        list.innerHTML = '';
+        tracks.forEach(track => {
+            const row = document.createElement('li');
+            row.textContent = `${track.name} - ${(track.artists || []).map(artist => artist.name).join(', ')}`;
+            row.title = row.textContent;
+            list.appendChild(row);
+        });
+    };
+
+    fill('only-a', `Only in ${a.name}`, diff.onlyA);
+    fill('both', 'In both', diff.both);
+    fill('only-b', `Only in ${b.name}`, diff.onlyB);
+
+    document.getElementById('playlist-diff-close').onclick = () => {
+        dialog.style.display = 'none';
+    };
+
+    dialog.style.display = 'flex';
+};
+
+// Drag-and-drop reordering in the playlist tracks modal
+SpotifyMacOSApp.prototype.canReorderTracks = function() {
+    // Rows must be shown in playlist order, unfiltered, for a drop position to mean anything
+    return !!this.currentPlaylistEditable &&
+        !this.isReorderingTracks &&
+        !this.currentTracksSort?.field &&
+        (this.filteredTracks || []).length === (this.originalTracks || []).length;
+};
+
+SpotifyMacOSApp.prototype.setupTrackReordering = function() {
+    const tracksList = document.getElementById('playlist-tracks-list');
+    const container = document.querySelector('.playlist-tracks-table-container');
+    this.trackDrag = null;
+
+    const clearDropIndicator = () => {
+        tracksList.querySelectorAll('.drop-before, .drop-after').forEach(row => {
+            row.classList.remove('drop-before', 'drop-after');
+        });
+    };
+
+    // Handlers are assigned (not added) because the list element outlives each modal opening
+    tracksList.ondragstart = (e) => {
+        const row = e.target.closest?.('.playlist-track-row');
+        if (!row || !this.canReorderTracks()) {
+            e.preventDefault();
+            return;
+        }
+
+        // Dragging a selected row takes the whole selection along
+        const position = Number(row.dataset.position);
+        const positions = this.selectedTracks.has(row.dataset.trackUri)
+            ? this.originalTracks
+                .filter(item => item.track && this.selectedTracks.has(item.track.uri))
+                .map(item => item.playlistPosition - 1)
+            : [position];
+
+        this.trackDrag = { positions, insertBefore: null };
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', row.dataset.trackUri);
+        row.classList.add('dragging');
+    };
+
+    tracksList.ondragover = (e) => {
+        if (!this.trackDrag) return;
+        const row = e.target.closest('.playlist-track-row');
+        if (!row) return;
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+
+        const rect = row.getBoundingClientRect();
+        const after = e.clientY > rect.top + rect.height / 2;
+        this.trackDrag.insertBefore = Number(row.dataset.position) + (after ? 1 : 0);
+
+        clearDropIndicator();
+        row.classList.add(after ? 'drop-after' : 'drop-before');
+
+        // Scroll the list while dragging near its edges
+        const bounds = container.getBoundingClientRect();
+        if (e.clientY < bounds.top + 40) {
+            container.scrollTop -= 20;
+        } else if (e.clientY > bounds.bottom - 40) {
+            container.scrollTop += 20;
+        }
+    };
+
+    tracksList.ondrop = (e) => {
+        if (!this.trackDrag) return;
+        e.preventDefault();
+
+        const { positions, insertBefore } = this.trackDrag;
+        clearDropIndicator();
+        this.trackDrag = null;
+
+        if (insertBefore !== null) {
+            this.moveTracks(positions, insertBefore);
+        }
+    };
+
+    tracksList.ondragend = () => {
+        clearDropIndicator();
+        tracksList.querySelectorAll('.dragging').forEach(row => row.classList.remove('dragging'));
+        this.trackDrag = null;
+    };
+};
+
+/**
+ * Move playlist items in front of a position, on screen first and then on Spotify
+ * @param {Array<number>} positions - Positions of the items to move
+ * @param {number} insertBefore - Position to move them in front of
+ */
+SpotifyMacOSApp.prototype.moveTracks = async function(positions, insertBefore) {
+    const playlistId = this.currentPlaylistId;
+    const { moves, order } = PlaylistTools.planMove(this.originalTracks.length, positions, insertBefore);
+    if (moves.length === 0) return;
+
+    const previous = this.originalTracks;
+    this.showTrackOrder(order.map(index => previous[index]));
+
+    this.isReorderingTracks = true;
+    let snapshotId = this.currentPlaylistSnapshotId;
+    try {
+        // Each move is relative to the previous one's result, so they run one after another
+        for (const move of moves) {
+            const result = await this.spotifyApi.reorderPlaylistItems(
+                playlistId, move.rangeStart, move.insertBefore, move.rangeLength, snapshotId
+            );
+            snapshotId = result.snapshot_id;
+        }
+
+        this.currentPlaylistSnapshotId = snapshotId;
+        await this.playlistSync.update(
+            playlistId,
+            this.originalTracks.map(({ playlistPosition, ...item }) => item),
+            snapshotId
+        );
+    } catch (error) {
+        // Most likely the playlist changed elsewhere; show what Spotify has now
+        console.error('Failed to reorder tracks:', error);
+        this.showError('Could not move the tracks. Showing the playlist as it is on Spotify.');
+        this.isReorderingTracks = false;
+        await this.loadPlaylistTracks(playlistId);
+    } finally {
+        this.isReorderingTracks = false;
+        this.renderPlaylistTracks();
+    }
+};
+
+SpotifyMacOSApp.prototype.showTrackOrder = function(items) {
+    this.originalTracks = items.map((item, index) => ({ ...item, playlistPosition: index + 1 }));
+    this.filteredTracks = [...this.originalTracks];
+    this.renderPlaylistTracks();
+};
+
+// Smart playlists: locally stored rules that rewrite a backing playlist
+SpotifyMacOSApp.prototype.getPlaylistNameById = function(playlistId) {
+    return (this.allPlaylists || []).find(playlist => playlist.id === playlistId)?.name || 'a removed playlist';
+};
+
+SpotifyMacOSApp.prototype.renderSmartPlaylists = function() {
+    const container = document.getElementById('smart-playlists-content');
+    const rules = this.smartPlaylists.list(this.userProfile?.id);
+
+    if (rules.length === 0) {
+        container.innerHTML = '<p>No smart playlists yet. Create one to fill a playlist from rules, like liked songs added in the last 30 days.</p>';
+        return;
+    }
+
+    // Rule and playlist names are user text, so build the list with textContent
+    const list = document.createElement('ul');
+    list.className = 'smart-playlists-list';
+
+    rules.forEach(rule => {
+        const item = document.createElement('li');
+        item.className = 'smart-playlist-item';
+
+        const details = document.createElement('div');
+        details.className = 'smart-playlist-details';
+
+        const name = document.createElement('div');
+        name.className = 'smart-playlist-name';
+        name.textContent = rule.name;
+
+        const description = document.createElement('div');
+        description.className = 'smart-playlist-rule';
+        description.textContent = this.smartPlaylists.describe(rule, id => this.getPlaylistNameById(id));
+
+        const status = document.createElement('div');
+        status.className = `smart-playlist-status${rule.lastError ? ' failed' : ''}`;
+        const schedule = { manual: 'Manual', daily: 'Daily', weekly: 'Weekly' }[rule.schedule];
+        status.textContent = !rule.lastRunAt
+            ? `${schedule} - not generated yet`
+            : rule.lastError
+                ? `${schedule} - last run failed ${new Date(rule.lastRunAt).toLocaleString()}: ${rule.lastError}`
+                : `${schedule} - ${rule.lastCount} tracks, updated ${new Date(rule.lastRunAt).toLocaleString()}`;
+
+        details.append(name, description, status);
+
+        const actions = document.createElement('div');
+        actions.className = 'smart-playlist-actions';
+        const addAction = (icon, title, handler, className = '') => {
+            const button = document.createElement('button');
+            button.className = `track-action-btn ${className}`.trim();
+            button.title = title;
+            button.innerHTML = `<i class="fas ${icon}"></i>`;
+            button.onclick = handler;
+            actions.appendChild(button);
+        };
+
+        addAction('fa-sync-alt', 'Regenerate Now', () => this.regenerateSmartPlaylist(rule.id));
+        if (rule.playlistId) {
+            addAction('fa-list', 'View Tracks', () => this.navigateTo(`playlist/${rule.playlistId}`));
+        }
+        addAction('fa-edit', 'Edit Rules', () => this.showSmartPlaylistEditor(rule.id));
+        addAction('fa-trash', 'Delete Smart Playlist', () => this.deleteSmartPlaylist(rule.id), 'delete-btn');
+
+        item.append(details, actions);
+        list.appendChild(item);
+    });
+
+    container.innerHTML = '';
+    container.appendChild(list);
+};
+
+SpotifyMacOSApp.prototype.showSmartPlaylistEditor = function(ruleId = null) {
+    const dialog = document.getElementById('smart-playlist-dialog');
+    const rule = ruleId ? this.smartPlaylists.get(ruleId) : null;
+    const field = id => document.getElementById(`smart-playlist-${id}`);
+
+    const fillSelect = (select, options, selected) => {
+        select.innerHTML = '';
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.selected = value === selected;
+            select.appendChild(option);
+        });
+    };
+
+    // A smart playlist's own backing playlist can't be its source or exclusion
+    const playlists = (this.allPlaylists || [])
+        .filter(playlist => !rule || playlist.id !== rule.playlistId)
+        .map(playlist => [playlist.id, playlist.name]);
+
+    fillSelect(field('source'), Object.entries(SmartPlaylists.SOURCES), rule?.source.type || 'liked');
+    fillSelect(field('time-range'), Object.entries(SmartPlaylists.TIME_RANGES), rule?.source.timeRange || 'short_term');
+    fillSelect(field('source-playlist'), playlists, rule?.source.playlistId);
+    fillSelect(field('exclude'), [['', 'Nothing'], ...playlists], rule?.filters.excludePlaylistId || '');
+
+    document.getElementById('smart-playlist-dialog-title').textContent = rule ? 'Edit Smart Playlist' : 'New Smart Playlist';
+    field('name').value = rule?.name || '';
+    field('days').value = rule?.filters.addedWithinDays || '';
+    field('artist').value = rule?.filters.artist || '';
+    field('limit').value = rule?.limit || 100;
+    field('schedule').value = rule?.schedule || 'manual';
+
+    const updateSourceFields = () => {
+        const type = field('source').value;
+        field('time-range-row').style.display = type === 'top' ? '' : 'none';
+        field('source-playlist-row').style.display = type === 'playlist' ? '' : 'none';
+    };
+    field('source').onchange = updateSourceFields;
+    updateSourceFields();
+
+    document.getElementById('smart-playlist-cancel').onclick = () => {
+        dialog.style.display = 'none';
+    };
+
+    document.getElementById('smart-playlist-save').onclick = async () => {
+        const name = field('name').value.trim();
+        const type = field('source').value;
+        if (!name) {
+            this.showError('Enter a name');
+            return;
+        }
+        if (type === 'playlist' && !field('source-playlist').value) {
+            this.showError('Pick the playlist to take tracks from');
+            return;
+        }
+        if (!this.userProfile?.id) {
+            this.showError('Your Spotify profile is not loaded yet. Please try again.');
+            return;
+        }
+
+        const saved = this.smartPlaylists.put({
+            ...(rule ? { id: rule.id } : {}),
+            name: name,
+            userId: this.userProfile.id,
+            source: {
+                type: type,
+                ...(type === 'top' ? { timeRange: field('time-range').value } : {}),
+                ...(type === 'playlist' ? { playlistId: field('source-playlist').value } : {})
+            },
+            filters: {
+                addedWithinDays: parseInt(field('days').value) || null,
+                artist: field('artist').value.trim() || null,
+                excludePlaylistId: field('exclude').value || null
+            },
+            limit: Math.min(10000, Math.max(1, parseInt(field('limit').value) || 100)),
+            schedule: field('schedule').value
+        });
+
+        dialog.style.display = 'none';
+        this.renderSmartPlaylists();
+        await this.regenerateSmartPlaylist(saved.id);
+    };
+
+    dialog.style.display = 'flex';
+};
+
+SpotifyMacOSApp.prototype.regenerateSmartPlaylist = async function(ruleId) {
+    const rule = this.smartPlaylists.get(ruleId);
+    if (!rule) return;
+
+    try {
+        this.showLoading(`Generating ${this.escapeHtml(rule.name)}...`);
+        const updated = await this.smartPlaylists.regenerate(rule);
+        this.hideLoading();
+        this.showSuccess(`${this.escapeHtml(updated.name)} now has ${updated.lastCount} tracks`);
+
+        // The backing playlist may be new, and its tracks changed either way
+        await this.loadPlaylists();
+    } catch (error) {
+        console.error('Failed to generate smart playlist:', error);
+        this.hideLoading();
+        if (this.checkScopes('This smart playlist', ['user-top-read', 'user-read-recently-played'], error)) {
+            this.renderSmartPlaylists();
+            return;
+        }
+        this.showError(`Failed to generate ${this.escapeHtml(rule.name)}: ${this.escapeHtml(error.message)}`);
+    }
+
+    this.renderSmartPlaylists();
+};
+
+SpotifyMacOSApp.prototype.deleteSmartPlaylist = async function(ruleId) {
+    const rule = this.smartPlaylists.get(ruleId);
+    if (!rule) return;
+
+    const confirmed = await this.showConfirmationDialog(
+        'Delete Smart Playlist?',
+        `The rules for "${rule.name}" will be deleted and it will no longer update.` +
+        (rule.playlistId ? ' The playlist itself stays in your library with its current tracks.' : ''),
+        'Delete',
+        'Cancel'
+    );
+
+    if (!confirmed) return;
+
+    this.smartPlaylists.remove(ruleId);
+    this.renderSmartPlaylists();
+};
+
+SpotifyMacOSApp.prototype.startSmartPlaylistSchedule = function() {
+    this.stopSmartPlaylistSchedule();
+
+    const runDue = async () => {
+        if (this.isRunningSmartPlaylists) return;
+        this.isRunningSmartPlaylists = true;
+
+        try {
+            const due = this.smartPlaylists.list(this.userProfile?.id).filter(rule => this.smartPlaylists.isDue(rule));
+            for (const { id } of due) {
+                // Re-read: an earlier run may have taken a while and the rule been edited or removed since
+                const rule = this.smartPlaylists.get(id);
+                if (!rule || !this.smartPlaylists.isDue(rule)) continue;
+
+                try {
+                    await this.smartPlaylists.regenerate(rule);
+                    console.log(`Smart playlist ${rule.name} regenerated on schedule`);
+                } catch (error) {
+                    // Recorded on the rule and shown in the Smart Playlists section
+                    console.error(`Scheduled smart playlist ${rule.name} failed:`, error);
+                }
+            }
+            if (due.length > 0 && this.currentSection === 'smart-playlists') {
+                this.renderSmartPlaylists();
+            }
+        } finally {
+            this.isRunningSmartPlaylists = false;
+        }
+    };
+
+    runDue();
+    this.smartPlaylistTimer = setInterval(runDue, 15 * 60 * 1000);
+};
+
+SpotifyMacOSApp.prototype.stopSmartPlaylistSchedule = function() {
+    if (this.smartPlaylistTimer) {
+        clearInterval(this.smartPlaylistTimer);
+        this.smartPlaylistTimer = null;
+    }
+};
+
+// Liked Songs section: every saved track in a sortable, virtual-scrolled table
+/**
+ * Load all liked songs into the section
+ * @param {boolean} [force] - Revalidate with Spotify instead of using cached pages
+ */
+SpotifyMacOSApp.prototype.loadLikedSongs = async function(force = false) {
+    const tbody = document.getElementById('liked-songs-list');
+    const container = document.querySelector('.liked-songs-table-container');
+
+    if (!this.likedSongsTable) {
+        this.likedSongsTable = new VirtualTrackTable({
+            container: container,
+            body: tbody,
+            colspan: 8,
+            renderRow: (item, index) => item.track ? this.createTrackRow(item, {
+                number: index + 1,
+                selectable: true,
+                selected: this.selectedLikedSongs.has(item.track.uri),
+                showAlbum: true,
+                showAddedAt: true
+            }) : null
+        });
+        this.likedSongsTable.attach();
+        this.setupLikedSongsControls();
+    }
+
+    try {
+        tbody.innerHTML = '<tr><td colspan="8">Loading liked songs...</td></tr>';
+        const response = await this.spotifyApi.getAllSavedTracks(force ? { cache: 'no-cache' } : {});
+
+        this.likedSongs = (response.items || []).filter(item => item.track);
+        this.selectedLikedSongs = new Set();
+        this.filterLikedSongs(document.getElementById('liked-songs-search').value);
+    } catch (error) {
+        console.error('Failed to load liked songs:', error);
+        tbody.innerHTML = '<tr><td colspan="8">Failed to load liked songs. Please try again.</td></tr>';
+        this.showError('Failed to load your liked songs');
+    }
+};
+
+SpotifyMacOSApp.prototype.setupLikedSongsControls = function() {
+    const section = document.getElementById('liked-songs-section');
+    const tbody = document.getElementById('liked-songs-list');
+    this.selectedLikedSongs = new Set();
+    this.likedSongsSort = { field: 'added_at', direction: 'desc' };
+
+    document.getElementById('liked-songs-search').oninput = (e) => {
+        this.filterLikedSongs(e.target.value);
+    };
+
+    section.querySelectorAll('th.sortable').forEach(header => {
+        header.onclick = () => this.sortLikedSongs(header.dataset.sort);
+    });
+
+    // Rows are re-rendered while scrolling, so listen on the table body
+    tbody.onchange = (e) => {
+        if (!e.target.classList.contains('track-checkbox')) return;
+        if (e.target.checked) {
+            this.selectedLikedSongs.add(e.target.dataset.trackUri);
+        } else {
+            this.selectedLikedSongs.delete(e.target.dataset.trackUri);
+        }
+        this.updateLikedSongsToolbar();
+    };
+
+    // Select all applies to every song matching the search, not just the rendered rows
+    document.getElementById('select-all-liked-songs').onchange = (e) => {
+        (this.filteredLikedSongs || []).forEach(item => {
+            if (e.target.checked) {
+                this.selectedLikedSongs.add(item.track.uri);
+            } else {
+                this.selectedLikedSongs.delete(item.track.uri);
+            }
+        });
+        this.likedSongsTable.render();
+        this.updateLikedSongsToolbar();
+    };
+};
+
+SpotifyMacOSApp.prototype.filterLikedSongs = function(query) {
+    if (!this.likedSongs) return; // still loading
+    const lowerQuery = (query || '').toLowerCase().trim();
+
+    this.filteredLikedSongs = !lowerQuery ? [...this.likedSongs] : this.likedSongs.filter(item => {
+        const track = item.track;
+        return track.name.toLowerCase().includes(lowerQuery) ||
+            track.artists?.some(artist => artist.name.toLowerCase().includes(lowerQuery)) ||
+            (track.album?.name || '').toLowerCase().includes(lowerQuery);
+    });
+
+    this.sortLikedSongs(this.likedSongsSort.field, false);
+};
+
+SpotifyMacOSApp.prototype.sortLikedSongs = function(field, updateDirection = true) {
+    if (!this.likedSongs) return; // still loading
+    if (updateDirection) {
+        if (this.likedSongsSort.field === field) {
+            this.likedSongsSort.direction = this.likedSongsSort.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+            // Dates read best newest first, text A-Z
+            this.likedSongsSort = { field, direction: field === 'added_at' ? 'desc' : 'asc' };
+        }
+    }
+
+    const { direction } = this.likedSongsSort;
+    const getValue = {
+        name: item => item.track.name.toLowerCase(),
+        author: item => item.track.artists?.[0]?.name.toLowerCase() || '',
+        album: item => (item.track.album?.name || '').toLowerCase(),
+        added_at: item => item.added_at || '',
+        duration: item => item.track.duration_ms || 0
+    }[field];
+
+    this.filteredLikedSongs.sort((a, b) => {
+        const valueA = getValue(a);
+        const valueB = getValue(b);
+        if (valueA < valueB) return direction === 'asc' ? -1 : 1;
+        if (valueA > valueB) return direction === 'asc' ? 1 : -1;
+        return 0;
+    });
+
+    document.querySelectorAll('#liked-songs-section th.sortable').forEach(header => {
+        header.classList.remove('sort-asc', 'sort-desc');
+        if (header.dataset.sort === field) {
+            header.classList.add(`sort-${direction}`);
+        }
+    });
+
+    const shown = this.filteredLikedSongs.length;
+    const total = this.likedSongs.length;
+    document.getElementById('liked-songs-title').textContent =
+        shown === total ? `Liked Songs (${total})` : `Liked Songs (${shown} of ${total})`;
+
+    this.likedSongsTable.setItems(this.filteredLikedSongs, true);
+    this.updateLikedSongsToolbar();
+};
+
+SpotifyMacOSApp.prototype.updateLikedSongsToolbar = function() {
+    const selected = this.selectedLikedSongs.size;
+    const selectAll = document.getElementById('select-all-liked-songs');
+    const shownSelected = (this.filteredLikedSongs || []).filter(item => this.selectedLikedSongs.has(item.track.uri)).length;
+
+    selectAll.checked = shownSelected > 0 && shownSelected === this.filteredLikedSongs.length;
+    selectAll.indeterminate = shownSelected > 0 && shownSelected < this.filteredLikedSongs.length;
+
+    document.getElementById('queue-liked-songs-btn').style.display = selected > 0 ? 'flex' : 'none';
+    document.getElementById('add-liked-to-playlist-btn').style.display = selected > 0 ? 'flex' : 'none';
+    document.getElementById('remove-liked-songs-btn').style.display = selected > 0 ? 'flex' : 'none';
+};
+
+SpotifyMacOSApp.prototype.getSelectedLikedSongs = function() {
+    // In the order shown
+    return (this.filteredLikedSongs || []).filter(item => this.selectedLikedSongs.has(item.track.uri));
+};
+
+SpotifyMacOSApp.prototype.removeSelectedLikedSongs = async function() {
+    const items = this.getSelectedLikedSongs();
+    if (items.length === 0) {
+        this.showError('No songs selected');
+        return;
+    }
+
+    const confirmed = await this.showConfirmationDialog(
+        'Remove from Liked Songs?',
+        `${items.length} song${items.length > 1 ? 's' : ''} will be removed from your Liked Songs.`,
+        'Remove',
+        'Cancel'
+    );
+
+    if (!confirmed) return;
+
+    try {
+        this.showLoading(`Removing ${items.length} song${items.length > 1 ? 's' : ''}...`);
+
+        // 50 IDs per request (API limit), journaled so an interrupted run can be resumed
+        const chunks = [];
+        for (let i = 0; i < items.length; i += 50) {
+            const chunk = items.slice(i, i + 50);
+            chunks.push({ key: `liked-${i}`, label: `Songs ${i + 1}-${i + chunk.length}`, payload: chunk.map(item => item.track.id) });
+        }
+        const job = await this.startJob('remove-liked-tracks', 'Removing liked songs', chunks);
+
+        this.hideLoading();
+
+        // Remove from local data
+        const removedIds = new Set(job.items.filter(item => item.status === 'done').flatMap(item => item.payload));
+        this.likedSongs = this.likedSongs.filter(item => !removedIds.has(item.track.id));
+        items.filter(item => removedIds.has(item.track.id)).forEach(item => this.selectedLikedSongs.delete(item.track.uri));
+        this.filterLikedSongs(document.getElementById('liked-songs-search').value);
+        this.loadLibrary();
+
+        if (removedIds.size === items.length) {
+            this.showSuccess(`${items.length} song${items.length > 1 ? 's' : ''} removed from Liked Songs`);
+        } else {
+            this.showError(`Removed ${removedIds.size} of ${items.length} songs from Liked Songs`);
+            this.showJobReport(job);
+        }
+    } catch (error) {
+        console.error('Failed to remove liked songs:', error);
+        this.hideLoading();
+        this.showError('Failed to remove songs. Please try again.');
+    }
+};
+
+SpotifyMacOSApp.prototype.addSelectedLikedSongsToPlaylist = function() {
+    const items = this.getSelectedLikedSongs();
+    if (items.length === 0) {
+        this.showError('No songs selected');
+        return;
+    }
+    this.showAddToPlaylistDialog(items.map(item => item.track.uri));
+};
+
+/**
+ * Ask for a playlist the user can edit and append tracks to it
+ * @param {Array<string>} uris - Track URIs in order
+ */
+SpotifyMacOSApp.prototype.showAddToPlaylistDialog = function(uris) {
+    const dialog = document.getElementById('add-to-playlist-dialog');
+    const select = document.getElementById('add-to-playlist-select');
+    const editable = (this.allPlaylists || []).filter(playlist =>
+        playlist.owner?.id === this.userProfile?.id || playlist.collaborative);
+
+    if (editable.length === 0) {
+        this.showError('You have no playlists you can add tracks to');
+        return;
+    }
+
+    document.getElementById('add-to-playlist-summary').textContent =
+        `Add ${uris.length} track${uris.length > 1 ? 's' : ''} to the end of:`;
+
+    select.innerHTML = '';
+    editable.forEach(playlist => {
+        const option = document.createElement('option');
+        option.value = playlist.id;
+        option.textContent = playlist.name;
+        select.appendChild(option);
+    });
+
+    document.getElementById('add-to-playlist-cancel').onclick = () => {
+        dialog.style.display = 'none';
+    };
+
+    document.getElementById('add-to-playlist-confirm').onclick = async () => {
+        const playlist = editable.find(candidate => candidate.id === select.value);
+        dialog.style.display = 'none';
+
+        const name = this.escapeHtml(playlist.name);
+        try {
+            this.showLoading(`Adding to ${name}...`);
+            await this.spotifyApi.addTracksToPlaylist(playlist.id, uris, null, { priority: 'bulk' });
+            this.hideLoading();
+            this.showSuccess(`Added ${uris.length} track${uris.length > 1 ? 's' : ''} to ${name}`);
+        } catch (error) {
+            console.error('Failed to add tracks to playlist:', error);
+            this.hideLoading();
+            this.showError(error.added
+                ? `Added ${error.added} of ${uris.length} tracks to ${name} before an error`
+                : `Failed to add tracks to ${name}`);
+        }
+    };
+
+    dialog.style.display = 'flex';
+};
+
+// Routing: entity routes on top of the section hashes, with real history entries
+// #playlist/<id> and #album/<id> open the tracks modal over the current section,
+// #artist/<id> opens the artist page and #search?q=...&types=... runs a search
+SpotifyMacOSApp.prototype.getDetailRoutes = function() {
+    return {
+        playlist: (playlistId, params, hash) => this.showTracksRoute(hash, () => this.loadPlaylistTracks(playlistId)),
+        album: (albumId, params, hash) => this.showTracksRoute(hash, () => this.loadAlbumTracks(albumId)),
+        artist: (artistId) => this.showArtist(artistId),
+        search: (_, params, hash) => this.showSearchRoute(params, hash)
+    };
+};
+
+/**
+ * Open a route as a new history entry
+ * @param {string} route - Hash without '#', e.g. 'album/<id>'
+ */
+SpotifyMacOSApp.prototype.navigateTo = function(route) {
+    this.hideContextMenu();
+
+    // The new view stacks on top of an open playlist or album, Back returns to it
+    this.modalRoute = null;
+    if (document.getElementById('playlist-tracks-modal').style.display === 'flex') {
+        this.hidePlaylistTracksModal();
+    }
+
+    if (window.location.hash !== `#${route}`) {
+        // pushState doesn't fire hashchange, so route right away
+        window.history.pushState({ inApp: true }, '', `#${route}`);
+    }
+    this.restoreSectionFromURL();
+};
+
+SpotifyMacOSApp.prototype.showTracksRoute = function(hash, load) {
+    if (!this.isConnected) return;
+
+    this.modalRoute = {
+        route: hash,
+        previousRoute: this.currentRoute || this.currentSection || 'home',
+        // Entries pushed by the app can be left with Back; a link the app was opened with can't
+        pushed: !!window.history.state?.inApp
+    };
+    this.currentRoute = hash;
+    load();
+};
+
+/**
+ * Return to the route under the tracks modal once it closes
+ */
+SpotifyMacOSApp.prototype.leaveModalRoute = function() {
+    if (!this.modalRoute) return;
+
+    const { previousRoute, pushed } = this.modalRoute;
+    this.modalRoute = null;
+    this.currentRoute = previousRoute;
+
+    if (pushed) {
+        window.history.back();
+    } else {
+        window.history.replaceState(null, '', `#${previousRoute}`);
+    }
+};
+
+SpotifyMacOSApp.prototype.showSearchRoute = function(params, hash) {
+    this.switchSection('search', hash);
+
+    const query = params.get('q') || '';
+    document.getElementById('search-input').value = query;
+
+    if (params.has('types')) {
+        const types = params.get('types').split(',');
+        ['track', 'artist', 'album', 'playlist'].forEach(type => {
+            document.getElementById(`filter-${type}s`).checked = types.includes(type);
+        });
+    }
+
+    if (query && this.isConnected) {
+        this.performSearch();
+    }
+};
+
+SpotifyMacOSApp.prototype.updateSearchRoute = function(query, searchTypes) {
+    const current = new URLSearchParams(window.location.hash.split('?')[1] || '');
+    const isCurrent = window.location.hash.startsWith('#search?') &&
+        current.get('q') === query &&
+        (!current.has('types') || current.get('types') === searchTypes.join(','));
+
+    if (!isCurrent) {
+        const route = `search?q=${encodeURIComponent(query)}&types=${searchTypes.join(',')}`;
+        window.history.pushState({ inApp: true }, '', `#${route}`);
+    }
+    this.currentRoute = window.location.hash.substring(1);
+};
+
+/**
+ * Route for a spotify: URI or open.spotify.com URL
+ * @param {string} text - Link
+ * @returns {?string} Route, or null when the text isn't a link to a playlist, album or artist
+ */
+SpotifyMacOSApp.prototype.getRouteForLink = function(text) {
+    const resolved = SpotifyUriResolver.resolve(text);
+    return resolved && this.getDetailRoutes()[resolved.type] ? `${resolved.type}/${resolved.id}` : null;
+};
+
+/**
+ * Route for a spofifywpf:// URL opened from outside the app
+ * @param {URL} url - The URL
+ * @returns {?string} Route, or null for the OAuth callback and unknown URLs
+ */
+SpotifyMacOSApp.prototype.getRouteForAppUrl = function(url) {
+    if (url.protocol !== 'spofifywpf:' || url.host === 'callback') {
+        return null;
+    }
+
+    if (url.host === 'open') {
+        return this.getRouteForLink(url.searchParams.get('uri') || '');
+    }
+
+    const route = `${url.host}${url.pathname}${url.search}`;
+    const sections = Array.from(document.querySelectorAll('.nav-item[data-section]')).map(item => item.dataset.section);
+    return this.getDetailRoutes()[url.host] || sections.includes(url.host) ? route : null;
+};
+
+/**
+ * Open a spofifywpf:// link from outside the app: spofifywpf://playlist/<id>, spofifywpf://search?q=...
+ * and spofifywpf://open?uri=<link> open a view, open links to tracks and episodes play them
+ * @param {URL} url - Any spofifywpf:// URL but the OAuth callback
+ */
+SpotifyMacOSApp.prototype.openAppUrl = function(url) {
+    const route = this.getRouteForAppUrl(url);
+    if (route) {
+        this.navigateTo(route);
+        return;
+    }
+
+    const resolved = url.host === 'open' ? SpotifyUriResolver.resolve(url.searchParams.get('uri') || '') : null;
+    if (resolved) {
+        this.openSpotifyReference(resolved);
+    } else {
+        console.warn('Unknown app link:', url.href);
+        this.showError('This link can\'t be opened in Spofify');
+    }
+};
+
+/**
+ * Open what a resolved link points to: playlists, albums and artists get their view, tracks and episodes play
+ * @param {{type: string, id: string, uri: string}} resolved - From SpotifyUriResolver
+ */
+SpotifyMacOSApp.prototype.openSpotifyReference = function(resolved) {
+    if (!this.isConnected) {
+        this.showError('Connect to Spotify to open links');
+        return;
+    }
+
+    switch (resolved.type) {
+        case 'playlist':
+        case 'album':
+        case 'artist':
+            this.navigateTo(`${resolved.type}/${resolved.id}`);
+            break;
+        case 'track':
+        case 'episode':
+            this.playTrack(resolved.uri);
+            break;
+        default:
+            this.showError('This kind of Spotify link can\'t be opened here');
+    }
+};
+
+// Artist page: profile, top tracks, discography and related artists at #artist/<id>
+
+/**
+ * Artist names as links to their artist pages
+ * @param {Array<Object>} artists - Artists from the API or the playback SDK (which only has `uri`)
+ * @returns {string} HTML
+ */
+SpotifyMacOSApp.prototype.renderArtistLinks = function(artists = []) {
+    return artists.map(artist => {
+        const artistId = artist.id || SpotifyUriResolver.getId(artist.uri, 'artist');
+        const name = this.escapeHtml(artist.name);
+        return artistId
+            ? `<a href="#artist/${encodeURIComponent(artistId)}" class="artist-link" data-artist-id="${this.escapeHtml(artistId)}">${name}</a>`
+            : name;
+    }).join(', ');
+};
+
+/**
+ * Escape text for use inside HTML markup or a quoted attribute
+ * @param {*} value - Text; null and undefined become empty
+ * @returns {string}
+ */
+SpotifyMacOSApp.prototype.escapeHtml = function(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
+/**
+ * Plain text of an HTML fragment such as a playlist description (tags dropped, entities decoded)
+ * @param {?string} html - Fragment; parsed in an inert document, so nothing in it loads or runs
+ * @returns {string}
+ */
+SpotifyMacOSApp.prototype.getPlainText = function(html) {
+    return new DOMParser().parseFromString(html || '', 'text/html').body.textContent.trim();
+};
+
+SpotifyMacOSApp.prototype.openArtist = function(artistId) {
+    if (artistId) {
+        this.navigateTo(`artist/${artistId}`);
+    }
+};
+
+SpotifyMacOSApp.prototype.showArtist = function(artistId) {
+    this.currentArtistId = artistId;
+    this.switchSection('artist', `artist/${encodeURIComponent(artistId)}`);
+    this.loadArtist(artistId);
+};
+
+SpotifyMacOSApp.prototype.loadArtist = async function(artistId) {
+    const nameElement = document.getElementById('artist-name');
+    const metaElement = document.getElementById('artist-meta');
+    const imageElement = document.getElementById('artist-image');
+    const followButton = document.getElementById('artist-follow-btn');
+    const topTracks = document.getElementById('artist-top-tracks');
+
+    imageElement.src = '';
+    metaElement.textContent = '';
+    followButton.style.display = 'none';
+    topTracks.innerHTML = '';
+    document.getElementById('artist-releases').innerHTML = '';
+    document.getElementById('artist-releases-more').style.display = 'none';
+    document.getElementById('artist-related-container').style.display = 'none';
+
+    if (!this.isConnected) {
+        nameElement.textContent = 'Connect to Spotify to view this artist';
+        return;
+    }
+
+    nameElement.textContent = 'Loading artist...';
+    this.setupArtistControls();
+
+    try {
+        const [artist, top, following] = await Promise.all([
+            this.spotifyApi.getArtist(artistId),
+            this.spotifyApi.getArtistTopTracks(artistId),
+            this.spotifyApi.isFollowingArtists([artistId]).catch(() => null)
+        ]);
+
+        // Another artist was opened while this one loaded
+        if (this.currentArtistId !== artistId) return;
+
+        nameElement.textContent = artist.name;
+        imageElement.src = artist.images?.[0]?.url || '';
+        const followers = artist.followers?.total;
+        metaElement.textContent = [
+            followers !== undefined ? `${followers.toLocaleString()} follower${followers === 1 ? '' : 's'}` : null,
+            (artist.genres || []).slice(0, 3).join(', ') || null
+        ].filter(part => part).join(' \u2022 ');
+
+        if (following) {
+            this.updateArtistFollowButton(following[0]);
+        }
+
+        (top.tracks || []).forEach((track, index) => {
+            topTracks.appendChild(this.createTrackRow({ track }, { number: index + 1, showAlbum: true }));
+        });
+        if (!top.tracks?.length) {
+            topTracks.innerHTML = '<tr><td colspan="6">No popular tracks</td></tr>';
+        }
+
+        this.switchArtistReleaseGroup('album');
+        this.loadRelatedArtists(artistId);
+    } catch (error) {
+        console.error('Failed to load artist:', error);
+        if (this.currentArtistId !== artistId) return;
+        nameElement.textContent = 'Artist unavailable';
+        this.showError('Failed to load artist');
+    }
+};
+
+SpotifyMacOSApp.prototype.setupArtistControls = function() {
+    document.querySelectorAll('.artist-release-tabs .search-tab').forEach(tab => {
+        tab.onclick = () => this.switchArtistReleaseGroup(tab.dataset.group);
+    });
+
+    document.getElementById('artist-releases-more').onclick = () => this.loadArtistReleases();
+    document.getElementById('artist-follow-btn').onclick = () => this.toggleFollowArtist();
+
+    // Releases open in the tracks modal, related artists open their own page
+    document.getElementById('artist-releases').onclick = (e) => {
+        const item = e.target.closest('.search-result-item');
+        if (item) {
+            this.navigateTo(`album/${item.dataset.albumId}`);
+        }
+    };
+    document.getElementById('artist-related').onclick = (e) => {
+        const item = e.target.closest('.search-result-item');
+        if (item) {
+            this.openArtist(item.dataset.artistId);
+        }
+    };
+};
+
+SpotifyMacOSApp.prototype.switchArtistReleaseGroup = function(group) {
+    document.querySelectorAll('.artist-release-tabs .search-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.group === group);
+    });
+
+    this.artistReleases = { artistId: this.currentArtistId, group, offset: 0, total: null };
+    document.getElementById('artist-releases').innerHTML = '';
+    this.loadArtistReleases();
+};
+
+/**
+ * Append the next page of the current release group
+ */
+SpotifyMacOSApp.prototype.loadArtistReleases = async function() {
+    const releases = this.artistReleases;
+    const container = document.getElementById('artist-releases');
+    const moreButton = document.getElementById('artist-releases-more');
+    const pageSize = 20;
+
+    moreButton.disabled = true;
+
+    try {
+        const page = await this.spotifyApi.getArtistAlbums(releases.artistId, releases.group, pageSize, releases.offset);
+
+        // The tab or artist changed while the page loaded
+        if (this.artistReleases !== releases) return;
+
+        releases.offset += page.items?.length || 0;
+        releases.total = page.total || 0;
+
+        container.insertAdjacentHTML('beforeend', (page.items || []).map(album => {
+            const name = this.escapeHtml(album.name);
+            return `
+            <div class="search-result-item" data-album-id="${this.escapeHtml(album.id)}">
+                <img src="${this.escapeHtml(album.images?.[0]?.url)}" alt="${name}" class="result-image">
+                <div class="result-title">${name}</div>
+                <div class="result-subtitle">${(album.release_date || '').substring(0, 4)} \u2022 ${album.total_tracks} track${album.total_tracks === 1 ? '' : 's'}</div>
+            </div>
+        `;
+        }).join(''));
+
+        if (releases.total === 0) {
+            container.innerHTML = '<p class="artist-meta">Nothing here yet</p>';
+        }
+        moreButton.style.display = releases.offset < releases.total ? 'flex' : 'none';
+    } catch (error) {
+        console.error('Failed to load artist releases:', error);
+        this.showError('Failed to load discography');
+    } finally {
+        moreButton.disabled = false;
+    }
+};
+
+SpotifyMacOSApp.prototype.loadRelatedArtists = async function(artistId) {
+    try {
+        const related = await this.spotifyApi.getRelatedArtists(artistId);
+        if (this.currentArtistId !== artistId || !related.artists?.length) return;
+
+        document.getElementById('artist-related').innerHTML = related.artists.slice(0, 10).map(artist => {
+            const name = this.escapeHtml(artist.name);
+            return `
+            <div class="search-result-item" data-artist-id="${this.escapeHtml(artist.id)}">
+                <img src="${this.escapeHtml(artist.images?.[0]?.url)}" alt="${name}" class="result-image">
+                <div class="result-title">${name}</div>
+                <div class="result-subtitle">Artist</div>
+            </div>
+        `;
+        }).join('');
+        document.getElementById('artist-related-container').style.display = 'block';
+    } catch (error) {
+        // Not every app may use this endpoint; the page works without it
+        console.warn('Related artists unavailable:', error);
+    }
+};
+
+SpotifyMacOSApp.prototype.updateArtistFollowButton = function(isFollowing) {
+    const button = document.getElementById('artist-follow-btn');
+    this.isFollowingCurrentArtist = isFollowing;
+
+    button.classList.toggle('following', isFollowing);
+    button.querySelector('i').className = isFollowing ? 'fas fa-user-check' : 'fas fa-user-plus';
+    button.querySelector('span').textContent = isFollowing ? 'Following' : 'Follow';
+    button.title = isFollowing ? 'Unfollow' : 'Follow';
+    button.style.display = 'flex';
+};
+
+SpotifyMacOSApp.prototype.toggleFollowArtist = async function() {
+    const artistId = this.currentArtistId;
+    const follow = !this.isFollowingCurrentArtist;
+    const button = document.getElementById('artist-follow-btn');
+
+    button.disabled = true;
+    try {
+        if (follow) {
+            await this.spotifyApi.followArtists([artistId]);
+        } else {
+            await this.spotifyApi.unfollowArtists([artistId]);
+        }
+        if (this.currentArtistId === artistId) {
+            this.updateArtistFollowButton(follow);
+        }
+    } catch (error) {
+        console.error('Failed to update artist follow:', error);
+        this.showError(follow ? 'Failed to follow artist' : 'Failed to unfollow artist');
+    } finally {
+        button.disabled = false;
+    }
+};
+
+// Play queue: add tracks from any track list and show what's coming up
+/**
+ * Tracks a context menu or toolbar action applies to
+ * @param {HTMLElement} target - Element the user acted on
+ * @param {string} trackUri - Track under the pointer
+ * @returns {Array<string>} The selection in display order when the track is part of it, otherwise just the track
+ */
+SpotifyMacOSApp.prototype.getTrackSelectionFor = function(target, trackUri) {
+    if (target.closest('#playlist-tracks-modal') && this.selectedTracks?.has(trackUri)) {
+        return this.getSelectedTrackUris();
+    }
+    if (target.closest('#liked-songs-section') && this.selectedLikedSongs?.has(trackUri)) {
+        return this.getSelectedLikedSongs().map(item => item.track.uri);
+    }
+    return [trackUri];
+};
+
+SpotifyMacOSApp.prototype.getSelectedTrackUris = function() {
+    const uris = (this.filteredTracks || [])
+        .map(item => item.track?.uri)
+        .filter(uri => uri && this.selectedTracks.has(uri));
+    return [...new Set(uris)];
+};
+
+SpotifyMacOSApp.prototype.queueContextMenuTracks = function() {
+    this.hideContextMenu();
+    this.queueTracks(this.contextMenuTracks || []);
+};
+
+SpotifyMacOSApp.prototype.queueSelectedTracks = function() {
+    this.queueTracks(this.getSelectedTrackUris());
+};
+
+SpotifyMacOSApp.prototype.queueSelectedLikedSongs = function() {
+    this.queueTracks(this.getSelectedLikedSongs().map(item => item.track.uri));
+};
+
+/**
+ * Add tracks to the end of the queue on the active device
+ * @param {Array<string>} uris - Track URIs in the order they should play
+ */
+SpotifyMacOSApp.prototype.queueTracks = async function(uris) {
+    const playable = uris.filter(uri => uri && !uri.startsWith('spotify:local:'));
+    if (playable.length === 0) {
+        this.showError('No tracks to add to the queue');
+        return;
+    }
+
+    const label = `${playable.length} track${playable.length > 1 ? 's' : ''}`;
+    let added = 0;
+
+    try {
+        if (playable.length > 1) {
+            this.showLoading(`Adding ${label} to the queue...`);
+        }
+
+        // The API queues one item per request; one at a time keeps them in order
+        for (const uri of playable) {
+            await this.spotifyApi.addToQueue(uri, null, { priority: 'interactive' });
+            added++;
+            if (playable.length > 1) {
+                this.updateLoadingMessage(`Adding to the queue... (${added}/${playable.length})`);
+            }
+        }
+
+        this.hideLoading();
+        this.showSuccess(playable.length > 1 ? `Added ${label} to the queue` : 'Added to the queue');
+        this.loadQueue();
+    } catch (error) {
+        console.error('Failed to add to queue:', error);
+        this.hideLoading();
+        if (error.status === 404) {
+            this.showError('No active device. Start playing something first.');
+        } else {
+            this.showError(added > 0 ? `Added ${added} of ${label} to the queue` : 'Failed to add to the queue');
+        }
+        if (added > 0) {
+            this.loadQueue();
+        }
+    }
+};
+
+SpotifyMacOSApp.prototype.isQueuePanelOpen = function() {
+    return document.getElementById('queue-panel').style.display !== 'none';
+};
+
+SpotifyMacOSApp.prototype.toggleQueuePanel = function(open = !this.isQueuePanelOpen()) {
+    document.getElementById('queue-panel').style.display = open ? 'block' : 'none';
+    document.getElementById('queue-btn').classList.toggle('active', open);
+
+    if (open) {
+        this.loadQueue();
+    }
+};
+
+/**
+ * Called by the player on every state update, local or remote
+ * @param {string} trackUri - What's playing now
+ */
+SpotifyMacOSApp.prototype.onPlaybackUpdate = function(trackUri) {
+    if (!this.isQueuePanelOpen()) return;
+
+    // Refetch when the track changes, and now and then for items queued elsewhere
+    const stale = Date.now() - (this.queueLoadedAt || 0) > 15000;
+    if (trackUri !== this.queueTrackUri || stale) {
+        this.loadQueue();
+    }
+};
+
+SpotifyMacOSApp.prototype.loadQueue = async function() {
+    if (!this.isQueuePanelOpen() || this.queueLoading || !this.isConnected) return;
+
+    this.queueLoading = true;
+    try {
+        const queue = await this.spotifyApi.getQueue({ priority: 'interactive' });
+        this.queueTrackUri = queue?.currently_playing?.uri || null;
+        this.renderQueue(queue || {});
+    } catch (error) {
+        console.error('Failed to load queue:', error);
+        document.getElementById('queue-next-list').innerHTML = '<p class="queue-empty">Failed to load the queue</p>';
+    } finally {
+        this.queueLoadedAt = Date.now();
+        this.queueLoading = false;
+    }
+};
+
+SpotifyMacOSApp.prototype.renderQueue = function(queue) {
+    const renderItem = item => `
+        <div class="queue-item" data-uri="${this.escapeHtml(item.uri)}">
+            <img src="${this.escapeHtml((item.album || item.show)?.images?.[0]?.url || item.images?.[0]?.url)}" alt="">
+            <div class="queue-item-details">
+                <div class="queue-item-name">${this.escapeHtml(item.name)}</div>
+                <div class="queue-item-artists">${item.artists ? this.renderArtistLinks(item.artists) : this.escapeHtml(item.show?.name)}</div>
+            </div>
+        </div>
+    `;
+
+    document.getElementById('queue-now-playing').innerHTML = queue.currently_playing
+        ? renderItem(queue.currently_playing)
+        : '<p class="queue-empty">Nothing is playing</p>';
+
+    document.getElementById('queue-next-list').innerHTML = queue.queue?.length
+        ? queue.queue.map(renderItem).join('')
+        : '<p class="queue-empty">Nothing queued</p>';
+};
+
+/**
+ * Ask to connect again when a feature needs a scope the current connection was not granted
+ * (connections made before the app asked for it don't have it)
+ * @param {string} feature - What needs the scopes, shown in the prompt
+ * @param {Array<string>} scopes - Scopes the feature needs
+ * @param {?Error} [error] - A failed request of the feature, checked instead of the granted scopes
+ * @returns {boolean} Whether a scope is missing
+ */
+SpotifyMacOSApp.prototype.checkScopes = function(feature, scopes, error = null) {
+    const missing = error
+        ? SpotifyAPI.isScopeError(error)
+        : this.spotifyApi.getMissingScopes(scopes).length > 0;
+    if (!missing) return false;
+
+    if (!this.isReauthorizePromptOpen) {
+        this.isReauthorizePromptOpen = true;
+        this.showConfirmationDialog(
+            'Reconnect to Spotify?',
+            `${feature} needs permissions your current connection to Spotify doesn't include.\n\nReconnect to Spotify to grant them.`,
+            'Reconnect',
+            'Not Now'
+        ).then(confirmed => {
+            this.isReauthorizePromptOpen = false;
+            if (confirmed) this.connectToSpotify();
+        });
+    }
+    return true;
+};
+
+// Listening History section: recently played tracks by day, continued from the local archive
+SpotifyMacOSApp.prototype.loadListeningHistory = async function() {
+    const container = document.getElementById('history-content');
+    if (this.checkScopes('Listening history', ['user-read-recently-played'])) {
+        container.innerHTML = '<p>Reconnect to Spotify to see your listening history.</p>';
+        this.historyEntries = null;
+        return;
+    }
+
+    container.innerHTML = '<div class="loading-spinner"><i class="fas fa-spinner fa-spin"></i> Loading listening history...</div>';
+
+    this.historyEntries = [];
+    this.historyCursor = null;
+    await this.loadMoreListeningHistory();
+};
+
+SpotifyMacOSApp.prototype.loadMoreListeningHistory = async function() {
+    if (this.historyLoading || !this.userProfile) return;
+    this.historyLoading = true;
+
+    const userId = this.userProfile.id;
+    const moreButton = document.getElementById('history-more-btn');
+    moreButton.disabled = true;
+
+    try {
+        const page = await this.listeningHistory.getPage(userId, this.historyCursor);
+        if (!this.historyEntries || this.userProfile?.id !== userId) return; // disconnected meanwhile
+
+        // An API page can overlap plays already shown from the archive
+        const shown = new Set(this.historyEntries.map(entry => entry.playedAt));
+        this.historyEntries.push(...page.entries.filter(entry => !shown.has(entry.playedAt)));
+        this.historyCursor = page.next;
+
+        this.renderListeningHistory();
+        this.resolveHistoryContextNames();
+        document.getElementById('history-archive-count').textContent = `${page.archivedCount} plays archived`;
+    } catch (error) {
+        console.error('Failed to load listening history:', error);
+        const missingScope = this.checkScopes('Listening history', ['user-read-recently-played'], error);
+        if (this.historyEntries?.length === 0) {
+            // Nothing loaded yet: replace the spinner and load again the next time the section opens
+            document.getElementById('history-content').innerHTML = missingScope
+                ? '<p>Reconnect to Spotify to see your listening history.</p>'
+                : '<p>Failed to load your listening history.</p>';
+            this.historyEntries = null;
+        }
+        if (!missingScope) {
+            this.showError('Failed to load listening history: ' + this.escapeHtml(error.message));
+        }
+    } finally {
+        this.historyLoading = false;
+        moreButton.disabled = false;
+        moreButton.style.display = this.historyCursor ? 'block' : 'none';
+    }
+};
+
+SpotifyMacOSApp.prototype.renderListeningHistory = function() {
+    const container = document.getElementById('history-content');
+
+    if (this.historyEntries.length === 0) {
+        container.innerHTML = '<p>No recently played tracks yet.</p>';
+        return;
+    }
+
+    const days = new Map();
+    this.historyEntries.forEach(entry => {
+        const day = new Date(entry.playedAt).toDateString();
+        if (!days.has(day)) days.set(day, []);
+        days.get(day).push(entry);
+    });
+
+    container.innerHTML = Array.from(days, ([day, entries]) => `
+        <div class="history-day">
+            <h3 class="history-day-heading">${this.formatHistoryDay(day)}</h3>
+            ${entries.map(entry => this.renderHistoryEntry(entry)).join('')}
+        </div>
+    `).join('');
+};
+
+SpotifyMacOSApp.prototype.formatHistoryDay = function(day) {
+    const date = new Date(day);
+    const today = new Date();
+    const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+
+    if (day === today.toDateString()) return 'Today';
+    if (day === yesterday.toDateString()) return 'Yesterday';
+
+    return date.toLocaleDateString(undefined, {
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        year: date.getFullYear() === today.getFullYear() ? undefined : 'numeric'
+    });
+};
+
+SpotifyMacOSApp.prototype.renderHistoryEntry = function(entry) {
+    const { track } = entry;
+    const time = new Date(entry.playedAt).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+    const uri = this.escapeHtml(track.uri);
+
+    return `
+        <div class="history-entry" data-track-uri="${uri}">
+            <span class="history-time">${time}</span>
+            <img src="${this.escapeHtml(track.album?.images?.[0]?.url)}" alt="">
+            <div class="history-entry-details">
+                <div class="history-entry-name">${this.escapeHtml(track.name || 'Unknown track')}</div>
+                <div class="history-entry-artists">${this.renderArtistLinks(track.artists || [])}</div>
+            </div>
+            <div class="history-entry-context">${this.renderHistoryContext(entry)}</div>
+            <button class="track-play-btn" onclick="window.spotifyApp.playTrack('${uri}', this)" title="Play" data-track-uri="${uri}">
+                <i class="fas fa-play"></i>
+            </button>
+        </div>
+    `;
+};
+
+/**
+ * Link to the playlist, album or artist an entry was played from
+ */
+SpotifyMacOSApp.prototype.renderHistoryContext = function(entry) {
+    const resolved = entry.context ? SpotifyUriResolver.resolve(entry.context.uri) : null;
+    const icons = { playlist: 'fa-list', album: 'fa-compact-disc', artist: 'fa-user' };
+
+    if (!resolved || !icons[resolved.type]) {
+        return '';
+    }
+
+    const name = this.escapeHtml(this.getHistoryContextName(resolved, entry.track));
+    const route = `${resolved.type}/${encodeURIComponent(resolved.id)}`;
+    return `
+        <a href="#${route}" class="history-context-link" title="Played from ${name}"
+           onclick="event.preventDefault(); window.spotifyApp.navigateTo('${route}')">
+            <i class="fas ${icons[resolved.type]}"></i> ${name}
+        </a>
+    `;
+};
+
+SpotifyMacOSApp.prototype.getHistoryContextName = function(resolved, track) {
+    return this.getLocalHistoryContextName(resolved, track) ||
+        this.historyContextNames?.get(resolved.uri) ||
+        resolved.type.charAt(0).toUpperCase() + resolved.type.slice(1);
+};
+
+// Name of a context from the library or the track itself, without a request
+SpotifyMacOSApp.prototype.getLocalHistoryContextName = function(resolved, track) {
+    switch (resolved.type) {
+        case 'playlist':
+            return (this.allPlaylists || []).find(playlist => playlist.id === resolved.id)?.name || null;
+        case 'album':
+            return track.album?.id === resolved.id ? track.album.name : null;
+        case 'artist':
+            return (track.artists || []).find(artist => artist.id === resolved.id)?.name || null;
+        default:
+            return null;
+    }
+};
+
+/**
+ * Fetch the names of contexts that aren't in the library or on the track, then re-render
+ */
+SpotifyMacOSApp.prototype.resolveHistoryContextNames = async function() {
+    this.historyContextNames = this.historyContextNames || new Map();
+
+    const fetchers = {
+        playlist: id => this.spotifyApi.getPlaylist(id, 'name'),
+        album: id => this.spotifyApi.getAlbum(id),
+        artist: id => this.spotifyApi.getArtist(id)
+    };
+    const missing = new Map();
+    this.historyEntries.forEach(entry => {
+        const resolved = entry.context ? SpotifyUriResolver.resolve(entry.context.uri) : null;
+        if (resolved && fetchers[resolved.type] && !this.historyContextNames.has(resolved.uri) &&
+            !this.getLocalHistoryContextName(resolved, entry.track)) {
+            missing.set(resolved.uri, resolved);
+        }
+    });
+
+    if (missing.size === 0) return;
+
+    for (const resolved of missing.values()) {
+        try {
+            const item = await fetchers[resolved.type](resolved.id);
+            this.historyContextNames.set(resolved.uri, item.name);
+        } catch (error) {
+            // Deleted or private; keep the generic label
+            this.historyContextNames.set(resolved.uri, null);
+        }
+    }
+
+    if (this.historyEntries && this.currentSection === 'history') {
+        this.renderListeningHistory();
+    }
+};
+
+SpotifyMacOSApp.prototype.startListeningHistorySync = function() {
+    this.stopListeningHistorySync();
+
+    const sync = async () => {
+        try {
+            const added = await this.listeningHistory.sync(this.userProfile.id);
+            console.log(`Archived ${added} new plays`);
+        } catch (error) {
+            console.warn('Listening history sync failed:', error);
+        }
+    };
+
+    sync();
+    this.listeningHistoryTimer = setInterval(sync, 30 * 60 * 1000);
+};
+
+SpotifyMacOSApp.prototype.stopListeningHistorySync = function() {
+    if (this.listeningHistoryTimer) {
+        clearInterval(this.listeningHistoryTimer);
+        this.listeningHistoryTimer = null;
+    }
+};
+
+// Stats section: top artists and tracks of the three time ranges side by side
+/**
+ * @param {boolean} [force] - Revalidate with Spotify instead of using cached top lists
+ */
+SpotifyMacOSApp.prototype.loadListeningStats = async function(force = false) {
+    const container = document.getElementById('stats-content');
+    if (this.checkScopes('Listening stats', ['user-top-read'])) {
+        container.innerHTML = '<p>Reconnect to Spotify to see your top artists and tracks.</p>';
+        return;
+    }
+
+    container.innerHTML = '<div class="loading-spinner"><i class="fas fa-spinner fa-spin"></i> Loading your top artists and tracks...</div>';
+    this.setupListeningStatsControls();
+
+    try {
+        const userId = this.userProfile.id;
+        const top = await this.listeningStats.fetchTopLists(force ? { cache: 'no-cache' } : {});
+        if (this.userProfile?.id !== userId) return; // disconnected meanwhile
+
+        // The lists just fetched are this month's snapshot when there is none yet
+        let snapshots = await this.listeningStats.getSnapshots(userId);
+        if (snapshots[0]?.month !== ListeningStats.getMonth()) {
+            await this.listeningStats.saveSnapshot(userId, top);
+            snapshots = await this.listeningStats.getSnapshots(userId);
+        }
+
+        this.statsTopLists = top;
+        this.statsSnapshots = snapshots;
+        this.statsKind = this.statsKind || 'artists';
+        this.statsMonth = '';
+
+        this.renderStatsSnapshotOptions();
+        this.renderListeningStats();
+    } catch (error) {
+        console.error('Failed to load listening stats:', error);
+        if (this.checkScopes('Listening stats', ['user-top-read'], error)) {
+            container.innerHTML = '<p>Reconnect to Spotify to see your top artists and tracks.</p>';
+            return;
+        }
+        container.innerHTML = '<p>Failed to load your top artists and tracks.</p>';
+        this.showError('Failed to load listening stats: ' + this.escapeHtml(error.message));
+    }
+};
+
+SpotifyMacOSApp.prototype.setupListeningStatsControls = function() {
+    document.querySelectorAll('.stats-kind-tabs .search-tab').forEach(tab => {
+        tab.onclick = () => {
+            this.statsKind = tab.dataset.kind;
+            this.renderListeningStats();
+        };
+    });
+
+    document.getElementById('stats-snapshot-select').onchange = (e) => {
+        this.statsMonth = e.target.value;
+        this.renderListeningStats();
+    };
+
+    document.getElementById('refresh-stats-btn').onclick = () => this.loadListeningStats(true);
+
+    document.getElementById('stats-content').onclick = (e) => {
+        const saveButton = e.target.closest('.stats-save-btn');
+        if (saveButton) {
+            this.saveStatsListAsPlaylist(saveButton.dataset.range);
+        }
+    };
+};
+
+SpotifyMacOSApp.prototype.formatStatsMonth = function(month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return new Date(year, monthNumber - 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+};
+
+SpotifyMacOSApp.prototype.renderStatsSnapshotOptions = function() {
+    const select = document.getElementById('stats-snapshot-select');
+    select.innerHTML = '<option value="">Now</option>' + this.statsSnapshots
+        .map(snapshot => `<option value="${snapshot.month}">Snapshot of ${this.formatStatsMonth(snapshot.month)}</option>`)
+        .join('');
+    select.value = this.statsMonth;
+};
+
+/**
+ * The lists on screen, and what each time range's ranks are compared with
+ * @returns {{lists: Object, compareWith: Function}} compareWith(timeRange) gives {items, label} or null
+ */
+SpotifyMacOSApp.prototype.getDisplayedStats = function() {
+    const kind = this.statsKind;
+    const timeRanges = Object.keys(ListeningStats.TIME_RANGES);
+
+    if (!this.statsMonth) {
+        // Now: each range against the next longer one
+        return {
+            lists: this.statsTopLists,
+            compareWith: timeRange => {
+                const longer = timeRanges[timeRanges.indexOf(timeRange) + 1];
+                return longer
+                    ? { items: this.statsTopLists[kind][longer], label: `vs ${ListeningStats.TIME_RANGES[longer].toLowerCase()}` }
+                    : null;
+            }
+        };
+    }
+
+    // A snapshot: each range against the same range a snapshot earlier
+    const index = this.statsSnapshots.findIndex(snapshot => snapshot.month === this.statsMonth);
+    const snapshot = this.statsSnapshots[index];
+    const previous = this.statsSnapshots[index + 1];
+    return {
+        lists: snapshot,
+        compareWith: timeRange => previous
+            ? { items: previous[kind][timeRange] || [], label: `vs ${this.formatStatsMonth(previous.month)}` }
+            : null
+    };
+};
+
+SpotifyMacOSApp.prototype.renderListeningStats = function() {
+    if (!this.statsTopLists) return;
+
+    const kind = this.statsKind;
+    const { lists, compareWith } = this.getDisplayedStats();
+
+    document.querySelectorAll('.stats-kind-tabs .search-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.kind === kind);
+    });
+
+    const columns = Object.entries(ListeningStats.TIME_RANGES).map(([timeRange, label]) => {
+        const items = lists[kind][timeRange] || [];
+        const comparison = compareWith(timeRange);
+        const changes = ListeningStats.getRankChanges(items, comparison?.items || null);
+
+        return `
+            <div class="stats-column">
+                <div class="stats-column-header">
+                    <div>
+                        <h3>${label}</h3>
+                        <div class="stats-comparison">${comparison?.label || ''}</div>
+                    </div>
+                    <button class="toolbar-btn stats-save-btn" data-range="${timeRange}" title="Save as Playlist"${items.length ? '' : ' disabled'}>
+                        <i class="fas fa-plus"></i>
+                    </button>
+                </div>
+                ${items.length
+                    ? items.map((item, index) => this.renderStatsItem(kind, item, index, changes[index])).join('')
+                    : `<p class="stats-comparison">No top ${kind} for this period yet.</p>`}
+            </div>
+        `;
+    }).join('');
+
+    const genres = Object.entries(ListeningStats.TIME_RANGES).map(([timeRange, label]) => {
+        const topGenres = ListeningStats.getGenres(lists.artists[timeRange] || []);
+        return `
+            <div class="stats-column">
+                <div class="stats-column-header"><h3>${label}</h3></div>
+                ${topGenres.length ? topGenres.map(({ genre, share }) => `
+                    <div class="stats-genre">
+                        <div class="stats-genre-label"><span>${this.escapeHtml(genre)}</span><span>${Math.round(share * 100)}%</span></div>
+                        <div class="stats-genre-bar"><span style="width: ${Math.round(share * 100)}%;"></span></div>
+                    </div>
+                `).join('') : '<p class="stats-comparison">No genres for this period.</p>'}
+            </div>
+        `;
+    }).join('');
+
+    document.getElementById('stats-content').innerHTML = `
+        <div class="stats-columns">${columns}</div>
+        <h3 class="artist-section-title">Top Genres</h3>
+        <p class="stats-comparison">Share of your top artists tagged with each genre</p>
+        <div class="stats-columns">${genres}</div>
+    `;
+};
+
+/**
+ * @param {?number} change - Places moved up, negative for down, null for new, undefined when not compared
+ */
+SpotifyMacOSApp.prototype.renderStatsItem = function(kind, item, index, change) {
+    let move = '';
+    if (change === null) {
+        move = '<span class="stats-move new">New</span>';
+    } else if (change > 0) {
+        move = `<span class="stats-move up" title="Up ${change}"><i class="fas fa-arrow-up"></i> ${change}</span>`;
+    } else if (change < 0) {
+        move = `<span class="stats-move down" title="Down ${-change}"><i class="fas fa-arrow-down"></i> ${-change}</span>`;
+    } else if (change === 0) {
+        move = '<span class="stats-move">–</span>';
+    }
+
+    const image = kind === 'artists' ? item.images : item.album?.images;
+    const name = kind === 'artists'
+        ? this.renderArtistLinks([item])
+        : this.escapeHtml(item.name);
+    const meta = kind === 'artists'
+        ? this.escapeHtml((item.genres || []).slice(0, 2).join(', '))
+        : this.renderArtistLinks(item.artists || []);
+
+    return `
+        <div class="stats-item"${kind === 'tracks' ? ` data-track-uri="${this.escapeHtml(item.uri)}"` : ''}>
+            <span class="stats-rank">${index + 1}</span>
+            <img src="${this.escapeHtml(image?.[image.length - 1]?.url)}" alt="">
+            <div class="stats-item-details">
+                <div class="stats-item-name">${name}</div>
+                <div class="stats-item-meta">${meta}</div>
+            </div>
+            ${move}
+        </div>
+    `;
+};
+
+/**
+ * Create a playlist from one list on screen; artist lists use each artist's most popular track
+ * @param {string} timeRange - Column to save
+ */
+SpotifyMacOSApp.prototype.saveStatsListAsPlaylist = async function(timeRange) {
+    const kind = this.statsKind;
+    const { lists } = this.getDisplayedStats();
+    const items = lists[kind][timeRange] || [];
+    const period = ListeningStats.TIME_RANGES[timeRange];
+    const name = this.statsMonth
+        ? `Top ${ListeningStats.KINDS[kind]} · ${period} · ${this.formatStatsMonth(this.statsMonth)}`
+        : `Top ${ListeningStats.KINDS[kind]} · ${period}`;
+
+    const confirmed = await this.showConfirmationDialog(
+        'Save as Playlist',
+        kind === 'artists'
+            ? `Create "${name}" with the most popular track of each of these ${items.length} artists?`
+            : `Create "${name}" with these ${items.length} tracks?`,
+        'Create Playlist',
+        'Cancel'
+    );
+    if (!confirmed) return;
+
+    try {
+        this.showLoading(`Creating "${name}"...`);
+        const uris = await this.listeningStats.getPlaylistUris(kind, items);
+        await this.playlistTools.createPlaylist(name, `Your top ${kind}, ${period.toLowerCase()}. Saved by Spofify`, uris);
+
+        this.hideLoading();
+        this.showSuccess(`Created "${name}" with ${uris.length} tracks`);
+        await this.loadPlaylists();
+    } catch (error) {
+        console.error('Failed to save stats list as playlist:', error);
+        this.hideLoading();
+        this.showError('Failed to create the playlist. Please try again.');
+    }
+};
+
+// Browse section: featured playlists, new releases and categories, paged in as the user scrolls
+SpotifyMacOSApp.prototype.getBrowseRegions = function() {
+    return {
+        countries: ['US', 'GB', 'CA', 'AU', 'IE', 'DE', 'AT', 'CH', 'FR', 'ES', 'IT', 'NL', 'BE', 'SE', 'NO', 'DK', 'FI', 'PL', 'PT', 'BR', 'MX', 'AR', 'JP', 'KR', 'IN', 'ZA'],
+        locales: ['en_US', 'en_GB', 'de_DE', 'fr_FR', 'es_ES', 'es_MX', 'it_IT', 'nl_NL', 'sv_SE', 'nb_NO', 'da_DK', 'fi_FI', 'pl_PL', 'pt_BR', 'ja_JP', 'ko_KR']
+    };
+};
+
+SpotifyMacOSApp.prototype.getBrowseRegion = function() {
+    try {
+        return JSON.parse(localStorage.getItem('spofify_browse_region')) || {};
+    } catch (error) {
+        return {};
+    }
+};
+
+SpotifyMacOSApp.prototype.showBrowse = function() {
+    this.setupBrowseControls();
+    this.switchBrowseFeed(this.browseFeed?.feed === 'category' ? 'categories' : (this.browseFeed?.feed || 'featured'));
+};
+
+SpotifyMacOSApp.prototype.setupBrowseControls = function() {
+    const { countries, locales } = this.getBrowseRegions();
+    const region = this.getBrowseRegion();
+    const displayName = (type, code) => {
+        try {
+            return new Intl.DisplayNames(undefined, { type }).of(code) || code;
+        } catch (error) {
+            return code;
+        }
+    };
+
+    const countrySelect = document.getElementById('browse-country');
+    countrySelect.innerHTML = '<option value="">Your market</option>' + countries
+        .map(code => `<option value="${code}">${displayName('region', code)}</option>`).join('');
+    countrySelect.value = region.country || '';
+
+    const localeSelect = document.getElementById('browse-locale');
+    localeSelect.innerHTML = '<option value="">Your language</option>' + locales
+        .map(code => `<option value="${code}">${displayName('language', code.replace('_', '-'))}</option>`).join('');
+    localeSelect.value = region.locale || '';
+
+    const onRegionChange = () => {
+        localStorage.setItem('spofify_browse_region', JSON.stringify({ country: countrySelect.value, locale: localeSelect.value }));
+        const { feed, categoryId, categoryName } = this.browseFeed || {};
+        this.switchBrowseFeed(feed || 'featured', categoryId ? { id: categoryId, name: categoryName } : null);
+    };
+    countrySelect.onchange = onRegionChange;
+    localeSelect.onchange = onRegionChange;
+
+    document.querySelectorAll('.browse-tabs .search-tab').forEach(tab => {
+        tab.onclick = () => this.switchBrowseFeed(tab.dataset.feed);
+    });
+    document.getElementById('browse-back-btn').onclick = () => this.switchBrowseFeed('categories');
+
+    document.getElementById('browse-grid').onclick = (e) => {
+        const action = e.target.closest('[data-browse-action]');
+        const card = e.target.closest('.browse-card');
+        if (!card) return;
+
+        const { type, id } = card.dataset;
+        if (action) {
+            this.runBrowseAction(action.dataset.browseAction, type, id, e);
+        } else if (type === 'category') {
+            this.switchBrowseFeed('category', { id, name: card.dataset.name });
+        } else {
+            this.navigateTo(`${type}/${id}`);
+        }
+    };
+
+    // The next page loads as the end of the grid scrolls into view
+    if (!this.browseScrollHandler) {
+        const contentArea = document.querySelector('.content-area');
+        this.browseScrollHandler = () => {
+            if (this.currentSection === 'browse' &&
+                contentArea.scrollTop + contentArea.clientHeight >= contentArea.scrollHeight - 400) {
+                this.loadBrowsePage();
+            }
+        };
+        contentArea.addEventListener('scroll', this.browseScrollHandler);
+    }
+};
+
+/**
+ * Start a feed from its first page
+ * @param {string} feed - featured, releases, categories or category
+ * @param {?{id: string, name: string}} [category] - The category of the category feed
+ */
+SpotifyMacOSApp.prototype.switchBrowseFeed = function(feed, category = null) {
+    document.querySelectorAll('.browse-tabs .search-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.feed === (feed === 'category' ? 'categories' : feed));
+    });
+
+    this.browseFeed = {
+        feed,
+        categoryId: category?.id || null,
+        categoryName: category?.name || null,
+        offset: 0,
+        total: null,
+        loading: false
+    };
+
+    document.getElementById('browse-grid').innerHTML = '';
+    document.getElementById('browse-back-btn').style.display = feed === 'category' ? 'flex' : 'none';
+    document.getElementById('browse-heading-title').textContent = category?.name || '';
+    document.getElementById('browse-heading').style.display = feed === 'category' ? 'flex' : 'none';
+
+    this.loadBrowsePage();
+};
+
+SpotifyMacOSApp.prototype.loadBrowsePage = async function() {
+    const state = this.browseFeed;
+    if (!state || state.loading || (state.total !== null && state.offset >= state.total)) return;
+    state.loading = true;
+
+    const grid = document.getElementById('browse-grid');
+    const status = document.getElementById('browse-status');
+    const region = this.getBrowseRegion();
+    const limit = 20;
+    status.textContent = 'Loading...';
+
+    try {
+        let page;
+        let message = null;
+        switch (state.feed) {
+            case 'featured': {
+                const response = await this.spotifyApi.getFeaturedPlaylists(limit, state.offset, region);
+                page = response.playlists;
+                message = response.message;
+                break;
+            }
+            case 'releases':
+                page = (await this.spotifyApi.getNewReleases(limit, state.offset, region)).albums;
+                break;
+            case 'categories':
+                page = (await this.spotifyApi.getCategories(limit, state.offset, region)).categories;
+                break;
+            case 'category':
+                page = (await this.spotifyApi.getCategoryPlaylists(state.categoryId, limit, state.offset, region)).playlists;
+                break;
+        }
+        if (this.browseFeed !== state) return; // switched feeds meanwhile
+
+        const items = (page?.items || []).filter(item => item);
+        state.offset += page?.items?.length || 0;
+        state.total = page?.items?.length ? (page.total ?? state.offset) : state.offset;
+
+        if (message && state.feed === 'featured') {
+            document.getElementById('browse-heading-title').textContent = message;
+            document.getElementById('browse-heading').style.display = 'flex';
+        }
+
+        grid.insertAdjacentHTML('beforeend', items.map(item => this.renderBrowseCard(state.feed, item)).join(''));
+        status.textContent = state.offset === 0 ? 'Nothing to show for this market.' : '';
+    } catch (error) {
+        console.error('Failed to load browse feed:', error);
+        if (this.browseFeed !== state) return;
+        state.total = state.offset; // stop paging until the feed is reopened
+        status.textContent = error.status === 404
+            ? 'Spotify doesn\'t offer this feed for your account or market.'
+            : 'Failed to load. Switch tabs to try again.';
+    } finally {
+        state.loading = false;
+    }
+
+    // Keep paging while the grid doesn't fill the view yet
+    if (this.browseFeed === state && this.currentSection === 'browse') {
+        this.browseScrollHandler?.();
+    }
+};
+
+SpotifyMacOSApp.prototype.renderBrowseCard = function(feed, item) {
+    const name = this.escapeHtml(item.name);
+    const id = this.escapeHtml(item.id);
+
+    if (feed === 'categories') {
+        return `
+            <div class="search-result-item browse-card" data-type="category" data-id="${id}" data-name="${name}">
+                <img src="${this.escapeHtml(item.icons?.[0]?.url)}" alt="${name}" class="result-image">
+                <div class="result-title">${name}</div>
+            </div>
+        `;
+    }
+
+    const type = feed === 'releases' ? 'album' : 'playlist';
+    // Playlist descriptions come with links and entities, so show them as plain text
+    const subtitle = type === 'album'
+        ? `${item.artists?.map(artist => artist.name).join(', ') || ''} \u2022 ${(item.release_date || '').substring(0, 4)}`
+        : (this.getPlainText(item.description) || `By ${item.owner?.display_name || 'Spotify'}`);
+
+    return `
+        <div class="search-result-item browse-card" data-type="${type}" data-id="${id}">
+            <img src="${this.escapeHtml(item.images?.[0]?.url)}" alt="${name}" class="result-image">
+            <div class="result-title">${name}</div>
+            <div class="result-subtitle">${this.escapeHtml(subtitle)}</div>
+            <div class="browse-card-actions">
+                <button class="album-action-btn" data-browse-action="play" title="Play">
+                    <i class="fas fa-play"></i>
+                </button>
+                <button class="album-action-btn" data-browse-action="play-to" title="Play To">
+                    <i class="fas fa-external-link-alt"></i>
+                </button>
+                <button class="album-action-btn" data-browse-action="save" title="${type === 'album' ? 'Save to Your Albums' : 'Follow Playlist'}">
+                    <i class="fas fa-heart"></i>
+                </button>
+            </div>
+        </div>
+    `;
+};
+
+SpotifyMacOSApp.prototype.runBrowseAction = function(action, type, id, event) {
+    switch (action) {
+        case 'play':
+            return type === 'album' ? this.playAlbum(id) : this.playPlaylist(id);
+        case 'play-to':
+            return this.showBrowseContextMenu(event, type, id);
+        case 'save':
+            return this.saveBrowseItem(type, id);
+    }
+};
+
+/**
+ * Play, Play To, save and view actions for an album or playlist outside the library tables
+ */
+SpotifyMacOSApp.prototype.showBrowseContextMenu = async function(event, type, id) {
+    this.hideContextMenu();
+    const devices = await this.getAvailableDevices();
+    const playOnDevice = type === 'album' ? 'playAlbumOnDevice' : 'playPlaylistOnDevice';
+
+    const menu = document.createElement('div');
+    menu.className = 'context-menu';
+    menu.style.left = `${event.pageX}px`;
+    menu.style.top = `${event.pageY}px`;
+    menu.innerHTML = `
+        <div class="context-menu-item" onclick="window.spotifyApp.runBrowseAction('play', '${type}', '${id}'); window.spotifyApp.hideContextMenu()">
+            <i class="fas fa-play"></i>
+            Play
+        </div>
+        <div class="context-menu-item has-submenu">
+            <i class="fas fa-external-link-alt"></i>
+            Play To
+            <div class="context-menu-submenu">
+                ${devices.map(device => `
+                    <div class="context-menu-item" onclick="window.spotifyApp.${playOnDevice}('${id}', '${device.id}')">
+                        <i class="fas fa-${this.getDeviceIcon(device.type)}"></i>
+                        ${device.name}
+                        ${device.is_active ? '<span style="color: var(--spotify-green); margin-left: auto;">●</span>' : ''}
+                    </div>
+                `).join('')}
+                ${devices.length === 0 ? `
+                    <div class="context-menu-item" style="color: var(--spotify-light-gray); cursor: default;">
+                        <i class="fas fa-exclamation-triangle"></i>
+                        No devices available
+                    </div>
+                ` : ''}
+            </div>
+        </div>
+        <div class="context-menu-item" onclick="window.spotifyApp.saveBrowseItem('${type}', '${id}'); window.spotifyApp.hideContextMenu()">
+            <i class="fas fa-heart"></i>
+            ${type === 'album' ? 'Save to Your Albums' : 'Follow Playlist'}
+        </div>
+        <div class="context-menu-separator"></div>
+        <div class="context-menu-item" onclick="window.spotifyApp.navigateTo('${type}/${id}'); window.spotifyApp.hideContextMenu()">
+            <i class="fas fa-list"></i>
+            View Tracks
+        </div>
+    `;
+
+    document.body.appendChild(menu);
+    menu.style.display = 'block';
+
+    const rect = menu.getBoundingClientRect();
+    if (rect.right > window.innerWidth) {
+        menu.style.left = `${window.innerWidth - rect.width - 10}px`;
+    }
+    if (rect.bottom > window.innerHeight) {
+        menu.style.top = `${window.innerHeight - rect.height - 10}px`;
+    }
+};
+
+SpotifyMacOSApp.prototype.saveBrowseItem = async function(type, id) {
+    try {
+        if (type === 'album') {
+            await this.spotifyApi.saveAlbums([id]);
+            this.showSuccess('Album saved to your library');
+            await this.loadAlbums();
+        } else {
+            await this.spotifyApi.followPlaylist(id);
+            this.showSuccess('Playlist added to your library');
+            await this.loadPlaylists();
+        }
+    } catch (error) {
+        console.error(`Failed to save ${type}:`, error);
+        this.showError(`Failed to save the ${type}. Please try again.`);
+    }
+};
+
+// Search query builder and saved searches
+SpotifyMacOSApp.prototype.getSelectedSearchTypes = function() {
+    return ['track', 'artist', 'album', 'playlist'].filter(type => document.getElementById(`filter-${type}s`).checked);
+};
+
+SpotifyMacOSApp.prototype.setupQueryBuilder = function() {
+    const builder = document.getElementById('query-builder');
+    const toggle = document.getElementById('query-builder-toggle');
+    const searchInput = document.getElementById('search-input');
+    const fields = builder.querySelectorAll('[data-field]');
+
+    toggle.onclick = () => {
+        const open = builder.style.display === 'none';
+        builder.style.display = open ? 'grid' : 'none';
+        toggle.classList.toggle('active', open);
+        if (open) this.fillQueryBuilder(searchInput.value);
+    };
+
+    // Builder changes rewrite the filters in the search box and keep its free text
+    const onFieldChange = () => {
+        const values = { text: SearchQueries.parse(searchInput.value).text };
+        fields.forEach(field => {
+            values[field.dataset.field] = field.value;
+        });
+        searchInput.value = SearchQueries.build(values);
+    };
+    fields.forEach(field => {
+        field.oninput = onFieldChange;
+        field.onchange = onFieldChange;
+    });
+
+    // Filters typed by hand show up in the builder
+    searchInput.addEventListener('input', () => {
+        if (builder.style.display !== 'none') {
+            this.fillQueryBuilder(searchInput.value);
+        }
+    });
+
+    builder.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') this.performSearch();
+    });
+
+    document.getElementById('save-search-btn').onclick = () => this.saveCurrentSearch();
+    document.getElementById('saved-searches-list').onclick = (e) => {
+        const chip = e.target.closest('.saved-search-chip');
+        if (!chip) return;
+
+        if (e.target.closest('.saved-search-remove')) {
+            this.searchQueries.remove(chip.dataset.id);
+            this.renderSavedSearches();
+        } else {
+            this.runSavedSearch(chip.dataset.id);
+        }
+    };
+
+    this.renderSavedSearches();
+};
+
+SpotifyMacOSApp.prototype.fillQueryBuilder = function(query) {
+    const values = SearchQueries.parse(query);
+    document.querySelectorAll('#query-builder [data-field]').forEach(field => {
+        field.value = values[field.dataset.field] || '';
+    });
+};
+
+SpotifyMacOSApp.prototype.saveCurrentSearch = function() {
+    const query = document.getElementById('search-input').value.trim();
+    const types = this.getSelectedSearchTypes();
+
+    if (!query || types.length === 0) {
+        this.showError('Enter a search and pick at least one category to save it.');
+        return;
+    }
+
+    this.searchQueries.add(query, types);
+    this.renderSavedSearches();
+    this.showSuccess('Search saved');
+};
+
+SpotifyMacOSApp.prototype.runSavedSearch = function(searchId) {
+    const search = this.searchQueries.get(searchId);
+    if (!search) return;
+
+    document.getElementById('search-input').value = search.query;
+    ['track', 'artist', 'album', 'playlist'].forEach(type => {
+        document.getElementById(`filter-${type}s`).checked = search.types.includes(type);
+    });
+    if (document.getElementById('query-builder').style.display !== 'none') {
+        this.fillQueryBuilder(search.query);
+    }
+
+    this.performSearch();
+};
+
+SpotifyMacOSApp.prototype.renderSavedSearches = function() {
+    const container = document.getElementById('saved-searches-list');
+    const searches = this.searchQueries.list();
+
+    container.innerHTML = searches.length === 0
+        ? '<span class="saved-searches-empty">Save a search to run it again later.</span>'
+        : searches.map(search => `
+            <span class="saved-search-chip" data-id="${this.escapeHtml(search.id)}" title="${this.escapeHtml(search.types.join(', '))}">
+                ${this.escapeHtml(search.name)}
+                <button class="saved-search-remove" title="Remove"><i class="fas fa-times"></i></button>
+            </span>
+        `).join('');
+};
+
+// Search suggestions: live results while typing, and recent searches
+SpotifyMacOSApp.prototype.setupSearchSuggestions = function() {
+    const input = document.getElementById('search-input');
+    const dropdown = document.getElementById('search-suggestions');
+    const loadSuggestions = this.debounce(generation => this.loadSearchSuggestions(generation), 250);
+    this.suggestionGeneration = 0;
+
+    input.addEventListener('input', () => {
+        // Results of the previous text are useless now
+        this.suggestionController?.abort();
+        // Hiding the suggestions before the delay is up (e.g. by searching) cancels the load
+        loadSuggestions(this.suggestionGeneration);
+    });
+    input.addEventListener('focus', () => {
+        if (!input.value.trim()) this.showRecentSearches();
+    });
+    input.addEventListener('blur', () => this.hideSearchSuggestions());
+
+    input.addEventListener('keydown', (e) => {
+        if (dropdown.style.display === 'none') {
+            if (e.key === 'ArrowDown') this.loadSearchSuggestions();
+            return;
+        }
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            this.moveSuggestionSelection(e.key === 'ArrowDown' ? 1 : -1);
+        } else if (e.key === 'Enter') {
+            const active = dropdown.querySelector('.search-suggestion.active');
+            if (active) {
+                // Keeps the keypress handler from running a full search
+                e.preventDefault();
+                this.activateSuggestion(active);
+            }
+        } else if (e.key === 'Escape') {
+            this.hideSearchSuggestions();
+        }
+    });
+
+    // mousedown fires before the input's blur hides the dropdown
+    dropdown.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        if (e.target.closest('.search-suggestions-clear')) {
+            this.searchQueries.clearRecent();
+            this.hideSearchSuggestions();
+            return;
+        }
+
+        const suggestion = e.target.closest('.search-suggestion');
+        if (suggestion) this.activateSuggestion(suggestion);
+    });
+};
+
+SpotifyMacOSApp.prototype.loadSearchSuggestions = async function(generation = this.suggestionGeneration) {
+    const input = document.getElementById('search-input');
+    const query = input.value.trim();
+
+    if (generation !== this.suggestionGeneration) return;
+    this.suggestionController?.abort();
+    if (document.activeElement !== input) return;
+
+    // Links open directly, short text would only match noise
+    if (query.length < 2 || SpotifyUriResolver.resolve(query)) {
+        if (query) {
+            this.hideSearchSuggestions();
+        } else {
+            this.showRecentSearches();
+        }
+        return;
+    }
+    if (!this.isConnected) return;
+
+    const controller = new AbortController();
+    this.suggestionController = controller;
+
+    try {
+        const results = await this.spotifyApi.search(query, ['track', 'artist', 'album', 'playlist'], 5, 0, {
+            priority: 'interactive',
+            signal: controller.signal
+        });
+        if (controller.signal.aborted) return;
+
+        const section = (title, items, type, meta) => items.length === 0 ? '' : `
+            <div class="search-suggestions-heading"><span>${title}</span></div>
+            ${items.map(item => this.renderSearchSuggestion(type, item.uri, item.name, meta(item),
+                (item.album?.images || item.images || []).slice(-1)[0]?.url)).join('')}
+        `;
+        const top = key => (results[key]?.items || []).filter(item => item).slice(0, key === 'tracks' ? 4 : 2);
+
+        const html = [
+            section('Tracks', top('tracks'), 'track', track => track.artists.map(artist => artist.name).join(', ')),
+            section('Artists', top('artists'), 'artist', () => 'Artist'),
+            section('Albums', top('albums'), 'album', album => album.artists.map(artist => artist.name).join(', ')),
+            section('Playlists', top('playlists'), 'playlist', playlist => `By ${playlist.owner?.display_name || 'Unknown'}`)
+        ].join('');
+
+        this.showSearchSuggestions(html || `<div class="search-suggestions-empty">No suggestions for "${this.escapeHtml(query)}"</div>`);
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            console.warn('Search suggestions failed:', error);
+        }
+    } finally {
+        if (this.suggestionController === controller) {
+            this.suggestionController = null;
+        }
+    }
+};
+
+SpotifyMacOSApp.prototype.showRecentSearches = function() {
+    const recent = this.searchQueries.listRecent();
+    if (recent.length === 0) {
+        this.hideSearchSuggestions();
+        return;
+    }
+
+    this.showSearchSuggestions(`
+        <div class="search-suggestions-heading">
+            <span>Recent searches</span>
+            <button class="search-suggestions-clear">Clear</button>
+        </div>
+        ${recent.map(query => `
+            <div class="search-suggestion" data-type="recent" data-query="${this.escapeHtml(query)}" role="option">
+                <i class="fas fa-clock-rotate-left"></i>
+                <div class="search-suggestion-details">
+                    <div class="search-suggestion-name">${this.escapeHtml(query)}</div>
+                </div>
+            </div>
+        `).join('')}
+    `);
+};
+
+// Names come from Spotify users (playlists, profiles), so everything is escaped
+SpotifyMacOSApp.prototype.renderSearchSuggestion = function(type, uri, name, meta, imageUrl) {
+    return `
+        <div class="search-suggestion" data-type="${type}" data-uri="${this.escapeHtml(uri)}" role="option">
+            <img src="${this.escapeHtml(imageUrl)}" alt="">
+            <div class="search-suggestion-details">
+                <div class="search-suggestion-name">${this.escapeHtml(name)}</div>
+                <div class="search-suggestion-meta">${this.escapeHtml(meta)}</div>
+            </div>
+        </div>
+    `;
+};
+
+SpotifyMacOSApp.prototype.showSearchSuggestions = function(html) {
+    const dropdown = document.getElementById('search-suggestions');
+    dropdown.innerHTML = html;
+    dropdown.style.display = 'block';
+};
+
+SpotifyMacOSApp.prototype.hideSearchSuggestions = function() {
+    this.suggestionGeneration++;
+    this.suggestionController?.abort();
+    const dropdown = document.getElementById('search-suggestions');
+    dropdown.style.display = 'none';
+    dropdown.innerHTML = '';
+};
+
+/**
+ * Move the highlighted suggestion, wrapping around at either end
+ * @param {number} step - 1 for down, -1 for up
+ */
+SpotifyMacOSApp.prototype.moveSuggestionSelection = function(step) {
+    const suggestions = Array.from(document.querySelectorAll('#search-suggestions .search-suggestion'));
+    if (suggestions.length === 0) return;
+
+    const current = suggestions.findIndex(suggestion => suggestion.classList.contains('active'));
+    const next = current === -1
+        ? (step > 0 ? 0 : suggestions.length - 1)
+        : (current + step + suggestions.length) % suggestions.length;
+
+    suggestions.forEach((suggestion, index) => {
+        suggestion.classList.toggle('active', index === next);
+        suggestion.setAttribute('aria-selected', index === next ? 'true' : 'false');
+    });
+    suggestions[next].scrollIntoView?.({ block: 'nearest' });
+};
+
+/**
+ * Play a suggested track, open an artist, album or playlist, or rerun a recent search
+ */
+SpotifyMacOSApp.prototype.activateSuggestion = function(suggestion) {
+    const { type, uri, query } = suggestion.dataset;
+    this.hideSearchSuggestions();
+
+    if (type === 'recent') {
+        document.getElementById('search-input').value = query;
+        this.performSearch();
+    } else if (type === 'track') {
+        this.playTrack(uri);
+    } else {
+        this.openSpotifyReference(SpotifyUriResolver.resolve(uri));
+    }
 };
\ No newline at end of file
@@ -18,6 +18,14 @@ const SPOTIFY_CONFIG = {
     // For web testing: use 'http://127.0.0.1:8080/callback.html'
     redirectUri: 'spofifywpf://callback', // ✅ CORRECT for desktop app
 
+    // 🌐 API endpoints (leave as-is unless pointing the app at a local mock server)
+    apiBaseUrl: 'https://api.spotify.com/v1',
+    accountsBaseUrl: 'https://accounts.spotify.com',
+
+    // 🧪 Recorded fixture file (e.g. 'fixtures/demo.json'); when set, every API call
+    // is answered from the file instead of the network. Record one with recordApiFixtures()
+    fixturesUrl: null,
+
     // 📋 Spotify API permissions (scopes) needed for the app
     scopes: [
         'streaming',              // Play music and control playback
@@ -30,7 +38,11 @@ const SPOTIFY_CONFIG = {
         'playlist-read-private',       // Read user's private playlists
         'playlist-read-collaborative', // Read collaborative playlists
         'playlist-modify-public',      // Create and modify public playlists
-        'playlist-modify-private'      // Create and modify private playlists
+        'playlist-modify-private',     // Create and modify private playlists
+        'user-top-read',               // Read top artists and tracks
+        'user-read-recently-played',   // Read recently played tracks
+        'user-follow-read',            // Check which artists the user follows
+        'user-follow-modify'           // Follow and unfollow artists
     ]
 };
 
@@ -50,6 +62,7 @@ console.log('🔧 Debug commands:');
 console.log('- checkSpotifyConfig() - Check configuration');
 console.log('- debugSpotifyConnection() - Debug connection status');
 console.log('- setSpotifyClientId("your_id") - Set client ID');
+console.log('- recordApiFixtures() / exportApiFixtures() - Record API responses for fixture mode');
 
 // Development helper: Check if config is properly set up
 window.checkSpotifyConfig = function() {
@@ -0,0 +1,110 @@
+// Spofify Duplicate Finder - Group repeated tracks in a playlist
+//
+// Two occurrences are duplicates when they share a URI, an ISRC (the same
+// recording released on another album), or a normalized title and first artist
+// with durations at most DURATION_TOLERANCE apart (remasters, re-releases).
+// Groups are transitive: A~B and B~C puts A, B and C in one group.
+class DuplicateFinder {
+    static get DURATION_TOLERANCE() {
+        return 3000;
+    }
+
+    /**
+     * @param {Array} items - Playlist items as returned by getAllPlaylistTracks, in playlist order
+     * @returns {Array<{reason: string, occurrences: Array<{position: number, item: Object}>}>}
+     *     Groups of two or more occurrences, in order of their first occurrence.
+     *     reason is 'uri' (all the same track), 'isrc' (same recording) or 'similar'
+     */
+    static find(items) {
+        const occurrences = items
+            .map((item, position) => ({ position, item }))
+            .filter(({ item }) => item && item.track && item.track.uri);
+
+        // Union-find over indexes into occurrences
+        const parent = occurrences.map((_, index) => index);
+        const root = index => {
+            while (parent[index] !== index) {
+                parent[index] = parent[parent[index]];
+                index = parent[index];
+            }
+            return index;
+        };
+        const union = (a, b) => {
+            parent[root(b)] = root(a);
+        };
+
+        const byUri = new Map();
+        const byIsrc = new Map();
+        const byTitle = new Map();
+        occurrences.forEach(({ item }, index) => {
+            const track = item.track;
+            DuplicateFinder.link(byUri, track.uri, index, union);
+
+            const isrc = track.external_ids?.isrc;
+            if (isrc) {
+                DuplicateFinder.link(byIsrc, isrc.toUpperCase(), index, union);
+            }
+
+            const title = PlaylistImporter.normalize(track.name);
+            const artist = PlaylistImporter.normalize(track.artists?.[0]?.name);
+            if (title) {
+                const key = `${title}|${artist}`;
+                const similar = byTitle.get(key) || [];
+                similar
+                    .filter(other => Math.abs((occurrences[other].item.track.duration_ms || 0) - (track.duration_ms || 0)) <= DuplicateFinder.DURATION_TOLERANCE)
+                    .forEach(other => union(other, index));
+                similar.push(index);
+                byTitle.set(key, similar);
+            }
+        });
+
+        const groups = new Map();
+        occurrences.forEach((occurrence, index) => {
+            const key = root(index);
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(occurrence);
+        });
+
+        return [...groups.values()]
+            .filter(group => group.length > 1)
+            .map(group => ({ reason: DuplicateFinder.getReason(group), occurrences: group }))
+            .sort((a, b) => a.occurrences[0].position - b.occurrences[0].position);
+    }
+
+    static link(index, key, value, union) {
+        if (index.has(key)) {
+            union(index.get(key), value);
+        } else {
+            index.set(key, value);
+        }
+    }
+
+    static getReason(group) {
+        const tracks = group.map(({ item }) => item.track);
+        if (tracks.every(track => track.uri === tracks[0].uri)) {
+            return 'uri';
+        }
+        const isrc = tracks[0].external_ids?.isrc;
+        if (isrc && tracks.every(track => track.external_ids?.isrc === isrc)) {
+            return 'isrc';
+        }
+        return 'similar';
+    }
+
+    /**
+     * Build the removeTracksFromPlaylist body for the occurrences to delete
+     * @param {Array<{position: number, item: Object}>} occurrences - Occurrences to remove
+     * @returns {Array<{uri: string, positions: Array<number>}>}
+     */
+    static toRemoval(occurrences) {
+        const byUri = new Map();
+        occurrences.forEach(({ position, item }) => {
+            const positions = byUri.get(item.track.uri) || [];
+            positions.push(position);
+            byUri.set(item.track.uri, positions);
+        });
+        return [...byUri.entries()].map(([uri, positions]) => ({ uri, positions }));
+    }
+}
@@ -0,0 +1,154 @@
+// Spofify Fixture Transport - Recorded API responses for tests and demos
+//
+// A fixture file is a JSON object keyed by "<METHOD> <path>" where the path is
+// relative to the API (or accounts) base URL, for example:
+//
+// {
+//     "GET /me": { "body": { "id": "demo", "display_name": "Demo User" } },
+//     "GET /me/playlists": { "body": { "items": [], "total": 0 } },
+//     "GET /me/playlists?limit=50&offset=0": { "body": { "items": [], "total": 0 } },
+//     "PUT /me/player/play": { "status": 204 }
+// }
+//
+// A key with a query string only matches that exact query; a key without one
+// matches any query. Unmatched GET requests answer 404, unmatched write
+// requests answer 204 so playback commands "succeed" during demos.
+class FixtureTransport {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.fixtures] - Fixture map (see above)
+     * @param {string} [options.url] - URL of a fixture JSON file, loaded on first request
+     * @param {Array<string>} [options.baseUrls] - Base URLs stripped from request URLs before matching
+     */
+    constructor(options = {}) {
+        this.fixtures = options.fixtures || null;
+        this.url = options.url || null;
+        this.baseUrls = options.baseUrls || ['https://api.spotify.com/v1', 'https://accounts.spotify.com'];
+        this.loadPromise = null;
+
+        // Bind so the instance can be handed to SpotifyAPI as a plain fetch function
+        this.fetch = this.fetch.bind(this);
+    }
+
+    async loadFixtures() {
+        if (this.fixtures) {
+            return this.fixtures;
+        }
+
+        if (!this.loadPromise) {
+            this.loadPromise = fetch(this.url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load fixtures from ${this.url}: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(fixtures => {
+                    this.fixtures = fixtures;
+                    console.log(`Loaded ${Object.keys(fixtures).length} API fixtures from ${this.url}`);
+                    return fixtures;
+                });
+        }
+
+        return this.loadPromise;
+    }
+
+    /**
+     * Strip the matching base URL so "https://api.spotify.com/v1/me?x=1" becomes "/me?x=1"
+     * @param {string} url - Absolute request URL
+     * @returns {string} Path relative to its base URL
+     */
+    relativePath(url) {
+        const base = this.baseUrls.find(candidate => url.startsWith(candidate));
+        return base ? url.substring(base.length) : url.replace(/^[a-z]+:\/\/[^/]+/i, '');
+    }
+
+    findFixture(method, path) {
+        const exact = this.fixtures[`${method} ${path}`];
+        if (exact) {
+            return exact;
+        }
+
+        const pathWithoutQuery = path.split('?')[0];
+        return this.fixtures[`${method} ${pathWithoutQuery}`] || null;
+    }
+
+    async fetch(url, init = {}) {
+        await this.loadFixtures();
+
+        const method = (init.method || 'GET').toUpperCase();
+        const path = this.relativePath(String(url));
+        const fixture = this.findFixture(method, path);
+
+        if (!fixture) {
+            if (method === 'GET' || method === 'HEAD') {
+                console.warn(`No fixture recorded for ${method} ${path}`);
+                return this.createResponse(404, {
+                    error: { status: 404, message: `No fixture recorded for ${method} ${path}` }
+                });
+            }
+            return this.createResponse(204, null);
+        }
+
+        if (fixture.delayMs) {
+            await new Promise(resolve => setTimeout(resolve, fixture.delayMs));
+        }
+
+        return this.createResponse(fixture.status || 200, fixture.body ?? null, fixture.headers);
+    }
+
+    createResponse(status, body, headers = {}) {
+        const hasBody = body !== null && status !== 204 && status !== 304;
+        return new Response(hasBody ? JSON.stringify(body) : null, {
+            status: status,
+            headers: {
+                ...(hasBody ? { 'Content-Type': 'application/json' } : {}),
+                ...headers
+            }
+        });
+    }
+}
+
+// Records real API responses so they can be saved as a fixture file.
+// Only Web API calls are recorded; token requests never end up in a fixture.
+class FixtureRecorder {
+    /**
+     * @param {Function} transport - fetch-compatible function to record
+     * @param {string} [apiBaseUrl] - Web API base URL stripped from recorded keys
+     */
+    constructor(transport, apiBaseUrl = 'https://api.spotify.com/v1') {
+        this.transport = transport;
+        this.apiBaseUrl = apiBaseUrl;
+        this.fixtures = {};
+
+        this.fetch = this.fetch.bind(this);
+    }
+
+    async fetch(url, init = {}) {
+        const response = await this.transport(url, init);
+        const requestUrl = String(url);
+
+        if (!requestUrl.startsWith(this.apiBaseUrl)) {
+            return response;
+        }
+
+        const method = (init.method || 'GET').toUpperCase();
+        const key = `${method} ${requestUrl.substring(this.apiBaseUrl.length)}`;
+
+        try {
+            const text = await response.clone().text();
+            this.fixtures[key] = {
+                status: response.status,
+                body: text ? JSON.parse(text) : null
+            };
+        } catch (error) {
+            console.warn(`Could not record fixture for ${key}:`, error);
+        }
+
+        return response;
+    }
+
+    toJSON() {
+        return this.fixtures;
+    }
+}
@@ -0,0 +1,135 @@
+// Spofify Job Journal - Persisted progress for bulk operations
+//
+// Every bulk job (delete playlists, remove albums, ...) is written to
+// localStorage before it starts and after every item, so a job interrupted by
+// closing the window can be resumed or aborted on the next start, and the user
+// can see exactly which items went through.
+//
+// Job shape:
+// {
+//     id, type, title, userId, context, createdAt, updatedAt,
+//     status: 'running' | 'completed' | 'aborted',   // running as long as items are pending or failed
+//     items: [{ key, label, payload, status: 'pending' | 'done' | 'failed', error }]
+// }
+class JobJournal {
+    /**
+     * @param {string} [storageKey] - localStorage key holding the journal
+     * @param {number} [keepFinished] - Number of finished jobs kept for reports
+     */
+    constructor(storageKey = 'spofify_job_journal', keepFinished = 20) {
+        this.storageKey = storageKey;
+        this.keepFinished = keepFinished;
+        this.jobs = this.load();
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.warn('Job journal is unreadable, starting a new one:', error);
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.jobs));
+        } catch (error) {
+            console.error('Failed to persist job journal:', error);
+        }
+    }
+
+    /**
+     * Record a new job
+     * @param {string} type - Handler type, e.g. 'delete-playlist'
+     * @param {string} title - Human readable description
+     * @param {Array<{key: string, label: string, payload: *}>} items - Work items
+     * @param {Object} [context] - Data shared by all items (e.g. playlistId)
+     * @param {?string} [userId] - Owner of the job; jobs are only resumed for the same user
+     * @returns {Object} The job
+     */
+    create(type, title, items, context = {}, userId = null) {
+        const now = Date.now();
+        const job = {
+            id: `${type}-${now}-${Math.random().toString(36).slice(2, 8)}`,
+            type: type,
+            title: title,
+            userId: userId,
+            context: context,
+            createdAt: now,
+            updatedAt: now,
+            status: 'running',
+            items: items.map(item => ({ ...item, status: 'pending', error: null }))
+        };
+
+        this.jobs.push(job);
+        this.save();
+        return job;
+    }
+
+    get(jobId) {
+        return this.jobs.find(job => job.id === jobId) || null;
+    }
+
+    getUnfinished(userId = null) {
+        return this.jobs.filter(job => job.status === 'running' && (!userId || !job.userId || job.userId === userId));
+    }
+
+    getPendingItems(jobId) {
+        const job = this.get(jobId);
+        return job ? job.items.filter(item => item.status !== 'done') : [];
+    }
+
+    /**
+     * Update one item and persist immediately
+     * @param {string} jobId - Job ID
+     * @param {string} key - Item key
+     * @param {string} status - 'done' or 'failed'
+     * @param {Error} [error] - Failure reason
+     */
+    markItem(jobId, key, status, error = null) {
+        const job = this.get(jobId);
+        const item = job?.items.find(candidate => candidate.key === key);
+        if (!item) {
+            return;
+        }
+
+        item.status = status;
+        item.error = error ? (error.message || String(error)) : null;
+        job.updatedAt = Date.now();
+        this.save();
+    }
+
+    finish(jobId, status = 'completed') {
+        const job = this.get(jobId);
+        if (!job) {
+            return;
+        }
+
+        job.status = status;
+        job.updatedAt = Date.now();
+        this.prune();
+        this.save();
+    }
+
+    getSummary(jobId) {
+        const job = this.get(jobId);
+        const items = job ? job.items : [];
+        return {
+            total: items.length,
+            done: items.filter(item => item.status === 'done').length,
+            failed: items.filter(item => item.status === 'failed').length,
+            pending: items.filter(item => item.status === 'pending').length
+        };
+    }
+
+    // Drop the oldest finished jobs, unfinished jobs are always kept
+    prune() {
+        const finished = this.jobs.filter(job => job.status !== 'running');
+        const excess = finished.length - this.keepFinished;
+        if (excess > 0) {
+            const drop = new Set(finished.sort((a, b) => a.updatedAt - b.updatedAt).slice(0, excess).map(job => job.id));
+            this.jobs = this.jobs.filter(job => !drop.has(job.id));
+        }
+    }
+}
@@ -0,0 +1,106 @@
+// Spofify Key-Value Store - IndexedDB persistence with an in-memory fallback
+class KeyValueStore {
+    /**
+     * @param {string} name - IndexedDB database name (one object store per database)
+     */
+    constructor(name) {
+        this.name = name;
+        this.storeName = 'entries';
+        this.dbPromise = null;
+        this.memory = null; // Used when IndexedDB is unavailable (e.g. some file:// WebViews)
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = window.indexedDB.open(this.name, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error(`IndexedDB database ${this.name} is blocked`));
+            }).catch(error => {
+                console.warn(`Falling back to in-memory storage for ${this.name}:`, error);
+                this.memory = new Map();
+                return null;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} createRequest - Receives the object store, returns an IDBRequest
+     * @returns {Promise<*>} The request result
+     */
+    async withStore(mode, createRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = createRequest(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async get(key) {
+        const db = await this.open();
+        if (!db) {
+            return this.memory.has(key) ? this.memory.get(key) : null;
+        }
+        const value = await this.withStore('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async set(key, value) {
+        const db = await this.open();
+        if (!db) {
+            this.memory.set(key, value);
+            return;
+        }
+        await this.withStore('readwrite', store => store.put(value, key));
+    }
+
+    async delete(key) {
+        const db = await this.open();
+        if (!db) {
+            this.memory.delete(key);
+            return;
+        }
+        await this.withStore('readwrite', store => store.delete(key));
+    }
+
+    async keys() {
+        const db = await this.open();
+        if (!db) {
+            return Array.from(this.memory.keys());
+        }
+        return this.withStore('readonly', store => store.getAllKeys());
+    }
+
+    async getAll() {
+        const db = await this.open();
+        if (!db) {
+            return Array.from(this.memory.values());
+        }
+        return this.withStore('readonly', store => store.getAll());
+    }
+
+    async clear() {
+        const db = await this.open();
+        if (!db) {
+            this.memory.clear();
+            return;
+        }
+        await this.withStore('readwrite', store => store.clear());
+    }
+}
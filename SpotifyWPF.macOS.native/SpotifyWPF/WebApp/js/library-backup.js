@@ -0,0 +1,227 @@
+// Spofify Library Backup - Export the library to a portable JSON archive and restore it
+//
+// Archive format (version 1):
+// {
+//     format: 'spofify-library-backup', version: 1, exportedAt, user: { id, display_name },
+//     playlists: [{ id, name, description, public, collaborative, owned, owner, tracks: [uri, ...] }],
+//     albums: [{ id, uri, name, artists, added_at }],   // newest first, as returned by Spotify
+//     tracks: [{ id, uri, name, artists, added_at }]    // Liked Songs, newest first
+// }
+//
+// Restoring leaves playlists that are still in the library alone, follows
+// playlists again that were removed but still exist (own ones included),
+// recreates own playlists that are gone for good, and saves liked songs with
+// their original added dates. Albums are saved oldest first, 20 per request;
+// Spotify gives every album of a request the same date, so their order is only
+// kept from one request to the next.
+class LibraryBackup {
+    /**
+     * @param {SpotifyAPI} api - API client
+     */
+    constructor(api) {
+        this.api = api;
+    }
+
+    static get FORMAT() {
+        return 'spofify-library-backup';
+    }
+
+    static get VERSION() {
+        return 1;
+    }
+
+    /**
+     * Build a backup archive of the whole library
+     * @param {Function} [onProgress] - Called with a status message while exporting
+     * @returns {Promise<Object>} The archive
+     */
+    async export(onProgress = () => {}) {
+        const requestOptions = { cache: 'no-store', priority: 'bulk' };
+
+        onProgress('Loading profile...');
+        const profile = await this.api.getCurrentUserProfile();
+
+        onProgress('Loading playlists...');
+        const playlists = (await this.api.getAllUserPlaylists(requestOptions)).items || [];
+
+        const archivedPlaylists = [];
+        for (const [index, playlist] of playlists.entries()) {
+            onProgress(`Loading playlist tracks... (${index + 1}/${playlists.length})`);
+            const items = await this.api.getAllPlaylistTracks(playlist.id, requestOptions);
+
+            archivedPlaylists.push({
+                id: playlist.id,
+                name: playlist.name,
+                description: playlist.description || '',
+                public: playlist.public !== false,
+                collaborative: !!playlist.collaborative,
+                owned: playlist.owner?.id === profile.id,
+                owner: { id: playlist.owner?.id || null, display_name: playlist.owner?.display_name || null },
+                tracks: items.map(item => item.track?.uri).filter(uri => uri)
+            });
+        }
+
+        onProgress('Loading saved albums...');
+        const albums = (await this.api.getAllUserAlbums(requestOptions)).items || [];
+
+        onProgress('Loading liked songs...');
+        const tracks = (await this.api.getAllSavedTracks(requestOptions)).items || [];
+
+        return {
+            format: LibraryBackup.FORMAT,
+            version: LibraryBackup.VERSION,
+            exportedAt: new Date().toISOString(),
+            user: { id: profile.id, display_name: profile.display_name || null },
+            playlists: archivedPlaylists,
+            albums: albums.filter(saved => saved.album).map(saved => ({
+                id: saved.album.id,
+                uri: saved.album.uri,
+                name: saved.album.name,
+                artists: (saved.album.artists || []).map(artist => artist.name),
+                added_at: saved.added_at
+            })),
+            tracks: tracks.filter(saved => saved.track).map(saved => ({
+                id: saved.track.id,
+                uri: saved.track.uri,
+                name: saved.track.name,
+                artists: (saved.track.artists || []).map(artist => artist.name),
+                added_at: saved.added_at
+            }))
+        };
+    }
+
+    /**
+     * Check that parsed JSON is an archive this version can restore
+     * @param {Object} archive - Parsed archive
+     * @throws {Error} When the archive is not a supported backup
+     */
+    static validate(archive) {
+        if (!archive || archive.format !== LibraryBackup.FORMAT) {
+            throw new Error('This file is not a Spofify library backup');
+        }
+        if (archive.version > LibraryBackup.VERSION) {
+            throw new Error(`Backup version ${archive.version} is newer than this app supports`);
+        }
+        if (!Array.isArray(archive.playlists) || !Array.isArray(archive.albums) || !Array.isArray(archive.tracks)) {
+            throw new Error('Backup is incomplete');
+        }
+    }
+
+    /**
+     * Restore an archive into the current account
+     * @param {Object} archive - Archive produced by export()
+     * @param {Function} [onProgress] - Called with a status message while restoring
+     * @returns {Promise<{restored: Object, skipped: {playlists: number}, failed: Array<{type: string, name: string, reason: string}>}>}
+     *     skipped counts playlists that were still in the library
+     */
+    async restore(archive, onProgress = () => {}) {
+        LibraryBackup.validate(archive);
+
+        const requestOptions = { priority: 'bulk' };
+        const report = { restored: { playlists: 0, albums: 0, tracks: 0 }, skipped: { playlists: 0 }, failed: [] };
+        const fail = (type, name, error) => {
+            report.failed.push({ type, name, reason: error?.message || String(error) });
+        };
+
+        onProgress('Loading playlists...');
+        const profile = await this.api.getCurrentUserProfile();
+        const current = (await this.api.getAllUserPlaylists({ ...requestOptions, cache: 'no-store' })).items || [];
+        const currentIds = new Set(current.map(playlist => playlist.id));
+
+        for (const [index, playlist] of archive.playlists.entries()) {
+            onProgress(`Restoring playlists... (${index + 1}/${archive.playlists.length})`);
+            // Restoring into the account the backup came from must not duplicate what is still there
+            if (currentIds.has(playlist.id)) {
+                report.skipped.playlists++;
+                continue;
+            }
+
+            try {
+                if (playlist.owned && !await this.isOwnPlaylist(playlist.id, profile.id, requestOptions)) {
+                    // A partly filled copy is reported as failed, not counted as restored
+                    if (await this.restoreOwnedPlaylist(playlist, requestOptions, fail)) {
+                        report.restored.playlists++;
+                    }
+                } else {
+                    // Removed from the library but not gone (Spotify only unfollows deleted playlists),
+                    // or someone else's playlist: follow it again rather than making a copy
+                    await this.api.followPlaylist(playlist.id, playlist.public, requestOptions);
+                    report.restored.playlists++;
+                }
+            } catch (error) {
+                fail('playlist', playlist.name, error);
+            }
+        }
+
+        // Oldest first, so the newest albums end up on top of "recently added" again
+        const albums = [...archive.albums].reverse();
+        for (let i = 0; i < albums.length; i += 20) {
+            onProgress(`Restoring albums... (${Math.min(i + 20, albums.length)}/${albums.length})`);
+            const chunk = albums.slice(i, i + 20);
+            try {
+                await this.api.saveAlbums(chunk.map(album => album.id), requestOptions);
+                report.restored.albums += chunk.length;
+            } catch (error) {
+                chunk.forEach(album => fail('album', album.name, error));
+            }
+        }
+
+        // Liked Songs is sorted by added date, which the backup has for every track
+        const tracks = [...archive.tracks].reverse();
+        for (let i = 0; i < tracks.length; i += 50) {
+            onProgress(`Restoring liked songs... (${Math.min(i + 50, tracks.length)}/${tracks.length})`);
+            const chunk = tracks.slice(i, i + 50);
+            try {
+                await this.api.saveTracksAddedAt(chunk.map(track => ({
+                    id: track.id,
+                    added_at: track.added_at || new Date().toISOString()
+                })), requestOptions);
+                report.restored.tracks += chunk.length;
+            } catch (error) {
+                chunk.forEach(track => fail('track', track.name, error));
+            }
+        }
+
+        return report;
+    }
+
+    /**
+     * Whether a playlist still exists and belongs to the user
+     * @param {string} playlistId - Playlist ID from the backup
+     * @param {string} userId - Current user
+     * @returns {Promise<boolean>}
+     */
+    async isOwnPlaylist(playlistId, userId, requestOptions) {
+        try {
+            const playlist = await this.api.getPlaylist(playlistId, 'id,owner.id', { ...requestOptions, cache: 'no-store' });
+            return playlist.owner?.id === userId;
+        } catch (error) {
+            if (error.status === 404) return false;
+            throw error;
+        }
+    }
+
+    /**
+     * Recreate an owned playlist with its tracks
+     * @returns {Promise<boolean>} Whether every track made it into the new playlist
+     */
+    async restoreOwnedPlaylist(playlist, requestOptions, fail) {
+        const created = await this.api.createPlaylist(playlist.name, playlist.description, playlist.public);
+
+        // Local files can't be added through the Web API
+        const uris = playlist.tracks.filter(uri => !uri.startsWith('spotify:local:'));
+        const skipped = playlist.tracks.length - uris.length;
+        if (skipped > 0) {
+            fail('playlist', playlist.name, new Error(`${skipped} local file${skipped > 1 ? 's' : ''} cannot be restored`));
+        }
+
+        try {
+            await this.api.addTracksToPlaylist(created.id, uris, null, requestOptions);
+        } catch (error) {
+            const added = error.added || 0;
+            fail('playlist', `${playlist.name} (tracks ${added + 1}-${uris.length})`, error);
+            return false;
+        }
+        return skipped === 0;
+    }
+}
@@ -0,0 +1,152 @@
+// Spofify Listening History - Recently played tracks plus a local archive of older plays
+//
+// Spotify only returns the last 50 plays. Every play the app sees is archived
+// (one record per play, keyed by user and time) so the timeline keeps going
+// past that window across sessions.
+//
+// Entry:
+// {
+//     userId, playedAt,                        // playedAt is an ISO timestamp
+//     track: { id, uri, name, duration_ms, artists: [{ id, uri, name }], album: { id, uri, name, images } },
+//     context: { type, uri } | null            // playlist, album or artist it was played from
+// }
+class ListeningHistory {
+    /**
+     * @param {SpotifyAPI} api - API client
+     * @param {KeyValueStore} [store] - Backing store for archived plays
+     */
+    constructor(api, store = new KeyValueStore('spofify-listening-history')) {
+        this.api = api;
+        this.store = store;
+    }
+
+    // Oldest plays beyond this many per user are dropped
+    static get MAX_ENTRIES() {
+        return 20000;
+    }
+
+    static toEntry(userId, item) {
+        const track = item.track || {};
+        const smallestImage = images => (images || []).slice(-1);
+
+        return {
+            userId,
+            playedAt: item.played_at,
+            track: {
+                id: track.id,
+                uri: track.uri,
+                name: track.name,
+                duration_ms: track.duration_ms,
+                artists: (track.artists || []).map(artist => ({ id: artist.id, uri: artist.uri, name: artist.name })),
+                album: track.album
+                    ? { id: track.album.id, uri: track.album.uri, name: track.album.name, images: smallestImage(track.album.images) }
+                    : null
+            },
+            context: item.context?.uri ? { type: item.context.type, uri: item.context.uri } : null
+        };
+    }
+
+    static getKey(entry) {
+        return `${entry.userId}|${entry.playedAt}`;
+    }
+
+    /**
+     * Archive the plays since the newest archived one
+     * @param {string} userId - Current user
+     * @returns {Promise<number>} Number of new plays
+     */
+    async sync(userId) {
+        const archived = await this.getArchived(userId);
+        const after = archived.length > 0 ? Date.parse(archived[0].playedAt) : null;
+
+        const page = await this.api.getRecentlyPlayedTracks(50, null, after, { priority: 'bulk' });
+        const added = await this.archive(userId, page.items || [], archived);
+        await this.prune(archived, added);
+        return added;
+    }
+
+    /**
+     * Get one page of the timeline, newest first
+     * @param {string} userId - Current user
+     * @param {?{before: number, source: string}} [cursor] - next from the previous page
+     * @returns {Promise<{entries: Array<Object>, next: ?{before: number, source: string}, archivedCount: number}>}
+     *     next is null once the oldest archived play is returned
+     */
+    async getPage(userId, cursor = null) {
+        const archived = await this.getArchived(userId);
+
+        // Spotify first, following its cursors; every page is archived on the way
+        if (!cursor || cursor.source === 'api') {
+            const page = await this.api.getRecentlyPlayedTracks(50, cursor?.before || null, null, { priority: 'interactive' });
+            const items = page.items || [];
+            const added = await this.archive(userId, items, archived);
+
+            if (items.length > 0) {
+                const before = Number(page.cursors?.before) || Date.parse(items[items.length - 1].played_at);
+                return {
+                    entries: items.map(item => ListeningHistory.toEntry(userId, item)),
+                    next: { before, source: 'api' },
+                    archivedCount: archived.length + added
+                };
+            }
+        }
+
+        // Past Spotify's window: continue from the archive, which is newest first
+        const before = cursor?.before || Infinity;
+        const start = archived.findIndex(entry => Date.parse(entry.playedAt) < before);
+        const entries = start === -1 ? [] : archived.slice(start, start + 50);
+
+        return {
+            entries,
+            next: entries.length === 50 ? { before: Date.parse(entries[entries.length - 1].playedAt), source: 'archive' } : null,
+            archivedCount: archived.length
+        };
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} Archived plays of a user, newest first
+     */
+    async getArchived(userId) {
+        try {
+            const entries = await this.store.getAll();
+            return entries
+                .filter(entry => entry.userId === userId)
+                .map(entry => ({ entry, time: Date.parse(entry.playedAt) }))
+                .sort((a, b) => b.time - a.time)
+                .map(({ entry }) => entry);
+        } catch (error) {
+            console.warn('Listening history read failed:', error);
+            return [];
+        }
+    }
+
+    async archive(userId, items, archived = null) {
+        const known = new Set((archived || await this.getArchived(userId)).map(entry => entry.playedAt));
+        const fresh = items.filter(item => item.played_at && item.track && !known.has(item.played_at));
+
+        try {
+            for (const item of fresh) {
+                const entry = ListeningHistory.toEntry(userId, item);
+                await this.store.set(ListeningHistory.getKey(entry), entry);
+            }
+        } catch (error) {
+            console.warn('Listening history write failed:', error);
+        }
+        return fresh.length;
+    }
+
+    /**
+     * Drop the oldest plays beyond MAX_ENTRIES
+     * @param {Array<Object>} archived - Archived plays, newest first, from before the sync
+     * @param {number} added - Plays the sync archived, all newer than the archived ones
+     */
+    async prune(archived, added) {
+        try {
+            for (const entry of archived.slice(Math.max(0, ListeningHistory.MAX_ENTRIES - added))) {
+                await this.store.delete(ListeningHistory.getKey(entry));
+            }
+        } catch (error) {
+            console.warn('Listening history prune failed:', error);
+        }
+    }
+}
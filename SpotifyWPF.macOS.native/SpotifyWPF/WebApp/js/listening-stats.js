@@ -0,0 +1,183 @@
+// Spofify Listening Stats - Top artists and tracks across time ranges, with monthly snapshots
+//
+// Spotify only reports the current top lists, so one snapshot per month is
+// stored locally to show how they changed over time.
+//
+// Top lists:
+// {
+//     artists: { short_term: [artist], medium_term: [artist], long_term: [artist] },
+//     tracks: { short_term: [track], medium_term: [track], long_term: [track] }
+// }
+//
+// Snapshot:
+// { userId, month, takenAt, artists: {...}, tracks: {...} }   // month is YYYY-MM, items are trimmed
+class ListeningStats {
+    /**
+     * @param {SpotifyAPI} api - API client
+     * @param {KeyValueStore} [store] - Backing store for monthly snapshots
+     */
+    constructor(api, store = new KeyValueStore('spofify-listening-stats')) {
+        this.api = api;
+        this.store = store;
+    }
+
+    // Shortest first; rank movement compares a range with the next longer one
+    static get TIME_RANGES() {
+        return {
+            short_term: 'Last 4 weeks',
+            medium_term: 'Last 6 months',
+            long_term: 'All time'
+        };
+    }
+
+    static get KINDS() {
+        return {
+            artists: 'Artists',
+            tracks: 'Tracks'
+        };
+    }
+
+    static getMonth(date = new Date()) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    /**
+     * Fetch the top 50 artists and tracks of every time range
+     * @returns {Promise<Object>} Top lists
+     */
+    async fetchTopLists(requestOptions = {}) {
+        const top = { artists: {}, tracks: {} };
+
+        for (const timeRange of Object.keys(ListeningStats.TIME_RANGES)) {
+            const [artists, tracks] = await Promise.all([
+                this.api.getTopArtists(timeRange, 50, 0, requestOptions),
+                this.api.getTopTracks(timeRange, 50, 0, requestOptions)
+            ]);
+            top.artists[timeRange] = artists.items || [];
+            top.tracks[timeRange] = tracks.items || [];
+        }
+        return top;
+    }
+
+    /**
+     * Genres of a list of artists, by how many of them carry each genre
+     * @param {Array<Object>} artists - Artists with genres
+     * @param {number} [limit] - Number of genres to return
+     * @returns {Array<{genre: string, count: number, share: number}>} share is 0-1 of all artists
+     */
+    static getGenres(artists, limit = 10) {
+        const counts = new Map();
+        artists.forEach(artist => (artist.genres || []).forEach(genre => counts.set(genre, (counts.get(genre) || 0) + 1)));
+
+        return Array.from(counts, ([genre, count]) => ({ genre, count, share: artists.length ? count / artists.length : 0 }))
+            .sort((a, b) => b.count - a.count || a.genre.localeCompare(b.genre))
+            .slice(0, limit);
+    }
+
+    /**
+     * How far each item moved compared to another list
+     * @param {Array<Object>} items - Items in rank order
+     * @param {?Array<Object>} previous - Items to compare with, null when there is nothing to compare
+     * @returns {Array<?number>} Per item: places moved up (negative for down), null for new entries,
+     *     or undefined for all items when previous is null
+     */
+    static getRankChanges(items, previous) {
+        if (!previous) {
+            return items.map(() => undefined);
+        }
+
+        const previousRanks = new Map(previous.map((item, index) => [item.id, index]));
+        return items.map((item, index) => previousRanks.has(item.id) ? previousRanks.get(item.id) - index : null);
+    }
+
+    static trim(top) {
+        const trimList = (lists, trimItem) => Object.fromEntries(
+            Object.entries(lists).map(([timeRange, items]) => [timeRange, items.map(trimItem)]));
+
+        return {
+            artists: trimList(top.artists, artist => ({
+                id: artist.id,
+                uri: artist.uri,
+                name: artist.name,
+                genres: artist.genres || [],
+                images: (artist.images || []).slice(-1)
+            })),
+            tracks: trimList(top.tracks, track => ({
+                id: track.id,
+                uri: track.uri,
+                name: track.name,
+                artists: (track.artists || []).map(artist => ({ id: artist.id, uri: artist.uri, name: artist.name })),
+                album: track.album ? { id: track.album.id, name: track.album.name, images: (track.album.images || []).slice(-1) } : null
+            }))
+        };
+    }
+
+    /**
+     * Store the top lists as this month's snapshot, replacing an earlier one from the same month
+     * @returns {Promise<Object>} The snapshot
+     */
+    async saveSnapshot(userId, top, date = new Date()) {
+        const snapshot = { userId, month: ListeningStats.getMonth(date), takenAt: date.getTime(), ...ListeningStats.trim(top) };
+
+        try {
+            await this.store.set(`${userId}|${snapshot.month}`, snapshot);
+        } catch (error) {
+            console.warn('Listening stats snapshot write failed:', error);
+        }
+        return snapshot;
+    }
+
+    /**
+     * Take this month's snapshot unless it exists already
+     * @returns {Promise<boolean>} Whether a snapshot was taken
+     */
+    async snapshotIfDue(userId) {
+        const snapshots = await this.getSnapshots(userId);
+        if (snapshots[0]?.month === ListeningStats.getMonth()) {
+            return false;
+        }
+
+        await this.saveSnapshot(userId, await this.fetchTopLists({ priority: 'bulk' }));
+        return true;
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} Snapshots of a user, newest month first
+     */
+    async getSnapshots(userId) {
+        try {
+            const snapshots = await this.store.getAll();
+            return snapshots
+                .filter(snapshot => snapshot.userId === userId)
+                .sort((a, b) => b.month.localeCompare(a.month));
+        } catch (error) {
+            console.warn('Listening stats snapshot read failed:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Track URIs for a list: the tracks themselves, or each artist's most popular track
+     * @param {string} kind - artists or tracks
+     * @param {Array<Object>} items - Items of the list
+     * @returns {Promise<Array<string>>}
+     */
+    async getPlaylistUris(kind, items) {
+        if (kind === 'tracks') {
+            return items.map(track => track.uri).filter(uri => uri && !uri.startsWith('spotify:local:'));
+        }
+
+        const uris = [];
+        for (const artist of items) {
+            try {
+                const response = await this.api.getArtistTopTracks(artist.id, 'from_token', { priority: 'bulk' });
+                const track = (response.tracks || [])[0];
+                if (track?.uri) uris.push(track.uri);
+            } catch (error) {
+                // An artist without playable tracks is left out
+                console.warn(`No top track for artist ${artist.name}:`, error);
+            }
+        }
+        return uris;
+    }
+}
@@ -112,22 +112,8 @@ class SpotifyPlayer {
         if (!this.deviceId) return;
 
         try {
-            const token = localStorage.getItem('spotify_access_token');
-            const response = await fetch('https://api.spotify.com/v1/me/player', {
-                method: 'PUT',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    device_ids: [this.deviceId],
-                    play: false
-                })
-            });
-
-            if (response.ok) {
-                console.log('Playback transferred to this device');
-            }
+            await window.spotifyApi.transferPlayback(this.deviceId, false);
+            console.log('Playback transferred to this device');
         } catch (error) {
             console.error('Failed to transfer playback:', error);
         }
@@ -151,8 +137,12 @@ class SpotifyPlayer {
 
         // Update track info
         document.getElementById('current-track-name').textContent = track.name;
-        document.getElementById('current-track-artist').textContent =
-            track.artists.map(artist => artist.name).join(', ');
+        // Artist names open the artist page
+        document.getElementById('current-track-artist').innerHTML =
+            window.spotifyApp.renderArtistLinks(track.artists);
+
+        // Keep the queue panel in step with what's playing
+        window.spotifyApp.onPlaybackUpdate(track.uri);
 
         // Check for duration in track object
         console.log('Track duration check:', {
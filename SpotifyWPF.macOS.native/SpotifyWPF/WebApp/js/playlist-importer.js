@@ -0,0 +1,379 @@
+// Spofify Playlist Importer - Parse CSV/M3U/plain-text track lists and match them on Spotify
+//
+// Every parsed entry is resolved to a Spotify track with a confidence score:
+// - Spotify URIs/links are taken as-is
+// - ISRCs are looked up with an `isrc:` query
+// - Everything else goes through `track:"..." artist:"..."` field queries,
+//   falling back to a free-text query when the field query finds nothing
+class PlaylistImporter {
+    /**
+     * @param {SpotifyAPI} api - API client
+     */
+    constructor(api) {
+        this.api = api;
+    }
+
+    // Matches at or above ACCEPT are checked automatically, below REVIEW they are left out
+    static get THRESHOLDS() {
+        return { accept: 0.85, review: 0.5 };
+    }
+
+    /**
+     * Parse a track list file
+     * @param {string} text - File content
+     * @param {string} [filename] - Used to detect the format
+     * @returns {Array<{line: number, title: string, artists: Array<string>, album: ?string, isrc: ?string, durationMs: ?number, trackId: ?string}>}
+     */
+    static parse(text, filename = '') {
+        const content = text.replace(/^\uFEFF/, '');
+        const extension = filename.split('.').pop().toLowerCase();
+
+        if (extension === 'm3u' || extension === 'm3u8' || content.startsWith('#EXTM3U')) {
+            return PlaylistImporter.parseM3U(content);
+        }
+        if (extension === 'csv' || extension === 'tsv') {
+            return PlaylistImporter.parseCSV(content, extension === 'tsv' ? '\t' : ',');
+        }
+        return PlaylistImporter.parseText(content);
+    }
+
+    static parseM3U(content) {
+        const entries = [];
+        let pending = null;
+
+        content.split(/\r?\n/).forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (line.startsWith('#EXTINF:')) {
+                // #EXTINF:<seconds>,<Artist> - <Title>
+                const match = line.match(/^#EXTINF:(-?\d+)[^,]*,(.*)$/);
+                if (match) {
+                    const seconds = parseInt(match[1]);
+                    pending = {
+                        ...PlaylistImporter.splitArtistTitle(match[2]),
+                        durationMs: seconds > 0 ? seconds * 1000 : null,
+                        line: index + 1
+                    };
+                }
+                return;
+            }
+            if (!line || line.startsWith('#')) {
+                return;
+            }
+
+            const trackId = PlaylistImporter.extractTrackId(line);
+            if (pending || trackId) {
+                entries.push(PlaylistImporter.createEntry({ ...(pending || { line: index + 1 }), trackId }));
+            } else {
+                // Plain file path: use the file name as "Artist - Title"
+                const name = PlaylistImporter.decodeFileName(line.split(/[\\/]/).pop()).replace(/\.[a-z0-9]+$/i, '');
+                entries.push(PlaylistImporter.createEntry({ ...PlaylistImporter.splitArtistTitle(name), line: index + 1 }));
+            }
+            pending = null;
+        });
+
+        return entries;
+    }
+
+    // File URLs are percent-encoded, plain paths can contain a literal % ("100% Pure.mp3")
+    static decodeFileName(name) {
+        try {
+            return decodeURIComponent(name);
+        } catch (error) {
+            return name;
+        }
+    }
+
+    static parseCSV(content, delimiter = ',') {
+        const rows = PlaylistImporter.parseDelimited(content, delimiter).filter(row => row.some(cell => cell.trim()));
+        if (rows.length === 0) {
+            return [];
+        }
+
+        // Recognise the usual header names from other services and our own export
+        const header = rows[0].map(cell => cell.trim().toLowerCase().replace(/[^a-z]/g, ''));
+        const find = (...names) => header.findIndex(cell => names.includes(cell));
+        const columns = {
+            title: find('title', 'track', 'trackname', 'name', 'song', 'songname'),
+            artists: find('artists', 'artist', 'artistname', 'artistnames', 'artistsnames'),
+            album: find('album', 'albumname'),
+            isrc: find('isrc'),
+            duration: find('duration', 'durationms', 'length', 'time'),
+            uri: find('uri', 'spotifyuri', 'trackuri', 'url', 'link', 'spotifyurl')
+        };
+
+        if (columns.title === -1 && columns.uri === -1 && columns.isrc === -1) {
+            throw new Error('CSV needs a title, ISRC or Spotify URI column');
+        }
+
+        // Undo the formula guard added by our own CSV export
+        const cell = (row, index) => index === -1 ? '' : (row[index] || '').trim().replace(/^'(?=[=+\-@])/, '');
+
+        return rows.slice(1).map((row, index) => PlaylistImporter.createEntry({
+            line: index + 2,
+            title: cell(row, columns.title),
+            artists: PlaylistImporter.splitArtists(cell(row, columns.artists)),
+            album: cell(row, columns.album) || null,
+            isrc: cell(row, columns.isrc) || null,
+            durationMs: PlaylistImporter.parseDuration(cell(row, columns.duration)),
+            trackId: PlaylistImporter.extractTrackId(cell(row, columns.uri))
+        }));
+    }
+
+    static parseText(content) {
+        return content.split(/\r?\n/)
+            .map((line, index) => ({ text: line.trim(), line: index + 1 }))
+            .filter(({ text }) => text && !text.startsWith('#'))
+            .map(({ text, line }) => {
+                const trackId = PlaylistImporter.extractTrackId(text);
+                return PlaylistImporter.createEntry(trackId
+                    ? { line, trackId }
+                    : { ...PlaylistImporter.splitArtistTitle(text.replace(/^\d+[.)]\s+/, '')), line });
+            });
+    }
+
+    /**
+     * Split RFC 4180 style delimited text into rows of cells
+     */
+    static parseDelimited(content, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (quoted) {
+                if (char === '"' && content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    static createEntry(fields) {
+        return {
+            line: fields.line,
+            title: fields.title || '',
+            artists: fields.artists || [],
+            album: fields.album || null,
+            isrc: fields.isrc ? fields.isrc.toUpperCase().replace(/[^A-Z0-9]/g, '') : null,
+            durationMs: fields.durationMs || null,
+            trackId: fields.trackId || null
+        };
+    }
+
+    // "Artist - Title" (the M3U convention); without a separator the whole text is the title
+    static splitArtistTitle(text) {
+        const parts = text.split(/\s+[-\u2013\u2014]\s+/);
+        if (parts.length < 2) {
+            return { title: text.trim(), artists: [] };
+        }
+        return {
+            artists: PlaylistImporter.splitArtists(parts[0]),
+            title: parts.slice(1).join(' - ').trim()
+        };
+    }
+
+    static splitArtists(text) {
+        return text.split(/\s*(?:,|;|&|\bfeat\.?|\bft\.?|\bfeaturing\b)\s*/i).map(name => name.trim()).filter(name => name);
+    }
+
+    // Accepts "3:25", "1:02:03", milliseconds or seconds
+    static parseDuration(value) {
+        if (!value) {
+            return null;
+        }
+        if (value.includes(':')) {
+            return value.split(':').reduce((total, part) => total * 60 + (parseInt(part) || 0), 0) * 1000;
+        }
+        const number = parseFloat(value);
+        if (!number) {
+            return null;
+        }
+        return number > 10000 ? Math.round(number) : Math.round(number * 1000);
+    }
+
+    static extractTrackId(text) {
+        return SpotifyUriResolver.find(text, ['track'])?.id || null;
+    }
+
+    /**
+     * Match every entry to a Spotify track
+     * @param {Array} entries - Parsed entries
+     * @param {Function} [onProgress] - Called with (resolvedCount, total)
+     * @returns {Promise<Array<{entry: Object, candidates: Array<{track: Object, score: number}>, match: ?Object, confidence: number}>>}
+     */
+    async resolveAll(entries, onProgress = () => {}) {
+        let resolved = 0;
+
+        // Entries that carry a Spotify link are looked up 50 at a time
+        const ids = [...new Set(entries.map(entry => entry.trackId).filter(id => id))];
+        const tracksById = new Map();
+        const lookupErrors = new Map(); // trackId -> Error
+        const lookup = async batch => {
+            const response = await this.api.getTracks(batch, { priority: 'bulk' });
+            (response.tracks || []).filter(track => track).forEach(track => tracksById.set(track.id, track));
+        };
+
+        for (let i = 0; i < ids.length; i += 50) {
+            const batch = ids.slice(i, i + 50);
+            try {
+                await lookup(batch);
+            } catch (error) {
+                // One bad link can fail the whole batch, so try each of them on its own
+                console.warn(`Import: track lookup failed for ${batch.length} links, retrying one by one:`, error);
+                for (const id of batch) {
+                    await lookup([id]).catch(retryError => lookupErrors.set(id, retryError));
+                }
+            }
+        }
+
+        return Promise.all(entries.map(async entry => {
+            let result;
+            try {
+                // A bare link has nothing else to search for
+                const lookupError = lookupErrors.get(entry.trackId);
+                if (lookupError && !entry.title && !entry.isrc) {
+                    throw new Error(`Track lookup failed: ${lookupError.message}`);
+                }
+                result = entry.trackId && tracksById.has(entry.trackId)
+                    ? this.createResult(entry, [{ track: tracksById.get(entry.trackId), score: 1 }])
+                    : await this.resolve(entry);
+            } catch (error) {
+                console.warn(`Import: lookup failed for line ${entry.line}:`, error);
+                result = this.createResult(entry, []);
+                result.error = error.message;
+            }
+            onProgress(++resolved, entries.length);
+            return result;
+        }));
+    }
+
+    async resolve(entry) {
+        const queries = [];
+        if (entry.isrc) {
+            queries.push(`isrc:${entry.isrc}`);
+        }
+        if (entry.title) {
+            const artist = entry.artists[0];
+            queries.push(`track:"${this.stripQuotes(entry.title)}"${artist ? ` artist:"${this.stripQuotes(artist)}"` : ''}`);
+            queries.push(`${PlaylistImporter.normalize(entry.title)} ${artist ? PlaylistImporter.normalize(artist) : ''}`.trim());
+        }
+
+        // Try the most precise query first and stop at the first that finds something
+        for (const query of queries) {
+            const response = await this.api.search(query, ['track'], 5, 0, { priority: 'bulk' });
+            const tracks = response.tracks?.items || [];
+            if (tracks.length > 0) {
+                const candidates = tracks
+                    .map(track => ({ track, score: this.score(entry, track) }))
+                    .sort((a, b) => b.score - a.score);
+                return this.createResult(entry, candidates);
+            }
+        }
+
+        return this.createResult(entry, []);
+    }
+
+    createResult(entry, candidates) {
+        const best = candidates[0] || null;
+        return {
+            entry: entry,
+            candidates: candidates,
+            match: best ? best.track : null,
+            confidence: best ? best.score : 0
+        };
+    }
+
+    /**
+     * Confidence (0-1) that a Spotify track is the entry
+     */
+    score(entry, track) {
+        if (entry.isrc && track.external_ids?.isrc?.toUpperCase() === entry.isrc) {
+            return 1;
+        }
+
+        const parts = [];
+        if (entry.title) {
+            parts.push({ weight: 0.55, value: this.similarity(entry.title, track.name) });
+        }
+        if (entry.artists.length > 0) {
+            const artistNames = (track.artists || []).map(artist => artist.name);
+            const best = Math.max(0, ...entry.artists.map(name =>
+                Math.max(0, ...artistNames.map(candidate => this.similarity(name, candidate)))
+            ));
+            parts.push({ weight: 0.3, value: best });
+        }
+        if (entry.durationMs && track.duration_ms) {
+            const diffSeconds = Math.abs(entry.durationMs - track.duration_ms) / 1000;
+            parts.push({ weight: 0.15, value: diffSeconds <= 2 ? 1 : Math.max(0, 1 - (diffSeconds - 2) / 20) });
+        }
+        if (entry.album && track.album?.name) {
+            parts.push({ weight: 0.1, value: this.similarity(entry.album, track.album.name) });
+        }
+
+        const totalWeight = parts.reduce((sum, part) => sum + part.weight, 0);
+        return totalWeight ? parts.reduce((sum, part) => sum + part.weight * part.value, 0) / totalWeight : 0;
+    }
+
+    // Lowercase, no accents, letters and digits of any script, no "(feat. ...)", "- Remastered 2011" and similar decorations
+    static normalize(text) {
+        return (text || '')
+            .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\s[-\u2013\u2014]\s.*\b(remaster(ed)?|version|edit|mix|live|mono|stereo)\b.*$/, '')
+            .replace(/[([][^)\]]*\b(feat|ft|with|remaster(ed)?|version|edit|live)\b[^)\]]*[)\]]/g, '')
+            .replace(/&/g, ' and ')
+            .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    // Token overlap (Dice coefficient), treating containment as a near match
+    similarity(a, b) {
+        const left = PlaylistImporter.normalize(a);
+        const right = PlaylistImporter.normalize(b);
+        if (!left || !right) {
+            return 0;
+        }
+        if (left === right) {
+            return 1;
+        }
+
+        const leftTokens = new Set(left.split(' '));
+        const rightTokens = new Set(right.split(' '));
+        const shared = [...leftTokens].filter(token => rightTokens.has(token)).length;
+        const dice = (2 * shared) / (leftTokens.size + rightTokens.size);
+
+        return left.includes(right) || right.includes(left) ? Math.max(dice, 0.85) : dice;
+    }
+
+    stripQuotes(text) {
+        return text.replace(/"/g, '');
+    }
+}
@@ -0,0 +1,135 @@
+// Spofify Playlist Track Sync - Local copy of playlist tracks keyed by snapshot_id
+//
+// Spotify changes a playlist's snapshot_id whenever its items change, so a
+// stored track list is valid for as long as the snapshot it was fetched at.
+// Opening an unchanged playlist costs one small metadata request instead of
+// paging through every track.
+class PlaylistTrackSync {
+    /**
+     * @param {SpotifyAPI} api - API client used to fetch playlists
+     * @param {KeyValueStore} [store] - Backing store for synced track lists
+     */
+    constructor(api, store = new KeyValueStore('spofify-playlist-tracks')) {
+        this.api = api;
+        this.store = store;
+        this.pending = new Map(); // playlistId -> in-flight sync promise
+    }
+
+    /**
+     * Get a playlist's tracks, refetching them only when the snapshot changed
+     * @param {string} playlistId - The playlist ID
+     * @returns {Promise<{tracks: Array, name: string, snapshotId: string, fromCache: boolean}>}
+     */
+    async getTracks(playlistId) {
+        // Opening the same playlist twice shares one sync
+        if (!this.pending.has(playlistId)) {
+            const sync = this.sync(playlistId).finally(() => this.pending.delete(playlistId));
+            this.pending.set(playlistId, sync);
+        }
+        return this.pending.get(playlistId);
+    }
+
+    // Times to refetch a playlist that keeps changing while its tracks are paged
+    static get MAX_ATTEMPTS() {
+        return 3;
+    }
+
+    /**
+     * @returns {Promise<Object>} As getTracks; snapshotId is null when the playlist never held
+     *     still long enough to tell which snapshot the tracks belong to
+     */
+    async sync(playlistId) {
+        let playlist = await this.api.getPlaylist(playlistId, 'name,snapshot_id,tracks.total', { cache: 'no-cache' });
+        const stored = await this.getEntry(playlistId);
+
+        if (stored && stored.snapshotId === playlist.snapshot_id && stored.tracks.length === playlist.tracks?.total) {
+            console.log(`Playlist ${playlistId} unchanged (snapshot ${playlist.snapshot_id}), using local tracks`);
+            return { tracks: stored.tracks, name: playlist.name, snapshotId: stored.snapshotId, fromCache: true };
+        }
+
+        let tracks = [];
+        for (let attempt = 1; attempt <= PlaylistTrackSync.MAX_ATTEMPTS; attempt++) {
+            console.log(`Playlist ${playlistId} changed, fetching all tracks`);
+            // The track pages are stored here, so keep them out of the request cache
+            tracks = await this.api.getAllPlaylistTracks(playlistId, { cache: 'no-store' });
+
+            // The playlist may have been edited while paging; the tracks only belong to the snapshot if it still holds
+            const after = await this.api.getPlaylist(playlistId, 'name,snapshot_id', { cache: 'no-store' });
+            if (after.snapshot_id === playlist.snapshot_id) {
+                await this.setEntry(playlistId, {
+                    playlistId: playlistId,
+                    snapshotId: playlist.snapshot_id,
+                    tracks: tracks,
+                    syncedAt: Date.now()
+                });
+                return { tracks: tracks, name: playlist.name, snapshotId: playlist.snapshot_id, fromCache: false };
+            }
+            playlist = after;
+        }
+
+        await this.invalidate(playlistId);
+        return { tracks: tracks, name: playlist.name, snapshotId: null, fromCache: false };
+    }
+
+    async getEntry(playlistId) {
+        try {
+            return await this.store.get(playlistId);
+        } catch (error) {
+            console.warn('Playlist track store read failed:', error);
+            return null;
+        }
+    }
+
+    async setEntry(playlistId, entry) {
+        try {
+            await this.store.set(playlistId, entry);
+        } catch (error) {
+            console.warn('Playlist track store write failed:', error);
+        }
+    }
+
+    /**
+     * Store a track list the app changed itself, so reopening the playlist needs no refetch
+     * @param {string} playlistId - The playlist ID
+     * @param {Array} tracks - Items in their new order
+     * @param {string} snapshotId - Snapshot returned by the change
+     */
+    async update(playlistId, tracks, snapshotId) {
+        await this.setEntry(playlistId, {
+            playlistId: playlistId,
+            snapshotId: snapshotId,
+            tracks: tracks,
+            syncedAt: Date.now()
+        });
+    }
+
+    async invalidate(playlistId) {
+        try {
+            await this.store.delete(playlistId);
+        } catch (error) {
+            console.warn('Playlist track store delete failed:', error);
+        }
+    }
+
+    /**
+     * Forget playlists that are no longer in the user's library
+     * @param {Array<string>} playlistIds - IDs of the playlists to keep
+     */
+    async prune(playlistIds) {
+        try {
+            const keep = new Set(playlistIds);
+            const keys = await this.store.keys();
+            await Promise.all(keys.filter(key => !keep.has(key)).map(key => this.store.delete(key)));
+        } catch (error) {
+            console.warn('Playlist track store prune failed:', error);
+        }
+    }
+
+    async clear() {
+        try {
+            await this.store.clear();
+        } catch (error) {
+            console.warn('Playlist track store clear failed:', error);
+        }
+    }
+}
@@ -0,0 +1,213 @@
+// Spofify Playlist Tools - Merge, split, compare and reorder playlists
+//
+// The list operations work on playlist items as returned by getAllPlaylistTracks.
+// Merge and split never change the source playlists; results are written to new playlists.
+class PlaylistTools {
+    /**
+     * @param {SpotifyAPI} api - API client
+     */
+    constructor(api) {
+        this.api = api;
+    }
+
+    static get SPLIT_MODES() {
+        return {
+            artist: 'By artist',
+            decade: 'By decade of release',
+            chunks: 'Into chunks'
+        };
+    }
+
+    // Longest playlist description the Web API accepts
+    static get MAX_DESCRIPTION_LENGTH() {
+        return 300;
+    }
+
+    // Tracks that can be added through the API (no local files, no removed tracks)
+    static getUris(items) {
+        return items
+            .map(item => item?.track?.uri)
+            .filter(uri => uri && !uri.startsWith('spotify:local:'));
+    }
+
+    /**
+     * Combine several playlists into one track list
+     * @param {Array<Array>} itemLists - Items of each playlist, in merge order
+     * @param {Object} [options]
+     * @param {boolean} [options.dedupe] - Keep only the first occurrence of each track
+     * @param {boolean} [options.interleave] - Alternate between the playlists instead of appending them
+     * @returns {Array<string>} Track URIs
+     */
+    static merge(itemLists, options = {}) {
+        const lists = itemLists.map(items => PlaylistTools.getUris(items));
+        let uris = [];
+
+        if (options.interleave) {
+            const longest = Math.max(0, ...lists.map(list => list.length));
+            for (let i = 0; i < longest; i++) {
+                lists.forEach(list => {
+                    if (i < list.length) {
+                        uris.push(list[i]);
+                    }
+                });
+            }
+        } else {
+            uris = lists.flat();
+        }
+
+        return options.dedupe ? [...new Set(uris)] : uris;
+    }
+
+    /**
+     * Split a playlist into groups
+     * @param {Array} items - Playlist items
+     * @param {string} mode - Key of PlaylistTools.SPLIT_MODES
+     * @param {number} [chunkSize] - Tracks per playlist for 'chunks'
+     * @returns {Array<{label: string, uris: Array<string>}>} Groups in a stable order
+     */
+    static split(items, mode, chunkSize = 100) {
+        const tracks = items.filter(item => item?.track?.uri && !item.track.uri.startsWith('spotify:local:'));
+
+        if (mode === 'chunks') {
+            const groups = [];
+            for (let i = 0; i < tracks.length; i += chunkSize) {
+                const chunk = tracks.slice(i, i + chunkSize);
+                groups.push({
+                    label: `Part ${groups.length + 1}`,
+                    uris: chunk.map(item => item.track.uri)
+                });
+            }
+            return groups;
+        }
+
+        const getLabel = {
+            artist: track => track.artists?.[0]?.name || 'Unknown artist',
+            decade: track => {
+                const year = parseInt(track.album?.release_date);
+                return year ? `${Math.floor(year / 10) * 10}s` : 'Unknown decade';
+            }
+        }[mode];
+
+        if (!getLabel) {
+            throw new Error(`Unknown split mode: ${mode}`);
+        }
+
+        const groups = new Map();
+        tracks.forEach(item => {
+            const label = getLabel(item.track);
+            if (!groups.has(label)) {
+                groups.set(label, []);
+            }
+            groups.get(label).push(item.track.uri);
+        });
+
+        let result = [...groups.entries()].map(([label, uris]) => ({ label, uris }));
+
+        if (mode === 'artist') {
+            // One playlist per single-track artist isn't useful, collect those together
+            const singles = result.filter(group => group.uris.length < 2);
+            result = result.filter(group => group.uris.length >= 2);
+            if (singles.length > 0) {
+                result.push({ label: 'Other artists', uris: singles.flatMap(group => group.uris) });
+            }
+        } else {
+            result.sort((a, b) => a.label.localeCompare(b.label));
+        }
+
+        return result;
+    }
+
+    /**
+     * Compare two playlists by track URI
+     * @param {Array} itemsA - Items of the first playlist
+     * @param {Array} itemsB - Items of the second playlist
+     * @returns {{onlyA: Array<Object>, onlyB: Array<Object>, both: Array<Object>}} Tracks, each listed once
+     */
+    static diff(itemsA, itemsB) {
+        const unique = items => {
+            const tracks = new Map();
+            items.forEach(item => {
+                if (item?.track?.uri && !tracks.has(item.track.uri)) {
+                    tracks.set(item.track.uri, item.track);
+                }
+            });
+            return tracks;
+        };
+
+        const a = unique(itemsA);
+        const b = unique(itemsB);
+
+        return {
+            onlyA: [...a.values()].filter(track => !b.has(track.uri)),
+            onlyB: [...b.values()].filter(track => !a.has(track.uri)),
+            both: [...a.values()].filter(track => b.has(track.uri))
+        };
+    }
+
+    /**
+     * Work out the reorder requests that move a selection in front of a position
+     * @param {number} count - Number of items in the playlist
+     * @param {Array<number>} positions - Positions of the items to move, need not be contiguous
+     * @param {number} insertBefore - Position to move them in front of, count for the end
+     * @returns {{moves: Array<{rangeStart: number, insertBefore: number, rangeLength: number}>, order: Array<number>}}
+     *     Requests to send in order (each relative to the result of the previous one)
+     *     and the resulting order as original positions
+     */
+    static planMove(count, positions, insertBefore) {
+        const selected = [...new Set(positions)].sort((a, b) => a - b);
+        const selectedSet = new Set(selected);
+
+        // Dropping onto the selection itself means "in front of the next unselected item"
+        let anchor = insertBefore;
+        while (anchor < count && selectedSet.has(anchor)) {
+            anchor++;
+        }
+
+        // The API moves one contiguous range per request
+        const runs = [];
+        selected.forEach(position => {
+            const run = runs[runs.length - 1];
+            if (run && run[run.length - 1] === position - 1) {
+                run.push(position);
+            } else {
+                runs.push([position]);
+            }
+        });
+
+        // Move every run in front of the anchor in turn; later runs land after earlier ones
+        const order = [...Array(count).keys()];
+        const targetOf = () => anchor < count ? order.indexOf(anchor) : order.length;
+        const moves = [];
+        runs.forEach(run => {
+            const rangeStart = order.indexOf(run[0]);
+            const target = targetOf();
+            if (target === rangeStart + run.length) {
+                return;
+            }
+
+            moves.push({ rangeStart, insertBefore: target, rangeLength: run.length });
+            const moved = order.splice(rangeStart, run.length);
+            order.splice(targetOf(), 0, ...moved);
+        });
+
+        return { moves, order };
+    }
+
+    /**
+     * Create a private playlist holding the given tracks
+     * @param {string} name - Playlist name
+     * @param {string} description - Playlist description, shortened to MAX_DESCRIPTION_LENGTH
+     * @param {Array<string>} uris - Track URIs in order
+     * @returns {Promise<Object>} The created playlist
+     */
+    async createPlaylist(name, description, uris) {
+        const max = PlaylistTools.MAX_DESCRIPTION_LENGTH;
+        if (description.length > max) {
+            description = `${description.slice(0, max - 3)}...`;
+        }
+
+        const playlist = await this.api.createPlaylist(name, description, false);
+        await this.api.addTracksToPlaylist(playlist.id, uris, null, { priority: 'bulk' });
+        return playlist;
+    }
+}
@@ -0,0 +1,85 @@
+// Spofify Playlist Trash - Playlists removed through the app, kept for restoring
+//
+// Deleting a playlist on Spotify only unfollows it; the owner (or anyone who
+// knows its ID) can follow it again and it comes back with all its tracks.
+// The trash remembers enough about each removed playlist to show and restore it.
+class PlaylistTrash {
+    /**
+     * @param {string} [storageKey] - localStorage key holding the trash
+     */
+    constructor(storageKey = 'spofify_playlist_trash') {
+        this.storageKey = storageKey;
+        this.entries = this.load();
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.warn('Playlist trash is unreadable, starting a new one:', error);
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.error('Failed to persist playlist trash:', error);
+        }
+    }
+
+    /**
+     * Remember a removed playlist
+     * @param {Object} playlist - Playlist object (or the parts of it we know)
+     * @param {string} action - 'deleted' or 'unfollowed'
+     * @param {string} userId - User who removed it
+     */
+    add(playlist, action, userId) {
+        // A playlist removed twice only needs one entry, keep the newest
+        this.entries = this.entries.filter(entry => !(entry.id === playlist.id && entry.userId === userId));
+        this.entries.push({
+            id: playlist.id,
+            name: playlist.name || playlist.id,
+            owner: {
+                id: playlist.owner?.id || null,
+                display_name: playlist.owner?.display_name || playlist.owner?.id || 'Unknown'
+            },
+            public: playlist.public !== false,
+            imageUrl: playlist.images?.[0]?.url || null,
+            action: action,
+            userId: userId,
+            removedAt: Date.now()
+        });
+        this.save();
+    }
+
+    /**
+     * @param {string} userId - Only return entries removed by this user
+     * @returns {Array<Object>} Entries, most recently removed first
+     */
+    list(userId) {
+        return this.entries
+            .filter(entry => entry.userId === userId)
+            .sort((a, b) => b.removedAt - a.removedAt);
+    }
+
+    /**
+     * @param {string} playlistId - Playlist ID
+     * @param {string} userId - Only look at entries removed by this user
+     * @returns {?Object} The entry
+     */
+    get(playlistId, userId) {
+        return this.entries.find(entry => entry.id === playlistId && entry.userId === userId) || null;
+    }
+
+    /**
+     * @param {Array<string>} playlistIds - Playlist IDs
+     * @param {string} userId - Only drop entries removed by this user
+     */
+    remove(playlistIds, userId) {
+        const ids = new Set(playlistIds);
+        this.entries = this.entries.filter(entry => !(ids.has(entry.id) && entry.userId === userId));
+        this.save();
+    }
+}
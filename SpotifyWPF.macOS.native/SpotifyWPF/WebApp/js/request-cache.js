@@ -0,0 +1,164 @@
+// Spofify Request Cache - Persistent GET response cache with ETag revalidation
+//
+// Cache modes follow the fetch() `cache` option:
+// - 'default'        serve fresh entries, otherwise revalidate with If-None-Match
+// - 'no-cache'       always revalidate (a 304 is answered from the cache)
+// - 'force-cache'    serve any cached entry regardless of age
+// - 'only-if-cached' serve any cached entry, fail with status 504 when there is none
+// - 'no-store'       bypass the cache entirely
+class RequestCache {
+    /**
+     * @param {KeyValueStore} [store] - Backing store for cached responses
+     * @param {Array<{pattern: RegExp, ttl: ?number}>} [rules] - Per-endpoint TTLs in ms, first match wins.
+     *        A ttl of null means the endpoint is never cached.
+     */
+    constructor(store = new KeyValueStore('spofify-request-cache'), rules = RequestCache.DEFAULT_RULES) {
+        this.store = store;
+        this.rules = rules;
+    }
+
+    // Store key of the access token the cached responses were fetched with; endpoints all start with '/'
+    static get SESSION_KEY() {
+        return 'session';
+    }
+
+    static get DEFAULT_RULES() {
+        const minute = 60 * 1000;
+        return [
+            { pattern: /^\/me\/player/, ttl: null },           // Playback state changes constantly
+            { pattern: /^\/me(\?|$)/, ttl: 60 * minute },
+            { pattern: /^\/me\/(playlists|albums|tracks)/, ttl: 5 * minute },
+            { pattern: /^\/me\/top\//, ttl: 60 * minute },
+            { pattern: /^\/playlists\//, ttl: 10 * minute },
+            { pattern: /^\/(albums|artists)\//, ttl: 24 * 60 * minute },
+            { pattern: /^\/browse\//, ttl: 60 * minute },
+            { pattern: /^\/search/, ttl: 10 * minute }
+        ];
+    }
+
+    /**
+     * @param {string} endpoint - API endpoint including query string
+     * @returns {?number} TTL in ms (0 = always revalidate), or null when not cacheable
+     */
+    getTtl(endpoint) {
+        const rule = this.rules.find(candidate => candidate.pattern.test(endpoint));
+        return rule ? rule.ttl : 0;
+    }
+
+    isCacheable(endpoint) {
+        return this.getTtl(endpoint) !== null;
+    }
+
+    isFresh(entry) {
+        const ttl = this.getTtl(entry.endpoint);
+        return ttl !== null && Date.now() - entry.storedAt < ttl;
+    }
+
+    async get(endpoint) {
+        try {
+            return await this.store.get(endpoint);
+        } catch (error) {
+            console.warn('Request cache read failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} endpoint - API endpoint including query string
+     * @param {*} body - Parsed response body
+     * @param {{etag: ?string, lastModified: ?string}} [validators] - Response validators for revalidation
+     */
+    async put(endpoint, body, validators = {}) {
+        const entry = {
+            endpoint: endpoint,
+            body: body,
+            etag: validators.etag || null,
+            lastModified: validators.lastModified || null,
+            storedAt: Date.now()
+        };
+
+        try {
+            await this.store.set(endpoint, entry);
+        } catch (error) {
+            console.warn('Request cache write failed:', error);
+        }
+        return entry;
+    }
+
+    /**
+     * Mark an entry as fresh again after a 304 Not Modified
+     */
+    async touch(entry) {
+        return this.put(entry.endpoint, entry.body, entry);
+    }
+
+    /**
+     * Conditional request headers for a cached entry
+     * @returns {Object} Headers to merge into the request
+     */
+    getValidationHeaders(entry) {
+        const headers = {};
+        if (entry?.etag) {
+            headers['If-None-Match'] = entry.etag;
+        }
+        if (entry?.lastModified) {
+            headers['If-Modified-Since'] = entry.lastModified;
+        }
+        return headers;
+    }
+
+    /**
+     * Drop cached responses affected by a write to the given endpoint
+     * @param {string} endpoint - Endpoint of a successful PUT/POST/DELETE
+     */
+    async invalidate(endpoint) {
+        const segments = endpoint.split('?')[0].split('/').filter(Boolean);
+        const prefixes = ['/' + segments.slice(0, 2).join('/')];
+
+        // Playlist edits also change the track counts listed in /me/playlists
+        if (segments[0] === 'playlists' || (segments[0] === 'users' && segments[2] === 'playlists')) {
+            prefixes.push('/me/playlists');
+        }
+
+        try {
+            const keys = await this.store.keys();
+            const stale = keys.filter(key => prefixes.some(prefix =>
+                key === prefix || key.startsWith(`${prefix}/`) || key.startsWith(`${prefix}?`)
+            ));
+            await Promise.all(stale.map(key => this.store.delete(key)));
+            if (stale.length > 0) {
+                console.log(`Request cache: invalidated ${stale.length} entries after write to ${endpoint}`);
+            }
+        } catch (error) {
+            console.warn('Request cache invalidation failed:', error);
+        }
+    }
+
+    /**
+     * Tie the cache to an access token. Responses cached under another token may belong to
+     * another account, so they are dropped, unless the new token only renews the old one.
+     * @param {string} token - Access token now in use
+     * @param {boolean} [renewed] - The token comes from refreshing the previous one
+     */
+    async setSession(token, renewed = false) {
+        try {
+            const current = await this.store.get(RequestCache.SESSION_KEY);
+            if (current === token) return;
+
+            if (!renewed) {
+                await this.store.clear();
+            }
+            await this.store.set(RequestCache.SESSION_KEY, token);
+        } catch (error) {
+            console.warn('Request cache session update failed:', error);
+        }
+    }
+
+    async clear() {
+        try {
+            await this.store.clear();
+        } catch (error) {
+            console.warn('Request cache clear failed:', error);
+        }
+    }
+}
@@ -0,0 +1,167 @@
+// Spofify Request Scheduler - Single queue every Web API request goes through
+//
+// - Token bucket: short bursts up to `capacity`, then `refillPerSecond` requests per second
+// - Concurrency cap: at most `maxConcurrent` requests in flight
+// - Priorities: interactive (playback) > normal (browsing) > bulk (batch edits)
+// - Shared backoff: a Retry-After from Spotify pauses the whole queue, not just one caller
+class RequestScheduler {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.capacity] - Bucket size (burst length)
+     * @param {number} [options.refillPerSecond] - Sustained request rate
+     * @param {number} [options.maxConcurrent] - Maximum requests in flight
+     */
+    constructor(options = {}) {
+        this.capacity = options.capacity || 10;
+        this.refillPerSecond = options.refillPerSecond || 5;
+        this.maxConcurrent = options.maxConcurrent || 6;
+
+        this.tokens = this.capacity;
+        this.lastRefill = Date.now();
+        this.queue = [];
+        this.active = 0;
+        this.sequence = 0;
+        this.pausedUntil = 0;
+        this.timer = null;
+    }
+
+    static get PRIORITIES() {
+        return { interactive: 0, normal: 1, bulk: 2 };
+    }
+
+    /**
+     * Queue a task
+     * @param {Function} task - Async function performing the request
+     * @param {string} [priority] - 'interactive', 'normal' or 'bulk'
+     * @param {AbortSignal} [signal] - Aborting drops the task from the queue if it hasn't started
+     * @returns {Promise<*>} Resolves with the task's result, rejects with an AbortError when aborted while queued
+     */
+    schedule(task, priority = 'normal', signal = null) {
+        return new Promise((resolve, reject) => {
+            const abortError = () => signal.reason || new DOMException('The request was aborted', 'AbortError');
+            if (signal?.aborted) {
+                reject(abortError());
+                return;
+            }
+
+            const rank = RequestScheduler.PRIORITIES[priority] ?? RequestScheduler.PRIORITIES.normal;
+            const entry = { task, rank, sequence: this.sequence++, resolve, reject };
+
+            if (signal) {
+                const onAbort = () => {
+                    const queuedIndex = this.queue.indexOf(entry);
+                    if (queuedIndex !== -1) {
+                        this.queue.splice(queuedIndex, 1);
+                        reject(abortError());
+                    }
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+                entry.resolve = value => {
+                    signal.removeEventListener('abort', onAbort);
+                    resolve(value);
+                };
+                entry.reject = error => {
+                    signal.removeEventListener('abort', onAbort);
+                    reject(error);
+                };
+            }
+
+            // Keep the queue ordered by priority, FIFO within a priority
+            const index = this.queue.findIndex(queued => queued.rank > rank);
+            if (index === -1) {
+                this.queue.push(entry);
+            } else {
+                this.queue.splice(index, 0, entry);
+            }
+
+            this.pump();
+        });
+    }
+
+    /**
+     * Hold every queued request, e.g. after a 429 with Retry-After
+     * @param {number} ms - Pause length in milliseconds
+     */
+    pause(ms) {
+        const until = Date.now() + ms;
+        if (until > this.pausedUntil) {
+            console.log(`Request scheduler paused for ${Math.ceil(ms / 1000)}s`);
+            this.pausedUntil = until;
+            // Nothing should burst through the moment the pause ends
+            this.tokens = 0;
+            this.lastRefill = until;
+        }
+        this.pump();
+    }
+
+    resume() {
+        this.pausedUntil = 0;
+        this.tokens = this.capacity;
+        this.lastRefill = Date.now();
+        this.pump();
+    }
+
+    refill() {
+        const now = Date.now();
+        if (now <= this.lastRefill) {
+            return;
+        }
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) / 1000 * this.refillPerSecond);
+        this.lastRefill = now;
+    }
+
+    pump() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        while (this.queue.length > 0 && this.active < this.maxConcurrent) {
+            const now = Date.now();
+            if (now < this.pausedUntil) {
+                this.wake(this.pausedUntil - now);
+                return;
+            }
+
+            this.refill();
+            if (this.tokens < 1) {
+                this.wake((1 - this.tokens) / this.refillPerSecond * 1000);
+                return;
+            }
+
+            this.tokens -= 1;
+            const entry = this.queue.shift();
+            this.active++;
+
+            Promise.resolve()
+                .then(entry.task)
+                .then(entry.resolve, entry.reject)
+                .finally(() => {
+                    this.active--;
+                    this.pump();
+                });
+        }
+    }
+
+    wake(delay) {
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.pump();
+        }, Math.max(0, Math.ceil(delay)));
+    }
+
+    /**
+     * @returns {Object} Snapshot of the scheduler state for diagnostics
+     */
+    getStatus() {
+        this.refill();
+        const pausedFor = Math.max(0, this.pausedUntil - Date.now());
+        return {
+            isRateLimited: pausedFor > 0,
+            retryAfter: Math.ceil(pausedFor / 1000),
+            queued: this.queue.length,
+            active: this.active,
+            tokens: Math.floor(this.tokens)
+        };
+    }
+}
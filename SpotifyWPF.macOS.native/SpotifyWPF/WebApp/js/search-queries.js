@@ -0,0 +1,181 @@
+// Spofify Search Queries - Build Spotify field-filter queries and keep saved searches
+//
+// Fields:
+// { text, artist, album, track, yearFrom, yearTo, genre, isrc, upc, tag }   // tag is '', 'new' or 'hipster'
+//
+// Saved search:
+// { id, name, query, types, createdAt }
+//
+// Recent searches are plain query strings, newest first.
+class SearchQueries {
+    /**
+     * @param {string} [storageKey] - localStorage key holding the saved searches
+     * @param {string} [recentStorageKey] - localStorage key holding the recent searches
+     */
+    constructor(storageKey = 'spofify_saved_searches', recentStorageKey = 'spofify_recent_searches') {
+        this.storageKey = storageKey;
+        this.recentStorageKey = recentStorageKey;
+        this.searches = this.load();
+    }
+
+    static get MAX_RECENT() {
+        return 10;
+    }
+
+    // Filters that take free text and are quoted when they contain spaces
+    static get TEXT_FILTERS() {
+        return ['artist', 'album', 'track', 'genre'];
+    }
+
+    static get TAGS() {
+        return {
+            new: 'Released in the past two weeks',
+            hipster: 'Lowest 10% popularity'
+        };
+    }
+
+    /**
+     * Turn builder fields into a query string for SpotifyAPI.search
+     * @param {Object} fields - Builder fields, empty ones are left out
+     * @returns {string}
+     */
+    static build(fields) {
+        const parts = [];
+        const text = (fields.text || '').trim();
+        if (text) parts.push(text);
+
+        SearchQueries.TEXT_FILTERS.forEach(filter => {
+            const value = (fields[filter] || '').trim().replace(/"/g, '');
+            if (value) {
+                parts.push(/\s/.test(value) ? `${filter}:"${value}"` : `${filter}:${value}`);
+            }
+        });
+
+        const yearFrom = parseInt(fields.yearFrom, 10);
+        const yearTo = parseInt(fields.yearTo, 10);
+        if (yearFrom && yearTo) {
+            parts.push(yearFrom === yearTo ? `year:${yearFrom}` : `year:${Math.min(yearFrom, yearTo)}-${Math.max(yearFrom, yearTo)}`);
+        } else if (yearFrom) {
+            parts.push(`year:${yearFrom}-${new Date().getFullYear()}`);
+        } else if (yearTo) {
+            parts.push(`year:1900-${yearTo}`);
+        }
+
+        ['isrc', 'upc'].forEach(filter => {
+            const value = (fields[filter] || '').replace(/[\s-]/g, '');
+            if (value) parts.push(`${filter}:${value}`);
+        });
+
+        if (SearchQueries.TAGS[fields.tag]) {
+            parts.push(`tag:${fields.tag}`);
+        }
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Split a query string back into builder fields; unknown filters stay in text
+     * @param {string} query - Query string
+     * @returns {Object} Builder fields
+     */
+    static parse(query) {
+        const fields = { text: '', artist: '', album: '', track: '', yearFrom: '', yearTo: '', genre: '', isrc: '', upc: '', tag: '' };
+        const text = (query || '').replace(/\b(artist|album|track|genre|year|isrc|upc|tag):("[^"]*"|\S+)/gi, (match, filter, value) => {
+            const name = filter.toLowerCase();
+            const unquoted = value.replace(/^"|"$/g, '');
+
+            if (name === 'year') {
+                // A single year is a range of one; an open end (1990-) stays empty
+                const [from, to = from] = unquoted.split('-');
+                fields.yearFrom = from || '';
+                fields.yearTo = to || '';
+            } else if (name === 'tag') {
+                if (!SearchQueries.TAGS[unquoted.toLowerCase()]) return match;
+                fields.tag = unquoted.toLowerCase();
+            } else {
+                fields[name] = unquoted;
+            }
+            return '';
+        });
+
+        fields.text = text.replace(/\s+/g, ' ').trim();
+        return fields;
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.warn('Saved searches are unreadable, starting empty:', error);
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.searches));
+        } catch (error) {
+            console.error('Failed to persist saved searches:', error);
+        }
+    }
+
+    list() {
+        return this.searches;
+    }
+
+    get(searchId) {
+        return this.searches.find(search => search.id === searchId) || null;
+    }
+
+    /**
+     * Save a search; saving the same query and types again moves it to the top
+     * @param {string} query - Query string
+     * @param {Array<string>} types - Searched types
+     * @param {string} [name] - Label, the query by default
+     * @returns {Object} The saved search
+     */
+    add(query, types, name = query) {
+        const key = `${query}|${types.join(',')}`;
+        const existing = this.searches.find(search => `${search.query}|${search.types.join(',')}` === key);
+        const saved = {
+            id: existing?.id || `search-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            name,
+            query,
+            types: [...types],
+            createdAt: Date.now()
+        };
+
+        this.searches = [saved, ...this.searches.filter(search => search !== existing)];
+        this.save();
+        return saved;
+    }
+
+    remove(searchId) {
+        this.searches = this.searches.filter(search => search.id !== searchId);
+        this.save();
+    }
+
+    listRecent() {
+        try {
+            return JSON.parse(localStorage.getItem(this.recentStorageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Remember a query that was run; running it again moves it to the top
+     */
+    addRecent(query) {
+        const recent = [query, ...this.listRecent().filter(candidate => candidate !== query)].slice(0, SearchQueries.MAX_RECENT);
+        try {
+            localStorage.setItem(this.recentStorageKey, JSON.stringify(recent));
+        } catch (error) {
+            console.error('Failed to persist recent searches:', error);
+        }
+    }
+
+    clearRecent() {
+        localStorage.removeItem(this.recentStorageKey);
+    }
+}
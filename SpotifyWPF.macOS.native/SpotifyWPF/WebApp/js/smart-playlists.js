@@ -0,0 +1,269 @@
+// Spofify Smart Playlists - Locally stored rules that rewrite a real Spotify playlist
+//
+// A rule picks tracks from one source (liked songs, top tracks, recently played,
+// saved albums or another playlist), narrows them with filters and writes the
+// result into its backing playlist, which is created on the first run.
+//
+// Rule:
+// {
+//     id, name, userId, playlistId,                 // playlistId is null until the first run
+//     source: { type, timeRange?, playlistId? },    // type is a key of SmartPlaylists.SOURCES
+//     filters: { addedWithinDays?, artist?, excludePlaylistId? },
+//     limit, schedule,                              // schedule is a key of SmartPlaylists.SCHEDULES
+//     lastRunAt, lastCount, lastError
+// }
+class SmartPlaylists {
+    /**
+     * @param {SpotifyAPI} api - API client
+     * @param {string} [storageKey] - localStorage key holding the rules
+     */
+    constructor(api, storageKey = 'spofify_smart_playlists') {
+        this.api = api;
+        this.storageKey = storageKey;
+        this.rules = this.load();
+    }
+
+    static get SOURCES() {
+        return {
+            liked: 'Liked songs',
+            top: 'Top tracks',
+            recent: 'Recently played',
+            albums: 'Tracks from saved albums',
+            playlist: 'Tracks from a playlist'
+        };
+    }
+
+    static get TIME_RANGES() {
+        return {
+            short_term: 'Last 4 weeks',
+            medium_term: 'Last 6 months',
+            long_term: 'All time'
+        };
+    }
+
+    // Interval in ms between scheduled runs, null for manual only
+    static get SCHEDULES() {
+        return {
+            manual: null,
+            daily: 24 * 60 * 60 * 1000,
+            weekly: 7 * 24 * 60 * 60 * 1000
+        };
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.warn('Smart playlist rules are unreadable, starting empty:', error);
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.rules));
+        } catch (error) {
+            console.error('Failed to persist smart playlist rules:', error);
+        }
+    }
+
+    /**
+     * @param {string} userId - Owner of the rules
+     * @returns {Array<Object>} Rules saved by this user, none without a user
+     */
+    list(userId) {
+        return userId ? this.rules.filter(rule => rule.userId === userId) : [];
+    }
+
+    get(ruleId) {
+        return this.rules.find(rule => rule.id === ruleId) || null;
+    }
+
+    /**
+     * Add a rule or update the one with the same id
+     * @param {Object} rule - Rule without id for a new one
+     * @returns {Object} The stored rule
+     */
+    put(rule) {
+        const existing = rule.id ? this.get(rule.id) : null;
+        const stored = {
+            playlistId: null,
+            lastRunAt: null,
+            lastCount: null,
+            lastError: null,
+            ...existing,
+            ...rule,
+            id: rule.id || `smart-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+        };
+
+        this.rules = existing
+            ? this.rules.map(candidate => candidate.id === stored.id ? stored : candidate)
+            : [...this.rules, stored];
+        this.save();
+        return stored;
+    }
+
+    remove(ruleId) {
+        this.rules = this.rules.filter(rule => rule.id !== ruleId);
+        this.save();
+    }
+
+    isDue(rule, now = Date.now()) {
+        const interval = SmartPlaylists.SCHEDULES[rule.schedule];
+        return !!interval && (!rule.lastRunAt || now - rule.lastRunAt >= interval);
+    }
+
+    /**
+     * One-line description of a rule
+     * @param {Object} rule - The rule
+     * @param {Function} [getPlaylistName] - Maps a playlist ID to a name
+     */
+    describe(rule, getPlaylistName = id => id) {
+        const { source, filters } = rule;
+        let text = SmartPlaylists.SOURCES[source.type];
+
+        if (source.type === 'top') {
+            text += ` (${SmartPlaylists.TIME_RANGES[source.timeRange].toLowerCase()})`;
+        } else if (source.type === 'playlist') {
+            text = `Tracks from ${getPlaylistName(source.playlistId)}`;
+        }
+        if (filters.addedWithinDays) {
+            text += `, ${source.type === 'recent' ? 'played' : 'added'} in the last ${filters.addedWithinDays} days`;
+        }
+        if (filters.artist) {
+            text += `, by ${filters.artist}`;
+        }
+        if (filters.excludePlaylistId) {
+            text += `, not in ${getPlaylistName(filters.excludePlaylistId)}`;
+        }
+        return `${text}, up to ${rule.limit} tracks`;
+    }
+
+    /**
+     * Fetch the source of a rule
+     * @returns {Promise<Array<{track: Object, date: ?string}>>} date is when the track was added or played
+     */
+    async collect(source) {
+        // Revalidate rather than trust cached pages; unchanged pages cost a 304
+        const requestOptions = { cache: 'no-cache', priority: 'bulk' };
+
+        switch (source.type) {
+            case 'liked': {
+                const response = await this.api.getAllSavedTracks(requestOptions);
+                return (response.items || []).map(item => ({ track: item.track, date: item.added_at }));
+            }
+            case 'top': {
+                const response = await this.api.getTopTracks(source.timeRange, 50, 0, requestOptions);
+                return (response.items || []).map(track => ({ track, date: null }));
+            }
+            case 'recent': {
+                const response = await this.api.getRecentlyPlayedTracks(50, null, null, requestOptions);
+                return (response.items || []).map(item => ({ track: item.track, date: item.played_at }));
+            }
+            case 'albums': {
+                const response = await this.api.getAllUserAlbums(requestOptions);
+                const entries = [];
+                for (const saved of (response.items || []).filter(saved => saved.album)) {
+                    // Saved albums embed only their first 50 tracks; longer ones are paged for the rest
+                    const tracks = [...(saved.album.tracks?.items || [])];
+                    while (tracks.length < (saved.album.tracks?.total || 0)) {
+                        const page = await this.api.getAlbumTracks(saved.album.id, 50, tracks.length, requestOptions);
+                        if (!page.items?.length) break;
+                        tracks.push(...page.items);
+                    }
+
+                    const album = { id: saved.album.id, name: saved.album.name, images: saved.album.images };
+                    entries.push(...tracks.map(track => ({ track: { ...track, album }, date: saved.added_at })));
+                }
+                return entries;
+            }
+            case 'playlist': {
+                const items = await this.api.getAllPlaylistTracks(source.playlistId, requestOptions);
+                return items.map(item => ({ track: item.track, date: item.added_at }));
+            }
+            default:
+                throw new Error(`Unknown smart playlist source: ${source.type}`);
+        }
+    }
+
+    /**
+     * Work out the tracks a rule currently selects
+     * @param {Object} rule - The rule
+     * @returns {Promise<Array<string>>} Track URIs in source order
+     */
+    async generate(rule) {
+        const { filters } = rule;
+        let entries = (await this.collect(rule.source))
+            .filter(entry => entry.track?.uri && !entry.track.uri.startsWith('spotify:local:'));
+
+        if (filters.addedWithinDays) {
+            // Sources without dates (top tracks) aren't narrowed by age
+            const since = Date.now() - filters.addedWithinDays * 24 * 60 * 60 * 1000;
+            entries = entries.filter(entry => !entry.date || Date.parse(entry.date) >= since);
+        }
+
+        if (filters.artist) {
+            const artist = filters.artist.toLowerCase();
+            entries = entries.filter(entry => (entry.track.artists || []).some(candidate =>
+                (candidate.name || '').toLowerCase().includes(artist)));
+        }
+
+        if (filters.excludePlaylistId) {
+            const excluded = await this.api.getAllPlaylistTracks(filters.excludePlaylistId, { cache: 'no-cache', priority: 'bulk' });
+            const excludedUris = new Set(excluded.map(item => item.track?.uri).filter(uri => uri));
+            entries = entries.filter(entry => !excludedUris.has(entry.track.uri));
+        }
+
+        return [...new Set(entries.map(entry => entry.track.uri))].slice(0, rule.limit);
+    }
+
+    /**
+     * Rewrite a rule's playlist with the tracks it selects now
+     * @param {Object} rule - The rule
+     * @returns {Promise<Object>} The updated rule
+     */
+    async regenerate(rule) {
+        try {
+            const uris = await this.generate(rule);
+            let playlistId = rule.playlistId;
+
+            if (playlistId) {
+                try {
+                    // Deleting a playlist in Spotify only unfollows it, and writing to it still works,
+                    // so follow it again to bring it back into the user's library
+                    const [following] = await this.api.isFollowingPlaylist(playlistId, rule.userId, { cache: 'no-store', priority: 'bulk' });
+                    if (!following) {
+                        await this.api.followPlaylist(playlistId, false, { priority: 'bulk' });
+                    }
+                    await this.api.replacePlaylistItems(playlistId, uris, { priority: 'bulk' });
+                } catch (error) {
+                    // The backing playlist is gone for good, start a new one
+                    if (error.status !== 404) throw error;
+                    playlistId = null;
+                }
+            }
+
+            if (!playlistId) {
+                const playlist = await this.api.createPlaylist(rule.name, 'Smart playlist managed by Spofify', false);
+                playlistId = playlist.id;
+                // Kept right away so a failure below doesn't make the next run create another playlist
+                this.record(rule, { playlistId });
+                await this.api.replacePlaylistItems(playlistId, uris, { priority: 'bulk' });
+            }
+
+            return this.record(rule, { playlistId, lastRunAt: Date.now(), lastCount: uris.length, lastError: null });
+        } catch (error) {
+            this.record(rule, { lastRunAt: Date.now(), lastError: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Write the outcome of a run onto the stored rule, which may have been edited or removed meanwhile
+     * @returns {Object} The updated rule
+     */
+    record(rule, changes) {
+        const current = this.get(rule.id);
+        return current ? this.put({ ...current, ...changes }) : { ...rule, ...changes };
+    }
+}
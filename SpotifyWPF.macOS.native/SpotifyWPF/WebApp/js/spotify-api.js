@@ -1,21 +1,23 @@
 // Spofify API - Web API Integration
 class SpotifyAPI {
-    constructor() {
-        this.baseUrl = 'https://api.spotify.com/v1';
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl] - Web API base URL (defaults to SPOTIFY_CONFIG.apiBaseUrl or the public API)
+     * @param {string} [options.accountsUrl] - Accounts service base URL used for authorization and tokens
+     * @param {Function} [options.transport] - fetch-compatible function used for every HTTP call
+     */
+    constructor(options = {}) {
+        const config = window.SPOTIFY_CONFIG || {};
+
+        this.baseUrl = this.trimTrailingSlash(options.baseUrl || config.apiBaseUrl || 'https://api.spotify.com/v1');
+        this.accountsUrl = this.trimTrailingSlash(options.accountsUrl || config.accountsBaseUrl || 'https://accounts.spotify.com');
+        this.transport = options.transport || ((url, init) => fetch(url, init));
+        this.requestCache = options.requestCache !== undefined ? options.requestCache : new RequestCache();
+        this.scheduler = options.scheduler || new RequestScheduler();
         this.accessToken = null;
+        this.cacheSession = Promise.resolve(); // Settles once the cache belongs to the current token
         this.clientId = window.SPOTIFY_CONFIG?.clientId || null;
         this.redirectUri = window.SPOTIFY_CONFIG?.redirectUri || 'http://localhost:8080/callback';
-
-        // Rate limit tracking
-        this.rateLimitState = {
-            limit: null,
-            remaining: null,
-            reset: null,
-            retryAfter: null,
-            isRateLimited: false,
-            lastRateLimitTime: null,
-            lastResponseTime: null
-        };
     }
 
     setClientId(clientId) {
@@ -24,6 +26,50 @@ class SpotifyAPI {
 
     setAccessToken(token) {
         this.accessToken = token;
+        if (this.requestCache && token) {
+            this.cacheSession = this.requestCache.setSession(token);
+        }
+    }
+
+    /**
+     * Replace the HTTP transport (e.g. with a FixtureTransport during tests and demos)
+     * @param {Function} transport - fetch-compatible function
+     */
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    trimTrailingSlash(url) {
+        return url.replace(/\/+$/, '');
+    }
+
+    /**
+     * Drop all cached responses (e.g. when the user disconnects)
+     */
+    async clearCache() {
+        if (this.requestCache) {
+            await this.requestCache.clear();
+        }
+    }
+
+    /**
+     * Scopes a feature needs that the current connection was not granted
+     * @param {Array<string>} scopes - Scopes the feature needs
+     * @returns {Array<string>} Missing scopes; none when the granted scopes are unknown
+     */
+    getMissingScopes(scopes) {
+        const granted = localStorage.getItem('spotify_token_scope');
+        if (granted === null) {
+            return [];
+        }
+
+        const grantedScopes = new Set(granted.split(' '));
+        return scopes.filter(scope => !grantedScopes.has(scope));
+    }
+
+    // Spotify answers 403 "Insufficient client scope" for endpoints the connection has no scope for
+    static isScopeError(error) {
+        return error?.status === 403 && /scope/i.test(error.message || '');
     }
 
     isOnline() {
@@ -66,6 +112,7 @@ class SpotifyAPI {
                     localStorage.removeItem('spotify_access_token');
                     localStorage.removeItem('spotify_refresh_token');
                     localStorage.removeItem('spotify_token_expires');
+                    localStorage.removeItem('spotify_token_scope');
                     return false;
                 }
             }
@@ -122,7 +169,11 @@ class SpotifyAPI {
             'playlist-read-private',
             'playlist-read-collaborative',
             'playlist-modify-public',
-            'playlist-modify-private'
+            'playlist-modify-private',
+            'user-top-read',
+            'user-read-recently-played',
+            'user-follow-read',
+            'user-follow-modify'
         ];
 
         const params = new URLSearchParams({
@@ -135,7 +186,7 @@ class SpotifyAPI {
             show_dialog: 'true'
         });
 
-        return `https://accounts.spotify.com/authorize?${params.toString()}`;
+        return `${this.accountsUrl}/authorize?${params.toString()}`;
     }
 
     generateCodeVerifier() {
@@ -162,7 +213,7 @@ class SpotifyAPI {
             throw new Error('Code verifier not found');
         }
 
-        const response = await fetch('https://accounts.spotify.com/api/token', {
+        const response = await this.transport(`${this.accountsUrl}/api/token`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/x-www-form-urlencoded',
@@ -191,6 +242,7 @@ class SpotifyAPI {
             token_type: data.token_type,
             expires_in: data.expires_in,
             refresh_token: data.refresh_token,
+            scope: data.scope,
         };
     }
 
@@ -202,7 +254,7 @@ class SpotifyAPI {
 
         console.log('Attempting to refresh access token...');
 
-        const response = await fetch('https://accounts.spotify.com/api/token', {
+        const response = await this.transport(`${this.accountsUrl}/api/token`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/x-www-form-urlencoded',
@@ -226,11 +278,17 @@ class SpotifyAPI {
         // Update stored tokens
         localStorage.setItem('spotify_access_token', data.access_token);
         this.accessToken = data.access_token;
+        if (this.requestCache) {
+            this.cacheSession = this.requestCache.setSession(data.access_token, true);
+        }
 
         // Update refresh token if a new one is provided
         if (data.refresh_token) {
             localStorage.setItem('spotify_refresh_token', data.refresh_token);
         }
+        if (data.scope) {
+            localStorage.setItem('spotify_token_scope', data.scope);
+        }
 
         // Update expiration time
         const expirationTime = Date.now() + (data.expires_in * 1000);
@@ -243,28 +301,43 @@ class SpotifyAPI {
             token_type: data.token_type,
             expires_in: data.expires_in,
             refresh_token: data.refresh_token,
+            scope: data.scope,
         };
     }
 
+    /**
+     * Make an authenticated Web API request
+     * @param {string} endpoint - Endpoint relative to the base URL, including query string
+     * @param {Object} options - fetch options, plus `cache` (see RequestCache) for GET requests and
+     *        `priority` ('interactive', 'normal' or 'bulk', see RequestScheduler). A `signal` cancels
+     *        the request while queued or in flight; the promise then rejects with an AbortError
+     * @param {number} retryCount - Internal retry counter
+     * @returns {Promise<*>} Parsed response body
+     */
     async makeRequest(endpoint, options = {}, retryCount = 0) {
-        console.log(`Making API request: ${endpoint} (attempt ${retryCount + 1})`);
-
-        // Check rate limit status before making request
-        if (!this.isSafeToRequest() && retryCount === 0) {
-            const status = this.getRateLimitStatus();
-            console.warn('Rate limit check failed:', status);
-
-            if (status.isRateLimited) {
-                const waitTime = status.retryAfter * 1000;
-                console.log(`Rate limited, waiting ${status.retryAfter} seconds before request`);
-
-                if (window.app) {
-                    window.app.showError(`Rate limited. Waiting ${status.retryAfter} seconds...`);
-                }
-
-                await new Promise(resolve => setTimeout(resolve, waitTime));
-            }
+        const { cache: cacheMode = 'default', priority, ...fetchOptions } = options;
+        const method = (fetchOptions.method || 'GET').toUpperCase();
+        const useCache = this.requestCache && method === 'GET' && cacheMode !== 'no-store' &&
+            this.requestCache.isCacheable(endpoint);
+
+        // Serve from the response cache when allowed, otherwise remember the entry for revalidation
+        const session = this.cacheSession;
+        if (useCache) {
+            await session;
         }
+        const cached = useCache ? await this.requestCache.get(endpoint) : null;
+        if (cached && (cacheMode === 'force-cache' || cacheMode === 'only-if-cached' ||
+            (cacheMode === 'default' && this.requestCache.isFresh(cached)))) {
+            console.log(`Serving cached response: ${endpoint}`);
+            return cached.body;
+        }
+        if (cacheMode === 'only-if-cached') {
+            const error = new Error(`No cached response for ${endpoint}`);
+            error.status = 504;
+            throw error;
+        }
+
+        console.log(`Making API request: ${endpoint} (attempt ${retryCount + 1})`);
 
         if (!this.accessToken) {
             console.error('No access token available for request');
@@ -272,26 +345,30 @@ class SpotifyAPI {
         }
 
         const url = `${this.baseUrl}${endpoint}`;
-        const defaultOptions = {
+        const requestOptions = {
+            ...fetchOptions,
             headers: {
                 'Authorization': `Bearer ${this.accessToken}`,
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...(cached ? this.requestCache.getValidationHeaders(cached) : {}),
+                ...fetchOptions.headers
             }
         };
 
+        // Playback commands should never wait behind bulk work
+        const requestPriority = priority || (endpoint.startsWith('/me/player') ? 'interactive' : 'normal');
+
         try {
-            const response = await fetch(url, { ...defaultOptions, ...options });
+            const response = await this.scheduler.schedule(() => this.transport(url, requestOptions), requestPriority, fetchOptions.signal);
             console.log(`API response status: ${response.status} for ${endpoint}`);
 
-            // Parse and log rate limit headers for monitoring
-            const rateLimitInfo = this.parseRateLimitHeaders(response);
-            if (rateLimitInfo.limit || rateLimitInfo.remaining) {
-                console.log('Rate limit info:', {
-                    limit: rateLimitInfo.limit,
-                    remaining: rateLimitInfo.remaining,
-                    reset: rateLimitInfo.reset ? new Date(parseInt(rateLimitInfo.reset) * 1000) : null,
-                    retryAfter: rateLimitInfo.retryAfter
-                });
+            // Not modified - the cached copy is still current
+            if (response.status === 304 && cached) {
+                console.log(`API response not modified, serving cache: ${endpoint}`);
+                if (session === this.cacheSession) {
+                    await this.requestCache.touch(cached);
+                }
+                return cached.body;
             }
 
             if (!response.ok) {
@@ -310,6 +387,7 @@ class SpotifyAPI {
                         localStorage.removeItem('spotify_access_token');
                         localStorage.removeItem('spotify_refresh_token');
                         localStorage.removeItem('spotify_token_expires');
+                        localStorage.removeItem('spotify_token_scope');
                         if (window.app) {
                             window.app.showError('Your session has expired. Please reconnect to Spotify.');
                         }
@@ -320,34 +398,18 @@ class SpotifyAPI {
                 }
 
                 if (response.status === 429) {
-                    // Rate limited - enhanced handling for batch operations
+                    // Rate limited - hold the whole queue so other callers back off too
                     const retryAfter = parseInt(response.headers.get('Retry-After')) || 30;
                     const retryDelay = Math.min(retryAfter * 1000, 60000); // Cap at 60 seconds
+                    this.scheduler.pause(retryDelay);
 
                     console.log(`Rate limited (429). Retry-After: ${retryAfter}s, will retry in ${retryDelay/1000}s (attempt ${retryCount + 1}/3)`);
 
-                    // Log detailed rate limit information
-                    const rateLimitStatus = this.getRateLimitStatus();
-                    console.log('Current rate limit status:', {
-                        isRateLimited: rateLimitStatus.isRateLimited,
-                        remaining: rateLimitStatus.remaining,
-                        limit: rateLimitStatus.limit,
-                        timeUntilReset: Math.ceil(rateLimitStatus.timeUntilReset / 1000),
-                        lastRateLimitTime: rateLimitStatus.lastRateLimitTime ? new Date(rateLimitStatus.lastRateLimitTime) : null
-                    });
-
                     if (window.app) {
                         window.app.showError(`Rate limited. Waiting ${retryDelay/1000} seconds before retry...`);
                     }
 
                     if (retryCount < 3) {
-                        // Exponential backoff with jitter for batch operations
-                        const jitter = Math.random() * 1000; // Add up to 1 second of jitter
-                        const backoffDelay = retryDelay + (retryCount * 2000) + jitter;
-
-                        console.log(`Applying exponential backoff: ${backoffDelay/1000}s total delay`);
-                        await new Promise(resolve => setTimeout(resolve, backoffDelay));
-
                         return this.makeRequest(endpoint, options, retryCount + 1);
                     }
 
@@ -387,6 +449,12 @@ class SpotifyAPI {
             }
 
             console.log(`API request successful: ${endpoint}`);
+
+            // Writes make cached reads of the same resources stale
+            if (this.requestCache && method !== 'GET' && method !== 'HEAD') {
+                await this.requestCache.invalidate(endpoint);
+            }
+
             // For HEAD requests, don't try to parse JSON since there's no response body
             if (options && options.method === 'HEAD') {
                 return response;
@@ -412,8 +480,21 @@ class SpotifyAPI {
                     return null;
                 }
             }
-            return response.json();
+            const data = await response.json();
+            // Another account may have signed in while the request was running
+            if (useCache && session === this.cacheSession) {
+                await this.requestCache.put(endpoint, data, {
+                    etag: response.headers.get('ETag'),
+                    lastModified: response.headers.get('Last-Modified')
+                });
+            }
+            return data;
         } catch (error) {
+            // Cancelled by the caller, nothing went wrong
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+
             if (error.name === 'TypeError' && error.message.includes('fetch')) {
                 // Network error
                 console.error('Network error during API request:', error);
@@ -435,44 +516,54 @@ class SpotifyAPI {
     }
 
     // Search
-    async search(query, types = ['track', 'artist', 'album', 'playlist'], limit = 20) {
+    async search(query, types = ['track', 'artist', 'album', 'playlist'], limit = 20, offset = 0, requestOptions = {}) {
         const params = new URLSearchParams({
             q: query,
             type: types.join(','),
-            limit: limit.toString()
+            limit: limit.toString(),
+            offset: offset.toString()
         });
 
-        return this.makeRequest(`/search?${params.toString()}`);
+        return this.makeRequest(`/search?${params.toString()}`, requestOptions);
+    }
+
+    // Tracks
+    async getTracks(trackIds, requestOptions = {}) {
+        // Up to 50 IDs per request
+        const params = new URLSearchParams({ ids: trackIds.join(',') });
+        return this.makeRequest(`/tracks?${params.toString()}`, requestOptions);
     }
 
     // Library
-    async getSavedTracks(limit = 50, offset = 0) {
+    async getSavedTracks(limit = 50, offset = 0, requestOptions = {}) {
         const params = new URLSearchParams({
             limit: limit.toString(),
             offset: offset.toString()
         });
 
-        return this.makeRequest(`/me/tracks?${params.toString()}`);
+        return this.makeRequest(`/me/tracks?${params.toString()}`, requestOptions);
     }
 
-    async getSavedAlbums(limit = 50, offset = 0) {
+    async getSavedAlbums(limit = 50, offset = 0, requestOptions = {}) {
         const params = new URLSearchParams({
             limit: limit.toString(),
             offset: offset.toString()
         });
 
-        return this.makeRequest(`/me/albums?${params.toString()}`);
+        return this.makeRequest(`/me/albums?${params.toString()}`, requestOptions);
     }
 
-    async saveAlbums(albumIds) {
+    async saveAlbums(albumIds, requestOptions = {}) {
         return this.makeRequest('/me/albums', {
+            ...requestOptions,
             method: 'PUT',
             body: JSON.stringify({ ids: albumIds })
         });
     }
 
-    async removeSavedAlbums(albumIds) {
+    async removeSavedAlbums(albumIds, requestOptions = {}) {
         return this.makeRequest('/me/albums', {
+            ...requestOptions,
             method: 'DELETE',
             body: JSON.stringify({ ids: albumIds })
         });
@@ -482,39 +573,124 @@ class SpotifyAPI {
         return this.makeRequest(`/albums/${albumId}`);
     }
 
-    async saveTracks(trackIds) {
+    async getAlbumTracks(albumId, limit = 50, offset = 0, requestOptions = {}) {
+        const params = new URLSearchParams({
+            limit: limit.toString(),
+            offset: offset.toString()
+        });
+
+        return this.makeRequest(`/albums/${albumId}/tracks?${params.toString()}`, requestOptions);
+    }
+
+    // Artists
+    async getArtist(artistId, requestOptions = {}) {
+        return this.makeRequest(`/artists/${artistId}`, requestOptions);
+    }
+
+    async getArtistTopTracks(artistId, market = 'from_token', requestOptions = {}) {
+        const params = new URLSearchParams({ market });
+        return this.makeRequest(`/artists/${artistId}/top-tracks?${params.toString()}`, requestOptions);
+    }
+
+    /**
+     * Get one page of an artist's releases
+     * @param {string} artistId - The artist ID
+     * @param {string} includeGroups - 'album', 'single', 'compilation' or 'appears_on' (comma separated)
+     * @param {number} limit - Page size, at most 50
+     * @param {number} offset - Index of the first release
+     * @param {Object} [requestOptions] - Options passed to makeRequest
+     */
+    async getArtistAlbums(artistId, includeGroups = 'album', limit = 20, offset = 0, requestOptions = {}) {
+        const params = new URLSearchParams({
+            include_groups: includeGroups,
+            market: 'from_token',
+            limit: limit.toString(),
+            offset: offset.toString()
+        });
+
+        return this.makeRequest(`/artists/${artistId}/albums?${params.toString()}`, requestOptions);
+    }
+
+    async getRelatedArtists(artistId, requestOptions = {}) {
+        return this.makeRequest(`/artists/${artistId}/related-artists`, requestOptions);
+    }
+
+    async followArtists(artistIds, requestOptions = {}) {
+        return this.makeRequest('/me/following?type=artist', {
+            ...requestOptions,
+            method: 'PUT',
+            body: JSON.stringify({ ids: artistIds })
+        });
+    }
+
+    async unfollowArtists(artistIds, requestOptions = {}) {
+        return this.makeRequest('/me/following?type=artist', {
+            ...requestOptions,
+            method: 'DELETE',
+            body: JSON.stringify({ ids: artistIds })
+        });
+    }
+
+    /**
+     * @returns {Promise<Array<boolean>>} Whether the user follows each artist, in order
+     */
+    async isFollowingArtists(artistIds, requestOptions = {}) {
+        const params = new URLSearchParams({ type: 'artist', ids: artistIds.join(',') });
+        return this.makeRequest(`/me/following/contains?${params.toString()}`, requestOptions);
+    }
+
+    async saveTracks(trackIds, requestOptions = {}) {
         return this.makeRequest('/me/tracks', {
+            ...requestOptions,
             method: 'PUT',
             body: JSON.stringify({ ids: trackIds })
         });
     }
 
-    async removeSavedTracks(trackIds) {
+    /**
+     * Save tracks with the date each was originally added, so Liked Songs keeps its order
+     * @param {Array<{id: string, added_at: string}>} timestampedIds - Up to 50 tracks, added_at as ISO timestamp
+     */
+    async saveTracksAddedAt(timestampedIds, requestOptions = {}) {
         return this.makeRequest('/me/tracks', {
+            ...requestOptions,
+            method: 'PUT',
+            body: JSON.stringify({ timestamped_ids: timestampedIds })
+        });
+    }
+
+    async removeSavedTracks(trackIds, requestOptions = {}) {
+        return this.makeRequest('/me/tracks', {
+            ...requestOptions,
             method: 'DELETE',
             body: JSON.stringify({ ids: trackIds })
         });
     }
 
     // Playlists
-    async getUserPlaylists(limit = 50, offset = 0) {
+    async getUserPlaylists(limit = 50, offset = 0, requestOptions = {}) {
         const params = new URLSearchParams({
             limit: limit.toString(),
             offset: offset.toString()
         });
 
-        return this.makeRequest(`/me/playlists?${params.toString()}`);
+        return this.makeRequest(`/me/playlists?${params.toString()}`, requestOptions);
     }
 
-    async getAllUserPlaylists() {
+    /**
+     * Get all of the user's playlists using parallel paged requests
+     * @param {Object} requestOptions - Options passed to every page request (e.g. `cache`)
+     * @returns {Promise<Object>} Paging object containing every playlist
+     */
+    async getAllUserPlaylists(requestOptions = {}) {
         try {
             // First, get the total count
-            const firstBatch = await this.getUserPlaylists(1, 0);
+            const firstBatch = await this.getUserPlaylists(1, 0, requestOptions);
             const total = firstBatch.total;
 
             if (total <= 50) {
                 // If 50 or fewer playlists, just get them all at once
-                return await this.getUserPlaylists(50, 0);
+                return await this.getUserPlaylists(50, 0, requestOptions);
             }
 
             // Calculate how many batches we need (using 50 per batch for efficiency)
@@ -531,7 +707,7 @@ class SpotifyAPI {
 
             // Execute all requests in parallel
             const batchPromises = batches.map(batch =>
-                this.getUserPlaylists(batch.limit, batch.offset)
+                this.getUserPlaylists(batch.limit, batch.offset, requestOptions)
             );
 
             const results = await Promise.all(batchPromises);
@@ -554,15 +730,20 @@ class SpotifyAPI {
         }
     }
 
-    async getAllUserAlbums() {
+    /**
+     * Get all of the user's saved albums using parallel paged requests
+     * @param {Object} requestOptions - Options passed to every page request (e.g. `cache`)
+     * @returns {Promise<Object>} Paging object containing every saved album
+     */
+    async getAllUserAlbums(requestOptions = {}) {
         try {
             // First, get the total count
-            const firstBatch = await this.getSavedAlbums(1, 0);
+            const firstBatch = await this.getSavedAlbums(1, 0, requestOptions);
             const total = firstBatch.total;
 
             if (total <= 50) {
                 // If 50 or fewer albums, just get them all at once
-                return await this.getSavedAlbums(50, 0);
+                return await this.getSavedAlbums(50, 0, requestOptions);
             }
 
             // Calculate how many batches we need (using 50 per batch for efficiency)
@@ -579,7 +760,7 @@ class SpotifyAPI {
 
             // Execute all requests in parallel
             const batchPromises = batches.map(batch =>
-                this.getSavedAlbums(batch.limit, batch.offset)
+                this.getSavedAlbums(batch.limit, batch.offset, requestOptions)
             );
 
             const results = await Promise.all(batchPromises);
@@ -602,31 +783,84 @@ class SpotifyAPI {
         }
     }
 
-    async getPlaylist(playlistId) {
-        return this.makeRequest(`/playlists/${playlistId}`);
+    /**
+     * Get all of the user's saved tracks (Liked Songs) using parallel paged requests
+     * @param {Object} requestOptions - Options passed to every page request (e.g. `cache`)
+     * @returns {Promise<Object>} Paging object containing every saved track
+     */
+    async getAllSavedTracks(requestOptions = {}) {
+        try {
+            // First, get the total count
+            const firstBatch = await this.getSavedTracks(1, 0, requestOptions);
+            const total = firstBatch.total;
+
+            if (total <= 50) {
+                // If 50 or fewer tracks, just get them all at once
+                return await this.getSavedTracks(50, 0, requestOptions);
+            }
+
+            // Create batches with offsets (50 is the maximum page size)
+            const batchSize = 50;
+            const batches = [];
+            for (let offset = 0; offset < total; offset += batchSize) {
+                batches.push({ offset, limit: Math.min(batchSize, total - offset) });
+            }
+
+            // The request scheduler paces the parallel requests
+            const results = await Promise.all(batches.map(batch =>
+                this.getSavedTracks(batch.limit, batch.offset, requestOptions)
+            ));
+
+            // Combine all results
+            const allItems = results.flatMap(result => result.items);
+            return {
+                ...results[0], // Copy metadata from first result
+                items: allItems,
+                total: total,
+                limit: allItems.length,
+                offset: 0
+            };
+
+        } catch (error) {
+            console.error('Failed to load all saved tracks:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a playlist
+     * @param {string} playlistId - The playlist ID
+     * @param {string} [fields] - Optional field filter, e.g. 'name,snapshot_id'
+     * @param {Object} [requestOptions] - Options passed to makeRequest (e.g. `cache`)
+     * @returns {Promise<Object>} Playlist object
+     */
+    async getPlaylist(playlistId, fields = null, requestOptions = {}) {
+        const query = fields ? `?${new URLSearchParams({ fields }).toString()}` : '';
+        return this.makeRequest(`/playlists/${playlistId}${query}`, requestOptions);
     }
 
-    async getPlaylistTracks(playlistId, limit = 100, offset = 0) {
+    async getPlaylistTracks(playlistId, limit = 100, offset = 0, requestOptions = {}) {
         const params = new URLSearchParams({
             limit: limit.toString(),
             offset: offset.toString()
         });
 
-        return this.makeRequest(`/playlists/${playlistId}/tracks?${params.toString()}`);
+        return this.makeRequest(`/playlists/${playlistId}/tracks?${params.toString()}`, requestOptions);
     }
 
     /**
      * Get all tracks from a playlist with automatic pagination
      * @param {string} playlistId - The playlist ID
+     * @param {Object} requestOptions - Options passed to every page request (e.g. `cache`)
      * @returns {Promise<Array>} Array of all track objects
      */
-    async getAllPlaylistTracks(playlistId) {
+    async getAllPlaylistTracks(playlistId, requestOptions = {}) {
         const allTracks = [];
         let offset = 0;
         const limit = 100;
 
         while (true) {
-            const response = await this.getPlaylistTracks(playlistId, limit, offset);
+            const response = await this.getPlaylistTracks(playlistId, limit, offset, requestOptions);
             const tracks = response.items || [];
 
             allTracks.push(...tracks);
@@ -653,24 +887,135 @@ class SpotifyAPI {
         });
     }
 
-    async addTracksToPlaylist(playlistId, trackUris, position = 0) {
-        return this.makeRequest(`/playlists/${playlistId}/tracks`, {
-            method: 'POST',
-            body: JSON.stringify({
-                uris: trackUris,
-                position: position
-            })
+    /**
+     * Add tracks to a playlist, 100 URIs per request (API limit)
+     * @param {string} playlistId - Playlist ID
+     * @param {Array<string>} trackUris - Track URIs, in the order they should appear
+     * @param {?number} [position] - Insert position, null appends to the end
+     * @param {Object} [requestOptions] - Options passed to makeRequest
+     * @returns {Promise<{snapshot_id: string, added: number}>} Snapshot after the last chunk
+     * @throws {Error} With `added` and `snapshot_id` set to the progress made before the failing chunk
+     */
+    async addTracksToPlaylist(playlistId, trackUris, position = null, requestOptions = {}) {
+        const result = { snapshot_id: null, added: 0 };
+
+        for (let i = 0; i < trackUris.length; i += 100) {
+            const chunk = trackUris.slice(i, i + 100);
+            const body = { uris: chunk };
+
+            // Each chunk goes right after the previous one so the order is kept
+            if (position !== null && position !== undefined) {
+                body.position = position + i;
+            }
+
+            try {
+                const response = await this.makeRequest(`/playlists/${playlistId}/tracks`, {
+                    ...requestOptions,
+                    method: 'POST',
+                    body: JSON.stringify(body)
+                });
+                result.snapshot_id = response?.snapshot_id || result.snapshot_id;
+                result.added += chunk.length;
+            } catch (error) {
+                error.added = result.added;
+                error.snapshot_id = result.snapshot_id;
+                throw error;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Remove tracks from a playlist, 100 per request (API limit)
+     * @param {string} playlistId - Playlist ID
+     * @param {Array<{uri: string, positions?: Array<number>}>} tracks - Tracks to remove. Without
+     *     positions every occurrence of the URI is removed
+     * @param {Object} [requestOptions] - Options passed to makeRequest
+     * @param {?string} [snapshotId] - Playlist version the positions refer to
+     * @returns {Promise<{snapshot_id: string, removed: number}>} Snapshot after the last chunk
+     * @throws {Error} With `removed` and `snapshot_id` set to the progress made before the failing chunk
+     */
+    async removeTracksFromPlaylist(playlistId, tracks, requestOptions = {}, snapshotId = null) {
+        // One entry per position, highest first: removing them leaves the lower positions
+        // of later chunks unchanged, so they stay valid against each new snapshot
+        const ordered = tracks
+            .flatMap(track => track.positions
+                ? track.positions.map(position => ({ uri: track.uri, positions: [position] }))
+                : [track])
+            .sort((a, b) => (b.positions ? b.positions[0] : -1) - (a.positions ? a.positions[0] : -1));
+        const result = { snapshot_id: snapshotId, removed: 0 };
+
+        for (let i = 0; i < ordered.length; i += 100) {
+            const chunk = ordered.slice(i, i + 100);
+            const body = { tracks: chunk };
+            if (result.snapshot_id) {
+                body.snapshot_id = result.snapshot_id;
+            }
+
+            try {
+                const response = await this.makeRequest(`/playlists/${playlistId}/tracks`, {
+                    ...requestOptions,
+                    method: 'DELETE',
+                    body: JSON.stringify(body)
+                });
+                result.snapshot_id = response?.snapshot_id || result.snapshot_id;
+                result.removed += chunk.length;
+            } catch (error) {
+                error.removed = result.removed;
+                error.snapshot_id = result.snapshot_id;
+                throw error;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Replace all items of a playlist, clearing it when trackUris is empty
+     * @param {string} playlistId - Playlist ID
+     * @param {Array<string>} trackUris - Track URIs in order
+     * @param {Object} [requestOptions] - Options passed to makeRequest
+     * @returns {Promise<{snapshot_id: string}>} Snapshot after the last request
+     */
+    async replacePlaylistItems(playlistId, trackUris, requestOptions = {}) {
+        // The replace request takes 100 URIs, the rest is appended
+        const result = await this.makeRequest(`/playlists/${playlistId}/tracks`, {
+            ...requestOptions,
+            method: 'PUT',
+            body: JSON.stringify({ uris: trackUris.slice(0, 100) })
         });
+
+        if (trackUris.length <= 100) {
+            return result;
+        }
+        return this.addTracksToPlaylist(playlistId, trackUris.slice(100), null, requestOptions);
     }
 
-    async removeTracksFromPlaylist(playlistId, tracks) {
-        // tracks should be an array of objects with 'uri' property
-        // Example: [{ uri: 'spotify:track:4iV5W9uYEdYUVa79Axb7Rh' }]
+    /**
+     * Move a range of items within a playlist
+     * @param {string} playlistId - Playlist ID
+     * @param {number} rangeStart - Position of the first item to move
+     * @param {number} insertBefore - Position the items are moved in front of (before the move)
+     * @param {number} [rangeLength] - Number of items to move
+     * @param {?string} [snapshotId] - Playlist version the positions refer to
+     * @param {Object} [requestOptions] - Options passed to makeRequest
+     * @returns {Promise<{snapshot_id: string}>} The playlist's new snapshot
+     */
+    async reorderPlaylistItems(playlistId, rangeStart, insertBefore, rangeLength = 1, snapshotId = null, requestOptions = {}) {
+        const body = {
+            range_start: rangeStart,
+            insert_before: insertBefore,
+            range_length: rangeLength
+        };
+        if (snapshotId) {
+            body.snapshot_id = snapshotId;
+        }
+
         return this.makeRequest(`/playlists/${playlistId}/tracks`, {
-            method: 'DELETE',
-            body: JSON.stringify({
-                tracks: tracks
-            })
+            ...requestOptions,
+            method: 'PUT',
+            body: JSON.stringify(body)
         });
     }
 
@@ -763,7 +1108,30 @@ class SpotifyAPI {
             })
         });
     }
-    async getRecentlyPlayedTracks(limit = 50, before = null, after = null) {
+
+    // Queue
+    async getQueue(requestOptions = {}) {
+        return this.makeRequest('/me/player/queue', requestOptions);
+    }
+
+    /**
+     * Add a track or episode to the end of the user's queue
+     * @param {string} uri - Track or episode URI
+     * @param {string} [deviceId] - Target device, the active one when omitted
+     * @param {Object} [requestOptions] - Options passed to makeRequest (e.g. `priority`)
+     */
+    async addToQueue(uri, deviceId = null, requestOptions = {}) {
+        const params = new URLSearchParams({ uri });
+        if (deviceId) {
+            params.append('device_id', deviceId);
+        }
+        return this.makeRequest(`/me/player/queue?${params.toString()}`, {
+            ...requestOptions,
+            method: 'POST'
+        });
+    }
+
+    async getRecentlyPlayedTracks(limit = 50, before = null, after = null, requestOptions = {}) {
         const params = new URLSearchParams({
             limit: limit.toString()
         });
@@ -771,87 +1139,61 @@ class SpotifyAPI {
         if (before) params.append('before', before);
         if (after) params.append('after', after);
 
-        return this.makeRequest(`/me/player/recently-played?${params.toString()}`);
+        return this.makeRequest(`/me/player/recently-played?${params.toString()}`, requestOptions);
     }
 
     // Top Artists/Tracks
-    async getTopArtists(timeRange = 'medium_term', limit = 20, offset = 0) {
+    async getTopArtists(timeRange = 'medium_term', limit = 20, offset = 0, requestOptions = {}) {
         const params = new URLSearchParams({
             time_range: timeRange,
             limit: limit.toString(),
             offset: offset.toString()
         });
 
-        return this.makeRequest(`/me/top/artists?${params.toString()}`);
+        return this.makeRequest(`/me/top/artists?${params.toString()}`, requestOptions);
     }
 
-    async getTopTracks(timeRange = 'medium_term', limit = 20, offset = 0) {
+    async getTopTracks(timeRange = 'medium_term', limit = 20, offset = 0, requestOptions = {}) {
         const params = new URLSearchParams({
             time_range: timeRange,
             limit: limit.toString(),
             offset: offset.toString()
         });
 
-        return this.makeRequest(`/me/top/tracks?${params.toString()}`);
+        return this.makeRequest(`/me/top/tracks?${params.toString()}`, requestOptions);
     }
 
     // Browse
-    async getFeaturedPlaylists(limit = 20, offset = 0) {
-        const params = new URLSearchParams({
-            limit: limit.toString(),
-            offset: offset.toString()
-        });
-
-        return this.makeRequest(`/browse/featured-playlists?${params.toString()}`);
-    }
-
-    async getNewReleases(limit = 20, offset = 0) {
-        const params = new URLSearchParams({
-            limit: limit.toString(),
-            offset: offset.toString()
-        });
-
-        return this.makeRequest(`/browse/new-releases?${params.toString()}`);
-    }
-
-    async getCategories(limit = 20, offset = 0) {
+    // region is { country, locale }, e.g. { country: 'SE', locale: 'sv_SE' }; unset fields use the account's
+    getBrowseParams(limit, offset, region = {}) {
         const params = new URLSearchParams({
             limit: limit.toString(),
             offset: offset.toString()
         });
 
-        return this.makeRequest(`/browse/categories?${params.toString()}`);
+        if (region.country) params.set('country', region.country);
+        if (region.locale) params.set('locale', region.locale);
+        return params;
     }
 
-    async getCategoryPlaylists(categoryId, limit = 20, offset = 0) {
-        const params = new URLSearchParams({
-            limit: limit.toString(),
-            offset: offset.toString()
-        });
-
-        return this.makeRequest(`/browse/categories/${categoryId}/playlists?${params.toString()}`);
-    }
-
-    // Utility methods
-    extractTrackId(uri) {
-        // spotify:track:4iV5W9uYEdYUVa79Axb7Rh -> 4iV5W9uYEdYUVa79Axb7Rh
-        const match = uri.match(/spotify:track:([a-zA-Z0-9]+)/);
-        return match ? match[1] : null;
+    async getFeaturedPlaylists(limit = 20, offset = 0, region = {}, requestOptions = {}) {
+        const params = this.getBrowseParams(limit, offset, region);
+        return this.makeRequest(`/browse/featured-playlists?${params.toString()}`, requestOptions);
     }
 
-    extractArtistId(uri) {
-        const match = uri.match(/spotify:artist:([a-zA-Z0-9]+)/);
-        return match ? match[1] : null;
+    async getNewReleases(limit = 20, offset = 0, region = {}, requestOptions = {}) {
+        const params = this.getBrowseParams(limit, offset, region);
+        return this.makeRequest(`/browse/new-releases?${params.toString()}`, requestOptions);
     }
 
-    extractAlbumId(uri) {
-        const match = uri.match(/spotify:album:([a-zA-Z0-9]+)/);
-        return match ? match[1] : null;
+    async getCategories(limit = 20, offset = 0, region = {}, requestOptions = {}) {
+        const params = this.getBrowseParams(limit, offset, region);
+        return this.makeRequest(`/browse/categories?${params.toString()}`, requestOptions);
     }
 
-    extractPlaylistId(uri) {
-        const match = uri.match(/spotify:playlist:([a-zA-Z0-9]+)/);
-        return match ? match[1] : null;
+    async getCategoryPlaylists(categoryId, limit = 20, offset = 0, region = {}, requestOptions = {}) {
+        const params = this.getBrowseParams(limit, offset, region);
+        return this.makeRequest(`/browse/categories/${categoryId}/playlists?${params.toString()}`, requestOptions);
     }
 
     // Device Management
@@ -911,114 +1253,59 @@ class SpotifyAPI {
         });
     }
 
-    async deletePlaylist(playlistId) {
+    /**
+     * Follow a playlist (also restores a playlist the user deleted)
+     * @param {string} playlistId - The playlist ID
+     * @param {boolean} isPublic - Whether it shows on the user's public profile
+     * @param {Object} [requestOptions] - Options passed to makeRequest (e.g. `priority`)
+     */
+    async followPlaylist(playlistId, isPublic = true, requestOptions = {}) {
         return this.makeRequest(`/playlists/${playlistId}/followers`, {
+            ...requestOptions,
+            method: 'PUT',
+            body: JSON.stringify({ public: isPublic })
+        });
+    }
+
+    /**
+     * Whether a user follows a playlist; a playlist its owner deleted is only unfollowed
+     * @param {string} playlistId - The playlist ID
+     * @param {?string} [userId] - The current user's ID
+     * @returns {Promise<Array<boolean>>} One entry for the user
+     */
+    async isFollowingPlaylist(playlistId, userId = null, requestOptions = {}) {
+        const query = userId ? `?${new URLSearchParams({ ids: userId }).toString()}` : '';
+        return this.makeRequest(`/playlists/${playlistId}/followers/contains${query}`, requestOptions);
+    }
+
+    async deletePlaylist(playlistId, requestOptions = {}) {
+        return this.makeRequest(`/playlists/${playlistId}/followers`, {
+            ...requestOptions,
             method: 'DELETE'
         });
     }
 
-    async unfollowPlaylist(playlistId) {
+    async unfollowPlaylist(playlistId, requestOptions = {}) {
         // Same API endpoint as delete, but conceptually different for followed playlists
         return this.makeRequest(`/playlists/${playlistId}/followers`, {
+            ...requestOptions,
             method: 'DELETE'
         });
     }
 
     /**
-     * Check if we're currently rate limited and get estimated wait time
+     * Check if we're currently rate limited and how busy the request queue is
      * @returns {Object} Rate limit status
      */
     getRateLimitStatus() {
-        const now = Date.now();
-        const resetTime = this.rateLimitState.reset ? this.rateLimitState.reset * 1000 : null;
-
-        // Check if rate limit has expired
-        if (resetTime && now >= resetTime) {
-            this.rateLimitState.isRateLimited = false;
-            this.rateLimitState.remaining = this.rateLimitState.limit; // Reset remaining to limit
-        }
-
-        // Calculate time until reset
-        let timeUntilReset = null;
-        if (resetTime) {
-            timeUntilReset = Math.max(0, resetTime - now);
-        }
-
-        return {
-            isRateLimited: this.rateLimitState.isRateLimited,
-            retryAfter: this.rateLimitState.retryAfter || (timeUntilReset ? Math.ceil(timeUntilReset / 1000) : 0),
-            lastRateLimitTime: this.rateLimitState.lastRateLimitTime,
-            limit: this.rateLimitState.limit,
-            remaining: this.rateLimitState.remaining,
-            resetTime: resetTime,
-            timeUntilReset: timeUntilReset,
-            lastResponseTime: this.rateLimitState.lastResponseTime
-        };
+        return this.scheduler.getStatus();
     }
 
     /**
-     * Get rate limit headers from a response for monitoring
-     * @param {Response} response - Fetch response object
-     * @returns {Object} Rate limit information
-     */
-    parseRateLimitHeaders(response) {
-        const rateLimitInfo = {
-            limit: response.headers.get('X-RateLimit-Limit'),
-            remaining: response.headers.get('X-RateLimit-Remaining'),
-            reset: response.headers.get('X-RateLimit-Reset'),
-            retryAfter: response.headers.get('Retry-After')
-        };
-
-        // Update internal rate limit state
-        if (rateLimitInfo.limit !== null) {
-            this.rateLimitState.limit = parseInt(rateLimitInfo.limit);
-        }
-        if (rateLimitInfo.remaining !== null) {
-            this.rateLimitState.remaining = parseInt(rateLimitInfo.remaining);
-        }
-        if (rateLimitInfo.reset !== null) {
-            this.rateLimitState.reset = parseInt(rateLimitInfo.reset);
-        }
-        if (rateLimitInfo.retryAfter !== null) {
-            this.rateLimitState.retryAfter = parseInt(rateLimitInfo.retryAfter);
-        }
-
-        // Update rate limited status
-        this.rateLimitState.isRateLimited = response.status === 429 ||
-            (this.rateLimitState.remaining !== null && this.rateLimitState.remaining <= 0);
-
-        // Track timing
-        this.rateLimitState.lastResponseTime = Date.now();
-
-        if (this.rateLimitState.isRateLimited) {
-            this.rateLimitState.lastRateLimitTime = Date.now();
-        }
-
-        return rateLimitInfo;
-    }
-
-    /**
-     * Check if it's safe to make an API request
-     * @returns {boolean} True if safe to make request
-     */
-    isSafeToRequest() {
-        const status = this.getRateLimitStatus();
-        return !status.isRateLimited && (status.remaining === null || status.remaining > 0);
-    }
-
-    /**
-     * Reset rate limit state (useful for testing or manual override)
+     * Lift any Retry-After pause (useful for testing or manual override)
      */
     resetRateLimitState() {
-        this.rateLimitState = {
-            limit: null,
-            remaining: null,
-            reset: null,
-            retryAfter: null,
-            isRateLimited: false,
-            lastRateLimitTime: null,
-            lastResponseTime: null
-        };
+        this.scheduler.resume();
         console.log('Rate limit state reset');
     }
 }
\ No newline at end of file
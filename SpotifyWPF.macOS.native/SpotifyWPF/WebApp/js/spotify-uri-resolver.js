@@ -0,0 +1,94 @@
+// Spofify URI Resolver - Turn any reference to a Spotify item into its type and ID
+//
+// Understands:
+// - spotify: URIs, including legacy spotify:user:<name>:playlist:<id>
+// - open.spotify.com and play.spotify.com URLs, with intl-xx path prefixes,
+//   /embed/ and legacy /user/<name>/playlist/<id> paths and ?si= or other parameters
+// - raw base62 IDs, when the caller says which type they are
+class SpotifyUriResolver {
+    static get TYPES() {
+        return ['track', 'album', 'artist', 'playlist', 'show', 'episode'];
+    }
+
+    /**
+     * @param {string} input - URI, URL or ID
+     * @param {string} [defaultType] - Type of a raw ID; raw IDs are rejected without it
+     * @returns {?{type: string, id: string, uri: string}} null when the input isn't a Spotify reference
+     */
+    static resolve(input, defaultType = null) {
+        const text = (input || '').trim();
+
+        return SpotifyUriResolver.resolveUri(text) ||
+            SpotifyUriResolver.resolveUrl(text) ||
+            SpotifyUriResolver.resolveId(text, defaultType);
+    }
+
+    /**
+     * The ID of a reference of one type
+     * @param {string} input - URI, URL or raw ID
+     * @param {string} type - Expected type
+     * @returns {?string} null when the input is another type or no reference at all
+     */
+    static getId(input, type) {
+        const resolved = SpotifyUriResolver.resolve(input, type);
+        return resolved && resolved.type === type ? resolved.id : null;
+    }
+
+    /**
+     * The first reference inside free text, like a line of a playlist file
+     * @param {string} text - Text that may contain URIs or URLs
+     * @param {Array<string>} [types] - Only return references of these types
+     * @returns {?{type: string, id: string, uri: string}}
+     */
+    static find(text, types = SpotifyUriResolver.TYPES) {
+        const candidates = (text || '').match(/spotify:[A-Za-z0-9:._-]+|https?:\/\/(?:open|play)\.spotify\.com\/[^\s"'<>]+/g) || [];
+
+        for (const candidate of candidates) {
+            const resolved = SpotifyUriResolver.resolve(candidate);
+            if (resolved && types.includes(resolved.type)) {
+                return resolved;
+            }
+        }
+        return null;
+    }
+
+    static resolveUri(text) {
+        const match = text.match(/^spotify:(?:user:[^:]+:)?([a-z]+):([A-Za-z0-9]{22})$/);
+        return match ? SpotifyUriResolver.create(match[1], match[2]) : null;
+    }
+
+    static resolveUrl(text) {
+        let url;
+        try {
+            url = new URL(text);
+        } catch (error) {
+            return null;
+        }
+
+        if (!/^https?:$/.test(url.protocol) || !/^(open|play)\.spotify\.com$/.test(url.hostname)) {
+            return null;
+        }
+
+        const parts = url.pathname.split('/').filter(part => part);
+        if (/^intl-/.test(parts[0])) {
+            parts.shift();
+        }
+        if (parts[0] === 'embed') {
+            parts.shift();
+        }
+        if (parts[0] === 'user' && parts[2] === 'playlist') {
+            parts.splice(0, 2);
+        }
+
+        const [type, id] = parts;
+        return /^[A-Za-z0-9]{22}$/.test(id || '') ? SpotifyUriResolver.create(type, id) : null;
+    }
+
+    static resolveId(text, type) {
+        return type && /^[A-Za-z0-9]{22}$/.test(text) ? SpotifyUriResolver.create(type, text) : null;
+    }
+
+    static create(type, id) {
+        return SpotifyUriResolver.TYPES.includes(type) ? { type, id, uri: `spotify:${type}:${id}` } : null;
+    }
+}
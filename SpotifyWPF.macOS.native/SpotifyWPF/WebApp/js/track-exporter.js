@@ -0,0 +1,150 @@
+// Spofify Track Exporter - CSV, extended M3U and XSPF export of track lists
+//
+// Works on the items shown in the tracks modal: playlist items
+// ({ added_at, added_by, track, playlistPosition }) or album tracks wrapped the same way.
+class TrackExporter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.title] - Playlist or album name, used as list title
+     * @param {string} [options.albumName] - Album name for album track lists (album tracks have no album field)
+     */
+    constructor(options = {}) {
+        this.title = options.title || 'Spofify Export';
+        this.albumName = options.albumName || null;
+    }
+
+    static get COLUMNS() {
+        return {
+            position: { label: 'Position', value: item => item.playlistPosition ?? '' },
+            title: { label: 'Title', value: item => item.track.name || '' },
+            artists: { label: 'Artists', value: item => (item.track.artists || []).map(artist => artist.name).join(', ') },
+            album: { label: 'Album', value: (item, exporter) => item.track.album?.name || exporter.albumName || '' },
+            duration: { label: 'Duration', value: item => TrackExporter.formatDuration(item.track.duration_ms) },
+            isrc: { label: 'ISRC', value: item => item.track.external_ids?.isrc || '' },
+            added_at: { label: 'Added At', value: item => item.added_at || '' },
+            added_by: { label: 'Added By', value: item => item.added_by?.id || '' },
+            uri: { label: 'URI', value: item => item.track.uri || '' }
+        };
+    }
+
+    static get DEFAULT_COLUMNS() {
+        return ['position', 'title', 'artists', 'album', 'duration', 'uri'];
+    }
+
+    static get FORMATS() {
+        return {
+            csv: { extension: 'csv', mimeType: 'text/csv' },
+            m3u: { extension: 'm3u8', mimeType: 'audio/x-mpegurl' },
+            xspf: { extension: 'xspf', mimeType: 'application/xspf+xml' }
+        };
+    }
+
+    static formatDuration(ms) {
+        if (!ms) {
+            return '';
+        }
+        const totalSeconds = Math.round(ms / 1000);
+        return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * @param {Array} items - Track list items
+     * @param {string} format - 'csv', 'm3u' or 'xspf'
+     * @param {Array<string>} [columns] - CSV columns, keys of TrackExporter.COLUMNS
+     * @returns {string} File content
+     */
+    export(items, format, columns = TrackExporter.DEFAULT_COLUMNS) {
+        // Unavailable tracks come back as null
+        const tracks = items.filter(item => item.track);
+
+        switch (format) {
+            case 'csv':
+                return this.toCSV(tracks, columns);
+            case 'm3u':
+                return this.toM3U(tracks);
+            case 'xspf':
+                return this.toXSPF(tracks);
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    toCSV(items, columns) {
+        const definitions = columns.map(key => TrackExporter.COLUMNS[key]).filter(definition => definition);
+        const rows = [
+            definitions.map(definition => definition.label),
+            ...items.map(item => definitions.map(definition => definition.value(item, this)))
+        ];
+
+        // BOM so spreadsheet apps detect UTF-8
+        return '\uFEFF' + rows.map(row => row.map(value => this.escapeCSV(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    escapeCSV(value) {
+        let text = String(value);
+
+        // Keep spreadsheets from evaluating track names as formulas
+        if (/^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    toM3U(items) {
+        const lines = ['#EXTM3U', `#PLAYLIST:${this.title.replace(/[\r\n]+/g, ' ')}`];
+
+        items.forEach(item => {
+            const track = item.track;
+            const seconds = track.duration_ms ? Math.round(track.duration_ms / 1000) : -1;
+            const artists = (track.artists || []).map(artist => artist.name).join(', ');
+            const display = `${artists ? `${artists} - ` : ''}${track.name || ''}`.replace(/[\r\n]+/g, ' ');
+
+            lines.push(`#EXTINF:${seconds},${display}`);
+            lines.push(track.external_urls?.spotify || track.uri);
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    toXSPF(items) {
+        const tracks = items.map(item => {
+            const track = item.track;
+            const album = track.album?.name || this.albumName;
+            const fields = [
+                ['location', track.external_urls?.spotify],
+                ['identifier', track.uri],
+                ['title', track.name],
+                ['creator', (track.artists || []).map(artist => artist.name).join(', ')],
+                ['album', album],
+                ['duration', track.duration_ms]
+            ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+            return [
+                '        <track>',
+                ...fields.map(([name, value]) => `            <${name}>${this.escapeXML(value)}</${name}>`),
+                '        </track>'
+            ].join('\n');
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+            `    <title>${this.escapeXML(this.title)}</title>`,
+            `    <date>${new Date().toISOString()}</date>`,
+            '    <trackList>',
+            ...tracks,
+            '    </trackList>',
+            '</playlist>'
+        ].join('\n') + '\n';
+    }
+
+    escapeXML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
@@ -0,0 +1,106 @@
+// Spofify Virtual Track Table - Renders only the visible rows of a long track table
+//
+// Rows outside the scrolled window (plus a buffer) are replaced by two spacer
+// rows, so a list of thousands of tracks keeps a few dozen rows in the DOM.
+// Used by the playlist tracks modal and the Liked Songs section.
+class VirtualTrackTable {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - Scrolling element around the table
+     * @param {HTMLElement} options.body - tbody the rows are rendered into
+     * @param {Function} options.renderRow - (item, index) => HTMLTableRowElement, or null to skip
+     * @param {number|Function} options.colspan - Column count, or a function returning it
+     * @param {number} [options.itemHeight] - Approximate row height in px
+     * @param {number} [options.bufferSize] - Extra rows rendered above and below the visible area
+     */
+    constructor(options) {
+        this.container = options.container;
+        this.body = options.body;
+        this.renderRow = options.renderRow;
+        this.colspan = options.colspan;
+        this.itemHeight = options.itemHeight || 60;
+        this.bufferSize = options.bufferSize || 10;
+
+        this.items = [];
+        this.startIndex = 0;
+        this.endIndex = 0;
+        this.scrollHandler = null;
+        this.scrollTimer = null;
+    }
+
+    /**
+     * Start following the container's scroll position
+     */
+    attach() {
+        this.detach();
+
+        // Debounced to roughly one render per frame
+        this.scrollHandler = () => {
+            clearTimeout(this.scrollTimer);
+            this.scrollTimer = setTimeout(() => this.render(), 16);
+        };
+        this.container.addEventListener('scroll', this.scrollHandler);
+    }
+
+    detach() {
+        if (this.scrollHandler) {
+            this.container.removeEventListener('scroll', this.scrollHandler);
+            this.scrollHandler = null;
+        }
+        clearTimeout(this.scrollTimer);
+    }
+
+    /**
+     * Replace the rows
+     * @param {Array} items - Items in display order
+     * @param {boolean} [resetScroll] - Jump back to the top (after filtering or sorting)
+     */
+    setItems(items, resetScroll = false) {
+        this.items = items;
+        if (resetScroll) {
+            this.container.scrollTop = 0;
+        }
+        this.render();
+    }
+
+    updateVisibleRange() {
+        const containerHeight = this.container.clientHeight || 500;
+        const scrollTop = this.container.scrollTop;
+
+        this.startIndex = Math.max(0, Math.floor(scrollTop / this.itemHeight) - this.bufferSize);
+        const visibleCount = Math.ceil(containerHeight / this.itemHeight) + (this.bufferSize * 2);
+        this.endIndex = Math.min(this.items.length, this.startIndex + visibleCount);
+    }
+
+    render() {
+        this.updateVisibleRange();
+
+        const colspan = typeof this.colspan === 'function' ? this.colspan() : this.colspan;
+        const fragment = document.createDocumentFragment();
+        const addSpacer = rows => {
+            const spacer = document.createElement('tr');
+            spacer.className = 'virtual-spacer';
+            spacer.innerHTML = `<td colspan="${colspan}" style="height: ${rows * this.itemHeight}px;"></td>`;
+            fragment.appendChild(spacer);
+        };
+
+        if (this.startIndex > 0) {
+            addSpacer(this.startIndex);
+        }
+
+        for (let i = this.startIndex; i < this.endIndex; i++) {
+            const row = this.renderRow(this.items[i], i);
+            if (row) {
+                fragment.appendChild(row);
+            }
+        }
+
+        const remainingItems = this.items.length - this.endIndex;
+        if (remainingItems > 0) {
+            addSpacer(remainingItems);
+        }
+
+        this.body.innerHTML = '';
+        this.body.appendChild(fragment);
+    }
+}